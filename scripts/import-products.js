@@ -0,0 +1,38 @@
+// scripts/import-products.js
+const path = require('path');
+const db = require('../server/config/database');
+const Product = require('../server/models/Product');
+
+async function main() {
+    await db.ready;
+
+    const filePath = process.argv[2]
+        ? path.resolve(process.argv[2])
+        : path.join(__dirname, '../data/product.json');
+
+    console.log('='.repeat(60));
+    console.log('📦 Product Catalog Import');
+    console.log('='.repeat(60));
+    console.log(`\n📄 Source: ${filePath}\n`);
+
+    const result = await Product.importFromJson(filePath);
+
+    console.log(`✅ Imported: ${result.imported}`);
+    console.log(`⏭️  Skipped (already in catalog): ${result.skipped}`);
+
+    if (result.errors.length > 0) {
+        console.log(`❌ Errors: ${result.errors.length}`);
+        result.errors.forEach(e => console.log(`  • ${e.id || 'unknown'}: ${e.error}`));
+    }
+
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().then(() => db.close()).catch((error) => {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,159 @@
+// scripts/mock-pakasir.js
+// In-memory stand-in for the Pakasir API, for local testing of payments and reconciliation.
+//
+//   node scripts/mock-pakasir.js            (listens on MOCK_PAKASIR_PORT, default 4010)
+//   PAKASIR_BASE_URL=http://localhost:4010 npm start
+//
+// Set MOCK_PAKASIR_WEBHOOK_URL to have simulated payments call the shop's webhook;
+// leave it unset to test that reconciliation picks the payment up on its own.
+// MOCK_PAKASIR_WEBHOOK_SECRET signs those webhooks like pakasir.webhook_secret expects.
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = parseInt(process.env.MOCK_PAKASIR_PORT) || 4010;
+const WEBHOOK_URL = process.env.MOCK_PAKASIR_WEBHOOK_URL || '';
+const WEBHOOK_SECRET = process.env.MOCK_PAKASIR_WEBHOOK_SECRET || '';
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+const transactions = new Map();
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function getOrCreate(orderId, amount, method = 'qris', project = 'mock') {
+    let transaction = transactions.get(orderId);
+    if (!transaction) {
+        transaction = {
+            project,
+            order_id: orderId,
+            amount: Number(amount),
+            status: 'pending',
+            payment_method: method,
+            created_at: new Date().toISOString(),
+            completed_at: null
+        };
+        transactions.set(orderId, transaction);
+        console.log(`🆕 Transaction ${orderId} created (${transaction.amount})`);
+    }
+    return transaction;
+}
+
+async function complete(transaction) {
+    transaction.status = 'completed';
+    transaction.completed_at = new Date().toISOString();
+    console.log(`💰 Transaction ${transaction.order_id} completed`);
+
+    if (!WEBHOOK_URL) return;
+
+    const payload = {
+        amount: transaction.amount,
+        order_id: transaction.order_id,
+        project: transaction.project,
+        status: transaction.status,
+        payment_method: transaction.payment_method,
+        completed_at: transaction.completed_at
+    };
+
+    const headers = {};
+    if (WEBHOOK_SECRET) {
+        headers['x-pakasir-signature'] = crypto
+            .createHmac('sha256', WEBHOOK_SECRET)
+            .update(JSON.stringify(payload))
+            .digest('hex');
+    }
+
+    try {
+        await axios.post(WEBHOOK_URL, payload, { headers, timeout: 15000 });
+        console.log(`📤 Webhook sent for ${transaction.order_id}`);
+    } catch (error) {
+        console.error(`❌ Webhook for ${transaction.order_id} failed:`, error.message);
+    }
+}
+
+app.post('/api/transactioncreate/:method', (req, res) => {
+    const { project, order_id, amount } = req.body;
+    if (!order_id || !amount) {
+        return res.status(400).json({ error: 'order_id and amount are required' });
+    }
+
+    const transaction = getOrCreate(order_id, amount, req.params.method, project);
+    res.json({
+        payment: {
+            project: transaction.project,
+            order_id: transaction.order_id,
+            amount: transaction.amount,
+            fee: 0,
+            total_payment: transaction.amount,
+            payment_method: transaction.payment_method,
+            payment_number: `MOCK-${transaction.order_id}`,
+            expired_at: new Date(Date.now() + 3600000).toISOString()
+        }
+    });
+});
+
+app.get('/api/transactiondetail', (req, res) => {
+    const transaction = transactions.get(req.query.order_id);
+    if (!transaction || Number(req.query.amount) !== transaction.amount) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json({ transaction });
+});
+
+app.post('/api/transactioncancel', (req, res) => {
+    const transaction = transactions.get(req.body.order_id);
+    if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.status === 'pending') {
+        transaction.status = 'canceled';
+    }
+    res.json({ success: true, transaction });
+});
+
+app.post('/api/paymentsimulation', async (req, res) => {
+    const transaction = getOrCreate(req.body.order_id, req.body.amount, 'qris', req.body.project);
+    await complete(transaction);
+    res.json({ success: true, transaction });
+});
+
+// Hosted payment page used by the redirect flow
+app.get('/pay/:project/:amount', (req, res) => {
+    const transaction = getOrCreate(req.query.order_id, req.params.amount, 'qris', req.params.project);
+
+    res.send(`<!DOCTYPE html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+<h2>Mock Pakasir</h2>
+<p>Order <b>${escapeHtml(transaction.order_id)}</b> &middot; Rp ${transaction.amount.toLocaleString('id-ID')}</p>
+<p>Status: <b>${transaction.status}</b></p>
+<form method="post" action="/pay/${encodeURIComponent(transaction.order_id)}/complete">
+<input type="hidden" name="redirect" value="${escapeHtml(req.query.redirect || '')}">
+<button type="submit">Pay now</button>
+</form>
+</body></html>`);
+});
+
+app.post('/pay/:orderId/complete', async (req, res) => {
+    const transaction = transactions.get(req.params.orderId);
+    if (!transaction) {
+        return res.status(404).send('Transaction not found');
+    }
+
+    await complete(transaction);
+
+    if (req.body.redirect) return res.redirect(req.body.redirect);
+    res.send(`Order ${transaction.order_id} paid`);
+});
+
+app.get('/transactions', (req, res) => {
+    res.json({ transactions: Array.from(transactions.values()) });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock Pakasir listening on http://localhost:${PORT}`);
+    console.log(`   Webhook: ${WEBHOOK_URL || 'disabled'}`);
+});
@@ -1,7 +1,10 @@
 // scripts/sync-stock.js
+const db = require('../server/config/database');
 const stockSync = require('../server/services/stockSync.service');
 
 async function main() {
+    await db.ready;
+
     console.log('='.repeat(60));
     console.log('🔍 Stock Synchronization Tool');
     console.log('='.repeat(60));
@@ -18,7 +21,7 @@ async function main() {
             report.products.forEach(p => {
                 const status = p.needsUpdate ? '❌ NEEDS UPDATE' : '✅ SYNCED';
                 console.log(`${p.name}:`);
-                console.log(`  • JSON Stock: ${p.stockInJson}`);
+                console.log(`  • Catalog Stock: ${p.stockInCatalog}`);
                 console.log(`  • Actual: ${p.actualAvailable}`);
                 console.log(`  • Total Accounts: ${p.totalAccounts}`);
                 console.log(`  • Sold: ${p.soldAccounts}`);
@@ -45,7 +48,7 @@ async function main() {
 }
 
 if (require.main === module) {
-    main().catch(console.error);
+    main().then(() => db.close()).catch(console.error);
 }
 
 module.exports = main;
@@ -1,607 +1,1308 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-const bcrypt = require('bcryptjs');
-
-const dataDir = path.join(__dirname, '../../data');
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-
-const dbPath = path.join(dataDir, 'GrowLyy.db');
-
-console.log('📁 Database path:', dbPath);
-
-const db = new sqlite3.Database(dbPath, (err) => {
-    if (err) {
-        console.error('❌ SQLite Connection Error:', err.message);
-        process.exit(1);
-    } else {
-        console.log('✅ SQLite Connected Successfully!');
-        initDatabase();
-    }
-});
-
-async function checkAndAddColumns() {
-    return new Promise((resolve) => {
-        db.all(`PRAGMA table_info(orders)`, [], (err, rows) => {
-            if (err) {
-                console.error('Error checking orders table:', err);
-                return resolve();
-            }
-            
-            const columns = rows.map(r => r.name);
-            console.log('📊 Existing columns in orders:', columns);
-            
-            const missingColumns = [
-                { name: 'webhookData', type: 'TEXT', defaultValue: '{}' },
-                { name: 'failedReason', type: 'TEXT', defaultValue: '' },
-                { name: 'paymentStatus', type: 'TEXT', defaultValue: 'pending' },
-                { name: 'updatedAt', type: 'DATETIME', defaultValue: 'CURRENT_TIMESTAMP' },
-                { name: 'accountData', type: 'TEXT', defaultValue: '{}' },
-                { name: 'productId', type: 'TEXT', defaultValue: '' }
-            ];
-            
-            let columnsAdded = 0;
-            missingColumns.forEach(col => {
-                if (!columns.includes(col.name)) {
-                    console.log(`🛠️ Adding missing column: ${col.name}`);
-                    db.run(`ALTER TABLE orders ADD COLUMN ${col.name} ${col.type}`, (alterErr) => {
-                        if (alterErr) {
-                            console.error(`❌ Failed to add column ${col.name}:`, alterErr.message);
-                        } else {
-                            columnsAdded++;
-                            console.log(`✅ Column ${col.name} added successfully`);
-                            
-                            if (col.defaultValue) {
-                                const defaultVal = col.defaultValue === '{}' ? '{}' : col.defaultValue;
-                                db.run(`UPDATE orders SET ${col.name} = ? WHERE ${col.name} IS NULL`, 
-                                    [defaultVal], 
-                                    () => console.log(`✅ Set default value for ${col.name}`)
-                                );
-                            }
-                        }
-                    });
-                }
-            });
-            
-            setTimeout(() => {
-                console.log(`✅ Column check completed. Added ${columnsAdded} columns.`);
-                resolve();
-            }, 1000);
-        });
-    });
-}
-
-class Account {
-    static async getAvailable(productId) {
-        return new Promise((resolve, reject) => {
-            try {
-                console.log(`🔍 Looking for available account for product: ${productId}`);
-                
-                db.get(
-                    `SELECT * FROM accounts 
-                     WHERE product_id = ? AND status = 'available' 
-                     LIMIT 1`,
-                    [productId],
-                    (err, account) => {
-                        if (err) {
-                            console.error('❌ Error getting available account:', err);
-                            reject(err);
-                        } else {
-                            if (account) {
-                                console.log(`✅ Found account ID ${account.id} for product ${productId}`);
-                                try {
-                                    account.additional_info = JSON.parse(account.additional_info || '{}');
-                                } catch (e) {
-                                    account.additional_info = {};
-                                }
-                            } else {
-                                console.log(`❌ No available accounts for product: ${productId}`);
-                            }
-                            resolve(account);
-                        }
-                    }
-                );
-            } catch (error) {
-                console.error('❌ Error in getAvailable:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async markAsSold(productId, orderId, customerEmail) {
-        return new Promise((resolve, reject) => {
-            try {
-                console.log(`💰 Marking account as sold for product ${productId}, order ${orderId}`);
-                
-                db.get(
-                    `SELECT id FROM accounts 
-                     WHERE product_id = ? AND status = 'available' 
-                     LIMIT 1`,
-                    [productId],
-                    (err, account) => {
-                        if (err) {
-                            console.error('❌ Error finding account to mark as sold:', err);
-                            reject(err);
-                            return;
-                        }
-
-                        if (!account) {
-                            console.log(`⚠️ No available account found for product ${productId}`);
-                            resolve(null);
-                            return;
-                        }
-
-                        db.run(
-                            `UPDATE accounts 
-                             SET status = 'sold', 
-                                 sold_at = CURRENT_TIMESTAMP,
-                                 sold_to = ?,
-                                 order_id = ?,
-                                 updated_at = CURRENT_TIMESTAMP
-                             WHERE id = ?`,
-                            [customerEmail, orderId, account.id],
-                            async function(updateErr) {
-                                if (updateErr) {
-                                    console.error('❌ Error marking account as sold:', updateErr);
-                                    reject(updateErr);
-                                    return;
-                                }
-
-                                if (this.changes > 0) {
-                                    console.log(`✅ Account ${account.id} marked as sold for order ${orderId}`);
-                                    
-                                    const soldAccount = await new Promise((res, rej) => {
-                                        db.get(
-                                            `SELECT * FROM accounts WHERE id = ?`,
-                                            [account.id],
-                                            (err, row) => {
-                                                if (err) rej(err);
-                                                else {
-                                                    try {
-                                                        row.additional_info = JSON.parse(row.additional_info || '{}');
-                                                    } catch (e) {
-                                                        row.additional_info = {};
-                                                    }
-                                                    res(row);
-                                                }
-                                            }
-                                        );
-                                    });
-                                    
-                                    resolve(soldAccount);
-                                } else {
-                                    console.log(`❌ Failed to mark account ${account.id} as sold`);
-                                    resolve(null);
-                                }
-                            }
-                        );
-                    }
-                );
-            } catch (error) {
-                console.error('❌ Error in markAsSold:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async getStock(productId) {
-        return new Promise((resolve, reject) => {
-            try {
-                db.get(
-                    `SELECT COUNT(*) as count FROM accounts 
-                     WHERE product_id = ? AND status = 'available'`,
-                    [productId],
-                    (err, result) => {
-                        if (err) {
-                            console.error('❌ Error getting stock:', err);
-                            reject(err);
-                        } else {
-                            resolve(result.count || 0);
-                        }
-                    }
-                );
-            } catch (error) {
-                console.error('❌ Error in getStock:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async addAccounts(accounts) {
-        return new Promise((resolve, reject) => {
-            try {
-                console.log(`📦 Adding ${accounts.length} accounts to database`);
-                
-                let added = 0;
-                let errors = [];
-                
-                const stmt = db.prepare(
-                    `INSERT INTO accounts (product_id, email, password, twofa_code, additional_info)
-                     VALUES (?, ?, ?, ?, ?)`
-                );
-                
-                accounts.forEach((acc, index) => {
-                    try {
-                        stmt.run([
-                            acc.productId,
-                            acc.email,
-                            acc.password,
-                            acc.twofa || null,
-                            JSON.stringify(acc.additional || {})
-                        ], function(err) {
-                            if (err) {
-                                console.error(`❌ Error adding account ${index + 1}:`, err.message);
-                                errors.push({ index: index + 1, error: err.message });
-                            } else {
-                                added++;
-                            }
-                            
-                            if (index === accounts.length - 1) {
-                                stmt.finalize();
-                                console.log(`✅ Added ${added} accounts, ${errors.length} errors`);
-                                resolve({ added, errors });
-                            }
-                        });
-                    } catch (e) {
-                        console.error(`❌ Exception adding account ${index + 1}:`, e.message);
-                        errors.push({ index: index + 1, error: e.message });
-                        
-                        if (index === accounts.length - 1) {
-                            stmt.finalize();
-                            resolve({ added, errors });
-                        }
-                    }
-                });
-                
-            } catch (error) {
-                console.error('❌ Error in addAccounts:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async getAll(filters = {}) {
-        return new Promise((resolve, reject) => {
-            try {
-                let sql = `SELECT * FROM accounts WHERE 1=1`;
-                const params = [];
-                
-                if (filters.product_id) {
-                    sql += ` AND product_id = ?`;
-                    params.push(filters.product_id);
-                }
-                
-                if (filters.status) {
-                    sql += ` AND status = ?`;
-                    params.push(filters.status);
-                }
-                
-                sql += ` ORDER BY created_at DESC`;
-                
-                if (filters.limit) {
-                    sql += ` LIMIT ?`;
-                    params.push(filters.limit);
-                }
-                
-                if (filters.offset) {
-                    sql += ` OFFSET ?`;
-                    params.push(filters.offset);
-                }
-                
-                db.all(sql, params, (err, accounts) => {
-                    if (err) {
-                        console.error('❌ Error getting accounts:', err);
-                        reject(err);
-                    } else {
-                        const parsedAccounts = accounts.map(acc => ({
-                            ...acc,
-                            additional_info: (() => {
-                                try {
-                                    return JSON.parse(acc.additional_info || '{}');
-                                } catch {
-                                    return {};
-                                }
-                            })()
-                        }));
-                        resolve(parsedAccounts);
-                    }
-                });
-            } catch (error) {
-                console.error('❌ Error in getAll:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async delete(id) {
-        return new Promise((resolve, reject) => {
-            try {
-                db.run(
-                    `DELETE FROM accounts WHERE id = ?`,
-                    [id],
-                    function(err) {
-                        if (err) {
-                            console.error('❌ Error deleting account:', err);
-                            reject(err);
-                        } else {
-                            console.log(`✅ Account ${id} deleted, rows affected: ${this.changes}`);
-                            resolve({ success: true, changes: this.changes });
-                        }
-                    }
-                );
-            } catch (error) {
-                console.error('❌ Error in delete:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async getStats() {
-        return new Promise((resolve, reject) => {
-            try {
-                db.get(`
-                    SELECT 
-                        COUNT(*) as total,
-                        SUM(CASE WHEN status = 'available' THEN 1 ELSE 0 END) as available,
-                        SUM(CASE WHEN status = 'sold' THEN 1 ELSE 0 END) as sold
-                    FROM accounts
-                `, [], (err, stats) => {
-                    if (err) {
-                        console.error('❌ Error getting account stats:', err);
-                        reject(err);
-                    } else {
-                        resolve({
-                            total: stats.total || 0,
-                            available: stats.available || 0,
-                            sold: stats.sold || 0
-                        });
-                    }
-                });
-            } catch (error) {
-                console.error('❌ Error in getStats:', error);
-                reject(error);
-            }
-        });
-    }
-
-    static async getById(id) {
-        return new Promise((resolve, reject) => {
-            try {
-                db.get(
-                    `SELECT * FROM accounts WHERE id = ?`,
-                    [id],
-                    (err, account) => {
-                        if (err) {
-                            console.error('❌ Error getting account by id:', err);
-                            reject(err);
-                        } else {
-                            if (account) {
-                                try {
-                                    account.additional_info = JSON.parse(account.additional_info || '{}');
-                                } catch (e) {
-                                    account.additional_info = {};
-                                }
-                            }
-                            resolve(account);
-                        }
-                    }
-                );
-            } catch (error) {
-                console.error('❌ Error in getById:', error);
-                reject(error);
-            }
-        });
-    }
-}
-
-function initDatabase() {
-    db.serialize(() => {
-        db.run(`CREATE TABLE IF NOT EXISTS orders (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            orderId TEXT UNIQUE NOT NULL,
-            username TEXT NOT NULL,
-            role TEXT NOT NULL,
-            productId TEXT,
-            amount INTEGER NOT NULL,
-            status TEXT DEFAULT 'pending',
-            paymentMethod TEXT,
-            accountData TEXT DEFAULT '{}',
-            pakasirData TEXT DEFAULT '{}',
-            webhookData TEXT DEFAULT '{}',
-            failedReason TEXT DEFAULT '',
-            paymentStatus TEXT DEFAULT 'pending',
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            paidAt DATETIME,
-            completedAt DATETIME,
-            failedAt DATETIME
-        )`, async (err) => {
-            if (err) {
-                console.error('❌ Orders table error:', err.message);
-            } else {
-                console.log('✅ Orders table ready');
-                await checkAndAddColumns();
-            }
-        });
-
-        db.run(`CREATE TABLE IF NOT EXISTS accounts (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            product_id TEXT NOT NULL,
-            email TEXT NOT NULL,
-            password TEXT NOT NULL,
-            twofa_code TEXT,
-            additional_info TEXT DEFAULT '{}',
-            status TEXT DEFAULT 'available',
-            sold_at DATETIME,
-            sold_to TEXT,
-            order_id TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (err) => {
-            if (err) {
-                console.error('❌ Accounts table error:', err.message);
-            } else {
-                console.log('✅ Accounts table ready');
-                
-                db.run(`CREATE INDEX idx_accounts_product_status ON accounts(product_id, status)`, (idxErr) => {
-                    if (idxErr) console.error('❌ Error creating index:', idxErr.message);
-                });
-                
-                db.run(`CREATE INDEX idx_accounts_order ON accounts(order_id)`, (idxErr) => {
-                    if (idxErr) console.error('❌ Error creating order index:', idxErr.message);
-                });
-            }
-        });
-
-        db.run(`CREATE TABLE IF NOT EXISTS products (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            product_id TEXT UNIQUE NOT NULL,
-            name TEXT NOT NULL,
-            price INTEGER NOT NULL,
-            description TEXT,
-            image TEXT,
-            category TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (err) => {
-            if (err) {
-                console.error('❌ Products table error:', err.message);
-            } else {
-                console.log('✅ Products table ready');
-            }
-        });
-
-        db.run(`CREATE TABLE IF NOT EXISTS admins (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE NOT NULL,
-            password TEXT NOT NULL,
-            role TEXT DEFAULT 'admin',
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, async (err) => {
-            if (err) {
-                console.error('❌ Admins table error:', err.message);
-            } else {
-                console.log('✅ Admins table ready');
-
-                bcrypt.hash('admin123', 10, (hashErr, hash) => {
-                    if (hashErr) {
-                        console.error('❌ Error hashing password:', hashErr.message);
-                        return;
-                    }
-
-                    db.run(
-                        `INSERT OR IGNORE INTO admins (username, password, role) VALUES (?, ?, ?)`,
-                        ['admin', hash, 'superadmin'],
-                        (insertErr) => {
-                            if (insertErr) console.error('❌ Admin insert error:', insertErr.message);
-                            else console.log('✅ Default admin created: admin / admin123');
-                        }
-                    );
-                });
-            }
-        });
-
-        db.run(`CREATE TABLE IF NOT EXISTS settings (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            key TEXT UNIQUE NOT NULL,
-            value TEXT NOT NULL,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (err) => {
-            if (err) {
-                console.error('❌ Settings table error:', err.message);
-            } else {
-                console.log('✅ Settings table ready');
-
-                const defaults = [
-                    ['shop_name', 'GrowLyy Shop'],
-                    ['currency', 'IDR'],
-                    ['pakasir_api_key', 'uuj5Pc69gr3L5xdwPZXBJi7ZoWW94LaJ'],
-                    ['pakasir_slug', 'gtlyy-payment'],
-                    ['webhook_url', ''],
-                    ['discord_webhook', ''],
-                    ['telegram_bot_token', ''],
-                    ['telegram_chat_id', '']
-                ];
-
-                defaults.forEach(([key, value]) => {
-                    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)`, 
-                        [key, value],
-                        (insertErr) => {
-                            if (insertErr) console.error(`❌ Error inserting ${key}:`, insertErr.message);
-                        }
-                    );
-                });
-            }
-        });
-
-        db.run(`CREATE TABLE IF NOT EXISTS payment_logs (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            orderId TEXT,
-            event TEXT,
-            data TEXT,
-            ip TEXT,
-            userAgent TEXT,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (err) => {
-            if (err) console.error('❌ Payment logs table error:', err.message);
-            else console.log('✅ Payment logs table ready');
-        });
-    });
-}
-
-module.exports = {
-    run: (sql, params = []) => {
-        return new Promise((resolve, reject) => {
-            db.run(sql, params, function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID, changes: this.changes });
-            });
-        });
-    },
-
-    get: (sql, params = []) => {
-        return new Promise((resolve, reject) => {
-            db.get(sql, params, (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
-    },
-
-    all: (sql, params = []) => {
-        return new Promise((resolve, reject) => {
-            db.all(sql, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-    },
-
-    close: () => {
-        return new Promise((resolve, reject) => {
-            db.close((err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-        });
-    },
-
-    columnExists: (table, column) => {
-        return new Promise((resolve, reject) => {
-            db.get(
-                `SELECT COUNT(*) as count FROM pragma_table_info('${table}') WHERE name = ?`,
-                [column],
-                (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row.count > 0);
-                }
-            );
-        });
-    },
-
-    db: db,
-
-    Account: Account
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const Encryption = require('../services/encryption.service');
+const CredentialSchema = require('../services/credentialSchema.service');
+
+const dataDir = path.join(__dirname, '../../data');
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+}
+
+const dbPath = path.join(dataDir, 'GrowLyy.db');
+
+console.log('📁 Database path:', dbPath);
+
+const db = new sqlite3.Database(dbPath, (err) => {
+    if (err) {
+        console.error('❌ SQLite Connection Error:', err.message);
+        process.exit(1);
+    } else {
+        console.log('✅ SQLite Connected Successfully!');
+        initDatabase();
+    }
+});
+
+// Multi-statement writes get their own connection, so a rollback can never take
+// along statements that other requests issue meanwhile on the shared one
+const txConnection = new sqlite3.Database(dbPath);
+db.configure('busyTimeout', 5000);
+txConnection.configure('busyTimeout', 5000);
+
+let transactionQueue = Promise.resolve();
+
+function wrapConnection(connection) {
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+            connection.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID, changes: this.changes });
+            });
+        }),
+        get: (sql, params = []) => new Promise((resolve, reject) => {
+            connection.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        }),
+        all: (sql, params = []) => new Promise((resolve, reject) => {
+            connection.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        })
+    };
+}
+
+// Run work(tx) inside BEGIN IMMEDIATE ... COMMIT, rolling back if it throws.
+// Transactions are queued one at a time; work must only use the tx it is given.
+function transaction(work) {
+    const result = transactionQueue.then(async () => {
+        const tx = wrapConnection(txConnection);
+        await tx.run('BEGIN IMMEDIATE');
+
+        try {
+            const value = await work(tx);
+            await tx.run('COMMIT');
+            return value;
+        } catch (error) {
+            await tx.run('ROLLBACK').catch((rollbackErr) => {
+                console.error('❌ Rollback failed:', rollbackErr.message);
+            });
+            throw error;
+        }
+    });
+
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
+// Shared by initDatabase() and the migration of the old role-keyed table.
+// Codes of a product (or one of its variants) form its pool; expires_at is set when the code
+// is added, from config redeem_code.expiry_days or the expiry supplied on import. Like accounts,
+// a code can be reserved for a pending order until reserved_until.
+const REDEEM_CODES_TABLE = `CREATE TABLE IF NOT EXISTS redeem_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    product_id TEXT NOT NULL,
+    variant_id TEXT,
+    source TEXT DEFAULT 'generated',
+    status TEXT DEFAULT 'available',
+    expires_at DATETIME,
+    order_id TEXT,
+    reserved_until DATETIME,
+    sold_to TEXT,
+    sold_at DATETIME,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+let resolveReady;
+const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+});
+
+async function checkAndAddColumns(table, missingColumns) {
+    return new Promise((resolve) => {
+        db.all(`PRAGMA table_info(${table})`, [], async (err, rows) => {
+            if (err) {
+                console.error(`Error checking ${table} table:`, err);
+                return resolve();
+            }
+            
+            const columns = rows.map(r => r.name);
+            console.log(`📊 Existing columns in ${table}:`, columns);
+            
+            let columnsAdded = 0;
+            for (const col of missingColumns) {
+                if (columns.includes(col.name)) continue;
+
+                console.log(`🛠️ Adding missing column: ${table}.${col.name}`);
+                await new Promise((done) => {
+                    db.run(`ALTER TABLE ${table} ADD COLUMN ${col.name} ${col.type}`, (alterErr) => {
+                        if (alterErr) {
+                            console.error(`❌ Failed to add column ${table}.${col.name}:`, alterErr.message);
+                            return done();
+                        }
+
+                        columnsAdded++;
+                        console.log(`✅ Column ${table}.${col.name} added successfully`);
+
+                        if (col.defaultValue === undefined) return done();
+
+                        db.run(`UPDATE ${table} SET ${col.name} = ? WHERE ${col.name} IS NULL`,
+                            [col.defaultValue],
+                            () => {
+                                console.log(`✅ Set default value for ${table}.${col.name}`);
+                                done();
+                            }
+                        );
+                    });
+                });
+            }
+            
+            console.log(`✅ Column check for ${table} completed. Added ${columnsAdded} columns.`);
+            resolve();
+        });
+    });
+}
+
+async function runMigrations() {
+    await checkAndAddColumns('orders', [
+        { name: 'webhookData', type: 'TEXT', defaultValue: '{}' },
+        { name: 'failedReason', type: 'TEXT', defaultValue: '' },
+        { name: 'paymentStatus', type: 'TEXT', defaultValue: 'pending' },
+        { name: 'updatedAt', type: 'DATETIME' },
+        { name: 'accountData', type: 'TEXT', defaultValue: '{}' },
+        { name: 'productId', type: 'TEXT', defaultValue: '' },
+        { name: 'variantId', type: 'TEXT' },
+        { name: 'quantity', type: 'INTEGER DEFAULT 1', defaultValue: 1 },
+        { name: 'paymentProvider', type: "TEXT DEFAULT 'pakasir'", defaultValue: 'pakasir' },
+        { name: 'refundedAmount', type: 'INTEGER DEFAULT 0', defaultValue: 0 },
+        { name: 'refundedAt', type: 'DATETIME' },
+        { name: 'accessToken', type: 'TEXT' },
+        { name: 'customer_id', type: 'INTEGER' },
+        { name: 'voucherCode', type: 'TEXT' },
+        { name: 'discountAmount', type: 'INTEGER DEFAULT 0', defaultValue: 0 }
+    ]);
+
+    await new Promise((resolve) => {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id, createdAt)`, (err) => {
+            if (err) console.error('❌ Error creating orders customer index:', err.message);
+            resolve();
+        });
+    });
+
+    // Orders from before access tokens get one, so every order page sits behind the same check
+    await new Promise((resolve) => {
+        db.run(
+            `UPDATE orders SET accessToken = lower(hex(randomblob(24))) WHERE accessToken IS NULL OR accessToken = ''`,
+            function(err) {
+                if (err) {
+                    console.error('❌ Failed to issue order access tokens:', err.message);
+                } else if (this.changes > 0) {
+                    console.log(`✅ Issued access tokens for ${this.changes} existing orders`);
+                }
+                resolve();
+            }
+        );
+    });
+
+    await migrateLegacyRedeemCodes();
+
+    await new Promise((resolve) => {
+        db.run(`CREATE INDEX IF NOT EXISTS idx_redeem_codes_pool ON redeem_codes(product_id, variant_id, status)`, (err) => {
+            if (err) console.error('❌ Error creating redeem codes index:', err.message);
+            resolve();
+        });
+    });
+
+    await checkAndAddColumns('accounts', [
+        { name: 'variant_id', type: 'TEXT' },
+        { name: 'reserved_until', type: 'DATETIME' },
+        { name: 'credential_fields', type: "TEXT DEFAULT '{}'", defaultValue: '{}' }
+    ]);
+
+    await checkAndAddColumns('products', [
+        { name: 'stock', type: 'INTEGER DEFAULT 0', defaultValue: 0 },
+        { name: 'status', type: "TEXT DEFAULT 'active'", defaultValue: 'active' },
+        { name: 'sort_order', type: 'INTEGER DEFAULT 0', defaultValue: 0 },
+        { name: 'archived_at', type: 'DATETIME' },
+        { name: 'delivery_type', type: "TEXT DEFAULT 'credentials'", defaultValue: 'credentials' },
+        { name: 'delivery_config', type: "TEXT DEFAULT '{}'", defaultValue: '{}' }
+    ]);
+
+    await checkAndAddColumns('redeem_codes', [
+        { name: 'reserved_until', type: 'DATETIME' }
+    ]);
+
+    await checkAndAddColumns('customers', [
+        { name: 'token_version', type: 'INTEGER DEFAULT 0', defaultValue: 0 }
+    ]);
+
+    await encryptStoredCredentials();
+}
+
+// Credentials stored before CREDENTIALS_ENCRYPTION_KEY was set are plaintext. Seal them once a
+// key is configured: account passwords, 2FA codes and secret custom fields, and what orders and
+// their lines delivered. Values already sealed are left alone, so this runs on every start.
+async function encryptStoredCredentials() {
+    if (!Encryption.enabled) return;
+
+    const counts = await transaction(async (tx) => {
+        const schemas = {};
+        for (const product of await tx.all(`SELECT product_id, delivery_config FROM products`)) {
+            let config = {};
+            try {
+                config = JSON.parse(product.delivery_config || '{}');
+            } catch (e) {
+                config = {};
+            }
+            schemas[product.product_id] = CredentialSchema.fieldsOf(config);
+        }
+
+        let accounts = 0;
+        const rows = await tx.all(
+            `SELECT id, product_id, password, twofa_code, credential_fields FROM accounts
+             WHERE (password != '' AND password NOT LIKE 'enc:%')
+                OR (twofa_code != '' AND twofa_code NOT LIKE 'enc:%')
+                OR (credential_fields IS NOT NULL AND credential_fields NOT IN ('', '{}'))`
+        );
+        for (const row of rows) {
+            const secret = (schemas[row.product_id] || CredentialSchema.defaultFields)
+                .filter(field => field.secret)
+                .map(field => field.name);
+
+            let fields = {};
+            try {
+                fields = JSON.parse(row.credential_fields || '{}');
+            } catch (e) {
+                fields = {};
+            }
+            const sealedFields = {};
+            for (const [name, value] of Object.entries(fields)) {
+                sealedFields[name] = secret.includes(name) ? Encryption.seal(value) : value;
+            }
+
+            const password = Encryption.seal(row.password);
+            const twofa = Encryption.seal(row.twofa_code);
+            const credentialFields = JSON.stringify(sealedFields);
+            if (password === row.password && twofa === row.twofa_code && credentialFields === JSON.stringify(fields)) continue;
+
+            await tx.run(
+                `UPDATE accounts SET password = ?, twofa_code = ?, credential_fields = ? WHERE id = ?`,
+                [password, twofa, credentialFields, row.id]
+            );
+            accounts++;
+        }
+
+        const orders = await tx.all(
+            `SELECT orderId, accountData FROM orders
+             WHERE accountData IS NOT NULL AND accountData NOT IN ('', '{}') AND accountData NOT LIKE 'enc:%'`
+        );
+        for (const order of orders) {
+            await tx.run(`UPDATE orders SET accountData = ? WHERE orderId = ?`, [Encryption.seal(order.accountData), order.orderId]);
+        }
+
+        const items = await tx.all(
+            `SELECT id, account_data FROM order_items
+             WHERE account_data IS NOT NULL AND account_data NOT IN ('', '[]') AND account_data NOT LIKE 'enc:%'`
+        );
+        for (const item of items) {
+            await tx.run(`UPDATE order_items SET account_data = ? WHERE id = ?`, [Encryption.seal(item.account_data), item.id]);
+        }
+
+        return { accounts, orders: orders.length, items: items.length };
+    });
+
+    if (counts.accounts + counts.orders + counts.items > 0) {
+        console.log(`🔐 Encrypted stored credentials: ${counts.accounts} accounts, ${counts.orders} orders, ${counts.items} order lines`);
+    }
+}
+
+// Older installs kept redeem codes in a hand-made table keyed by product name (role) with a
+// used flag. Move those rows into the product-keyed table, matching role to a product id or name.
+async function migrateLegacyRedeemCodes() {
+    const columns = await new Promise((resolve) => {
+        db.all(`PRAGMA table_info(redeem_codes)`, [], (err, rows) => resolve(err ? [] : rows.map(r => r.name)));
+    });
+    if (!columns.includes('role') || columns.includes('product_id')) return;
+
+    const exec = (sql) => new Promise((resolve, reject) => {
+        db.exec(sql, (err) => err ? reject(err) : resolve());
+    });
+
+    const has = (column, fallback) => columns.includes(column) ? `l.${column}` : fallback;
+
+    try {
+        await exec(`
+            BEGIN;
+            ALTER TABLE redeem_codes RENAME TO redeem_codes_legacy;
+            ${REDEEM_CODES_TABLE};
+            INSERT INTO redeem_codes (code, product_id, source, status, order_id, sold_to, sold_at, created_at)
+            SELECT l.code,
+                COALESCE(
+                    (SELECT p.product_id FROM products p WHERE p.product_id = l.role),
+                    (SELECT p.product_id FROM products p WHERE lower(p.name) = lower(l.role) LIMIT 1),
+                    l.role
+                ),
+                'legacy',
+                CASE WHEN ${has('used', 0)} THEN 'sold' ELSE 'available' END,
+                ${has('orderId', 'NULL')},
+                ${has('usedBy', 'NULL')},
+                ${has('usedAt', 'NULL')},
+                COALESCE(${has('createdAt', 'NULL')}, CURRENT_TIMESTAMP)
+            FROM redeem_codes_legacy l;
+            DROP TABLE redeem_codes_legacy;
+            COMMIT;
+        `);
+        console.log('✅ Migrated legacy redeem codes to product ids');
+    } catch (error) {
+        await exec('ROLLBACK').catch(() => {});
+        console.error('❌ Legacy redeem codes migration failed:', error.message);
+    }
+}
+
+// Accounts of a variant form their own stock pool; without a variant the whole product pool is used
+function poolFilter(productId, variantId) {
+    if (variantId) {
+        return { sql: 'product_id = ? AND variant_id = ?', params: [productId, variantId] };
+    }
+    return { sql: 'product_id = ?', params: [productId] };
+}
+
+class Account {
+    static async getAvailable(productId, variantId = null) {
+        return new Promise((resolve, reject) => {
+            try {
+                console.log(`🔍 Looking for available account for product: ${productId}${variantId ? ` (variant ${variantId})` : ''}`);
+                
+                const pool = poolFilter(productId, variantId);
+                db.get(
+                    `SELECT * FROM accounts 
+                     WHERE ${pool.sql} AND status = 'available' 
+                     LIMIT 1`,
+                    pool.params,
+                    (err, account) => {
+                        if (err) {
+                            console.error('❌ Error getting available account:', err);
+                            reject(err);
+                        } else {
+                            if (account) {
+                                console.log(`✅ Found account ID ${account.id} for product ${productId}`);
+                                try {
+                                    account.additional_info = JSON.parse(account.additional_info || '{}');
+                                } catch (e) {
+                                    account.additional_info = {};
+                                }
+                            } else {
+                                console.log(`❌ No available accounts for product: ${productId}`);
+                            }
+                            resolve(account);
+                        }
+                    }
+                );
+            } catch (error) {
+                console.error('❌ Error in getAvailable:', error);
+                reject(error);
+            }
+        });
+    }
+
+    // A single guarded UPDATE ... RETURNING, so two orders can never be handed the same account
+    static async markAsSold(productId, orderId, customerEmail, variantId = null) {
+        return new Promise((resolve, reject) => {
+            try {
+                console.log(`💰 Marking account as sold for product ${productId}, order ${orderId}`);
+                
+                const pool = poolFilter(productId, variantId);
+                db.get(
+                    `UPDATE accounts 
+                     SET status = 'sold', 
+                         sold_at = CURRENT_TIMESTAMP,
+                         sold_to = ?,
+                         order_id = ?,
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = (
+                         SELECT id FROM accounts 
+                         WHERE ${pool.sql} AND status = 'available' 
+                         ORDER BY id ASC 
+                         LIMIT 1
+                     ) AND status = 'available'
+                     RETURNING *`,
+                    [customerEmail, orderId, ...pool.params],
+                    (err, soldAccount) => {
+                        if (err) {
+                            console.error('❌ Error marking account as sold:', err);
+                            reject(err);
+                            return;
+                        }
+
+                        if (!soldAccount) {
+                            console.log(`⚠️ No available account found for product ${productId}`);
+                            resolve(null);
+                            return;
+                        }
+
+                        try {
+                            soldAccount.additional_info = JSON.parse(soldAccount.additional_info || '{}');
+                        } catch (e) {
+                            soldAccount.additional_info = {};
+                        }
+
+                        console.log(`✅ Account ${soldAccount.id} marked as sold for order ${orderId}`);
+                        resolve(soldAccount);
+                    }
+                );
+            } catch (error) {
+                console.error('❌ Error in markAsSold:', error);
+                reject(error);
+            }
+        });
+    }
+
+    // Claim up to `quantity` accounts for an order on the given connection (usually a
+    // transaction). Accounts the order reserved at checkout are used first, the rest
+    // come from the available pool. Returns fewer rows than asked for when it runs short.
+    static async claim(conn, productId, orderId, customerEmail, variantId = null, quantity = 1) {
+        const pool = poolFilter(productId, variantId);
+        const claimable = `(status = 'available' OR (status = 'reserved' AND order_id = ?))`;
+        const rows = await conn.all(
+            `UPDATE accounts 
+             SET status = 'sold', 
+                 sold_at = CURRENT_TIMESTAMP,
+                 sold_to = ?,
+                 order_id = ?,
+                 reserved_until = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id IN (
+                 SELECT id FROM accounts 
+                 WHERE ${pool.sql} AND ${claimable} 
+                 ORDER BY status = 'reserved' DESC, id ASC 
+                 LIMIT ?
+             ) AND ${claimable}
+             RETURNING *`,
+            [customerEmail, orderId, ...pool.params, orderId, quantity, orderId]
+        );
+
+        return rows
+            .sort((x, y) => x.id - y.id)
+            .map(row => {
+                try {
+                    row.additional_info = JSON.parse(row.additional_info || '{}');
+                } catch (e) {
+                    row.additional_info = {};
+                }
+                return row;
+            });
+    }
+
+    // Claim one specific account, e.g. one an admin picked by hand. Returns null when the
+    // account is gone or held by another order.
+    static async claimById(conn, accountId, orderId, customerEmail) {
+        const account = await conn.get(
+            `UPDATE accounts
+             SET status = 'sold',
+                 sold_at = CURRENT_TIMESTAMP,
+                 sold_to = ?,
+                 order_id = ?,
+                 reserved_until = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND (status = 'available' OR (status = 'reserved' AND order_id = ?))
+             RETURNING *`,
+            [customerEmail, orderId, accountId, orderId]
+        );
+
+        if (account) {
+            try {
+                account.additional_info = JSON.parse(account.additional_info || '{}');
+            } catch (e) {
+                account.additional_info = {};
+            }
+        }
+        return account || null;
+    }
+
+    // Hold `quantity` available accounts for a pending order until it is paid, cancelled or
+    // the hold runs out. Returns the number actually reserved.
+    static async reserve(conn, productId, orderId, variantId = null, quantity = 1, minutes = 60) {
+        const pool = poolFilter(productId, variantId);
+        const result = await conn.run(
+            `UPDATE accounts 
+             SET status = 'reserved',
+                 order_id = ?,
+                 reserved_until = datetime('now', ?),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id IN (
+                 SELECT id FROM accounts 
+                 WHERE ${pool.sql} AND status = 'available' 
+                 ORDER BY id ASC 
+                 LIMIT ?
+             ) AND status = 'available'`,
+            [orderId, `+${minutes} minutes`, ...pool.params, quantity]
+        );
+        return result.changes;
+    }
+
+    // Take back the accounts sold to a refunded order: 'restock' returns them to the pool for
+    // resale, 'revoke' retires them for good. ids limits it to some of them. Returns the affected accounts.
+    static async reverseSale(conn, orderId, action, ids = null) {
+        const update = action === 'restock'
+            ? `status = 'available', sold_at = NULL, sold_to = NULL, order_id = NULL`
+            : `status = 'revoked'`;
+
+        const only = ids ? `AND id IN (${ids.map(() => '?').join(', ')})` : '';
+        return conn.all(
+            `UPDATE accounts
+             SET ${update},
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE order_id = ? AND status = 'sold' ${only}
+             RETURNING id, product_id, variant_id, email`,
+            [orderId, ...(ids || [])]
+        );
+    }
+
+    // Return reserved accounts to the pool, either those of one order or every expired hold.
+    // Returns the affected product IDs so their stock can be recalculated.
+    static async releaseReservations(conn, orderId = null) {
+        const where = orderId
+            ? { sql: 'order_id = ?', params: [orderId] }
+            : { sql: "reserved_until <= datetime('now')", params: [] };
+
+        const rows = await conn.all(
+            `UPDATE accounts 
+             SET status = 'available',
+                 order_id = NULL,
+                 reserved_until = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE status = 'reserved' AND ${where.sql}
+             RETURNING product_id`,
+            where.params
+        );
+        return [...new Set(rows.map(row => row.product_id))];
+    }
+
+    static async getStock(productId, variantId = null) {
+        return new Promise((resolve, reject) => {
+            try {
+                const pool = poolFilter(productId, variantId);
+                db.get(
+                    `SELECT COUNT(*) as count FROM accounts 
+                     WHERE ${pool.sql} AND status = 'available'`,
+                    pool.params,
+                    (err, result) => {
+                        if (err) {
+                            console.error('❌ Error getting stock:', err);
+                            reject(err);
+                        } else {
+                            resolve(result.count || 0);
+                        }
+                    }
+                );
+            } catch (error) {
+                console.error('❌ Error in getStock:', error);
+                reject(error);
+            }
+        });
+    }
+
+    static async addAccounts(accounts) {
+        return new Promise((resolve, reject) => {
+            try {
+                console.log(`📦 Adding ${accounts.length} accounts to database`);
+                
+                let added = 0;
+                let errors = [];
+                
+                const stmt = db.prepare(
+                    `INSERT INTO accounts (product_id, variant_id, email, password, twofa_code, additional_info, credential_fields)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`
+                );
+                
+                accounts.forEach((acc, index) => {
+                    try {
+                        stmt.run([
+                            acc.productId,
+                            acc.variantId || null,
+                            acc.email,
+                            acc.password,
+                            acc.twofa || null,
+                            JSON.stringify(acc.additional || {}),
+                            JSON.stringify(acc.fields || {})
+                        ], function(err) {
+                            if (err) {
+                                console.error(`❌ Error adding account ${index + 1}:`, err.message);
+                                errors.push({ index: index + 1, error: err.message });
+                            } else {
+                                added++;
+                            }
+                            
+                            if (index === accounts.length - 1) {
+                                stmt.finalize();
+                                console.log(`✅ Added ${added} accounts, ${errors.length} errors`);
+                                resolve({ added, errors });
+                            }
+                        });
+                    } catch (e) {
+                        console.error(`❌ Exception adding account ${index + 1}:`, e.message);
+                        errors.push({ index: index + 1, error: e.message });
+                        
+                        if (index === accounts.length - 1) {
+                            stmt.finalize();
+                            resolve({ added, errors });
+                        }
+                    }
+                });
+                
+            } catch (error) {
+                console.error('❌ Error in addAccounts:', error);
+                reject(error);
+            }
+        });
+    }
+
+    static async getAll(filters = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                let sql = `SELECT * FROM accounts WHERE 1=1`;
+                const params = [];
+                
+                if (filters.product_id) {
+                    sql += ` AND product_id = ?`;
+                    params.push(filters.product_id);
+                }
+                
+                if (filters.variant_id) {
+                    sql += ` AND variant_id = ?`;
+                    params.push(filters.variant_id);
+                }
+                
+                if (filters.status) {
+                    sql += ` AND status = ?`;
+                    params.push(filters.status);
+                }
+                
+                sql += ` ORDER BY created_at DESC`;
+                
+                if (filters.limit) {
+                    sql += ` LIMIT ?`;
+                    params.push(filters.limit);
+                }
+                
+                if (filters.offset) {
+                    sql += ` OFFSET ?`;
+                    params.push(filters.offset);
+                }
+                
+                db.all(sql, params, (err, accounts) => {
+                    if (err) {
+                        console.error('❌ Error getting accounts:', err);
+                        reject(err);
+                    } else {
+                        const parsedAccounts = accounts.map(acc => ({
+                            ...acc,
+                            additional_info: (() => {
+                                try {
+                                    return JSON.parse(acc.additional_info || '{}');
+                                } catch {
+                                    return {};
+                                }
+                            })()
+                        }));
+                        resolve(parsedAccounts);
+                    }
+                });
+            } catch (error) {
+                console.error('❌ Error in getAll:', error);
+                reject(error);
+            }
+        });
+    }
+
+    // Only an available account is deleted: reserved, sold and revoked ones belong to an order
+    // or its refund history. changes is 0 when the account was not available.
+    static async delete(id) {
+        return new Promise((resolve, reject) => {
+            try {
+                db.run(
+                    `DELETE FROM accounts WHERE id = ? AND status = 'available'`,
+                    [id],
+                    function(err) {
+                        if (err) {
+                            console.error('❌ Error deleting account:', err);
+                            reject(err);
+                        } else {
+                            console.log(`✅ Account ${id} deleted, rows affected: ${this.changes}`);
+                            resolve({ success: true, changes: this.changes });
+                        }
+                    }
+                );
+            } catch (error) {
+                console.error('❌ Error in delete:', error);
+                reject(error);
+            }
+        });
+    }
+
+    static async getStats() {
+        return new Promise((resolve, reject) => {
+            try {
+                db.get(`
+                    SELECT 
+                        COUNT(*) as total,
+                        SUM(CASE WHEN status = 'available' THEN 1 ELSE 0 END) as available,
+                        SUM(CASE WHEN status = 'sold' THEN 1 ELSE 0 END) as sold,
+                        SUM(CASE WHEN status = 'reserved' THEN 1 ELSE 0 END) as reserved,
+                        SUM(CASE WHEN status = 'revoked' THEN 1 ELSE 0 END) as revoked
+                    FROM accounts
+                `, [], (err, stats) => {
+                    if (err) {
+                        console.error('❌ Error getting account stats:', err);
+                        reject(err);
+                    } else {
+                        resolve({
+                            total: stats.total || 0,
+                            available: stats.available || 0,
+                            sold: stats.sold || 0,
+                            reserved: stats.reserved || 0,
+                            revoked: stats.revoked || 0
+                        });
+                    }
+                });
+            } catch (error) {
+                console.error('❌ Error in getStats:', error);
+                reject(error);
+            }
+        });
+    }
+
+    static async getById(id) {
+        return new Promise((resolve, reject) => {
+            try {
+                db.get(
+                    `SELECT * FROM accounts WHERE id = ?`,
+                    [id],
+                    (err, account) => {
+                        if (err) {
+                            console.error('❌ Error getting account by id:', err);
+                            reject(err);
+                        } else {
+                            if (account) {
+                                try {
+                                    account.additional_info = JSON.parse(account.additional_info || '{}');
+                                } catch (e) {
+                                    account.additional_info = {};
+                                }
+                            }
+                            resolve(account);
+                        }
+                    }
+                );
+            } catch (error) {
+                console.error('❌ Error in getById:', error);
+                reject(error);
+            }
+        });
+    }
+}
+
+function initDatabase() {
+    db.serialize(() => {
+        db.run(`CREATE TABLE IF NOT EXISTS orders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            orderId TEXT UNIQUE NOT NULL,
+            username TEXT NOT NULL,
+            role TEXT NOT NULL,
+            productId TEXT,
+            variantId TEXT,
+            quantity INTEGER DEFAULT 1,
+            amount INTEGER NOT NULL,
+            status TEXT DEFAULT 'pending',
+            paymentMethod TEXT,
+            paymentProvider TEXT DEFAULT 'pakasir',
+            accountData TEXT DEFAULT '{}',
+            pakasirData TEXT DEFAULT '{}',
+            webhookData TEXT DEFAULT '{}',
+            failedReason TEXT DEFAULT '',
+            paymentStatus TEXT DEFAULT 'pending',
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            paidAt DATETIME,
+            completedAt DATETIME,
+            failedAt DATETIME,
+            refundedAmount INTEGER DEFAULT 0,
+            refundedAt DATETIME,
+            accessToken TEXT,
+            customer_id INTEGER,
+            voucherCode TEXT,
+            discountAmount INTEGER DEFAULT 0
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Orders table error:', err.message);
+            } else {
+                console.log('✅ Orders table ready');
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS accounts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id TEXT NOT NULL,
+            email TEXT NOT NULL,
+            password TEXT NOT NULL,
+            twofa_code TEXT,
+            additional_info TEXT DEFAULT '{}',
+            credential_fields TEXT DEFAULT '{}',
+            status TEXT DEFAULT 'available',
+            sold_at DATETIME,
+            sold_to TEXT,
+            order_id TEXT,
+            variant_id TEXT,
+            reserved_until DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Accounts table error:', err.message);
+            } else {
+                console.log('✅ Accounts table ready');
+                
+                db.run(`CREATE INDEX idx_accounts_product_status ON accounts(product_id, status)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating index:', idxErr.message);
+                });
+                
+                db.run(`CREATE INDEX idx_accounts_order ON accounts(order_id)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating order index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS products (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            price INTEGER NOT NULL,
+            description TEXT,
+            image TEXT,
+            category TEXT,
+            stock INTEGER DEFAULT 0,
+            status TEXT DEFAULT 'active',
+            sort_order INTEGER DEFAULT 0,
+            archived_at DATETIME,
+            delivery_type TEXT DEFAULT 'credentials',
+            delivery_config TEXT DEFAULT '{}',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Products table error:', err.message);
+            } else {
+                console.log('✅ Products table ready');
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS product_variants (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            variant_id TEXT UNIQUE NOT NULL,
+            product_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            price INTEGER NOT NULL,
+            sku TEXT UNIQUE,
+            stock INTEGER DEFAULT 0,
+            status TEXT DEFAULT 'active',
+            sort_order INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Product variants table error:', err.message);
+            } else {
+                console.log('✅ Product variants table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_variants_product ON product_variants(product_id)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating variants index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS order_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id TEXT NOT NULL,
+            product_id TEXT NOT NULL,
+            variant_id TEXT,
+            product_name TEXT NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            unit_price INTEGER NOT NULL,
+            subtotal INTEGER NOT NULL,
+            status TEXT DEFAULT 'pending',
+            account_data TEXT DEFAULT '[]',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Order items table error:', err.message);
+            } else {
+                console.log('✅ Order items table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating order items index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS job_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_name TEXT NOT NULL,
+            trigger TEXT DEFAULT 'schedule',
+            status TEXT DEFAULT 'running',
+            result TEXT DEFAULT '{}',
+            error TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME,
+            duration_ms INTEGER
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Job runs table error:', err.message);
+            } else {
+                console.log('✅ Job runs table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating job runs index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS reconciliation_checks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id TEXT NOT NULL,
+            trigger TEXT DEFAULT 'schedule',
+            provider_status TEXT,
+            provider_amount INTEGER,
+            outcome TEXT NOT NULL,
+            detail TEXT,
+            checked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Reconciliation checks table error:', err.message);
+            } else {
+                console.log('✅ Reconciliation checks table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_reconciliation_checks_order ON reconciliation_checks(order_id, checked_at)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating reconciliation checks index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS order_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id TEXT NOT NULL,
+            event TEXT NOT NULL,
+            from_status TEXT,
+            to_status TEXT,
+            actor TEXT NOT NULL,
+            source TEXT,
+            payload TEXT DEFAULT '{}',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Order events table error:', err.message);
+            } else {
+                console.log('✅ Order events table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, id)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating order events index:', idxErr.message);
+                });
+            }
+        });
+
+        // One-time codes and magic links for the customer "my orders" lookup, stored as hashes
+        db.run(`CREATE TABLE IF NOT EXISTS order_lookup_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL,
+            code_hash TEXT NOT NULL,
+            link_hash TEXT NOT NULL UNIQUE,
+            attempts INTEGER DEFAULT 0,
+            ip TEXT,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Order lookup codes table error:', err.message);
+            } else {
+                console.log('✅ Order lookup codes table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_order_lookup_codes_email ON order_lookup_codes(email, created_at)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating order lookup codes index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS order_lookup_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_hash TEXT NOT NULL UNIQUE,
+            email TEXT NOT NULL,
+            ip TEXT,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Order lookup sessions table error:', err.message);
+            } else {
+                console.log('✅ Order lookup sessions table ready');
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            method TEXT NOT NULL,
+            account_action TEXT DEFAULT 'none',
+            account_ids TEXT DEFAULT '[]',
+            refunded_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Refunds table error:', err.message);
+            } else {
+                console.log('✅ Refunds table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating refunds index:', idxErr.message);
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS webhook_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provider TEXT NOT NULL,
+            event_key TEXT NOT NULL,
+            order_id TEXT,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(provider, event_key)
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Webhook events table error:', err.message);
+            } else {
+                console.log('✅ Webhook events table ready');
+            }
+        });
+
+        db.run(REDEEM_CODES_TABLE, (err) => {
+            if (err) {
+                console.error('❌ Redeem codes table error:', err.message);
+            } else {
+                console.log('✅ Redeem codes table ready');
+            }
+        });
+
+        // Discount codes. A null product_id applies to every product; percent vouchers can
+        // be capped with max_discount. Limits of 0 mean unlimited.
+        db.run(`CREATE TABLE IF NOT EXISTS vouchers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code TEXT UNIQUE NOT NULL,
+            description TEXT,
+            type TEXT NOT NULL,
+            value INTEGER NOT NULL,
+            max_discount INTEGER,
+            product_id TEXT,
+            min_spend INTEGER DEFAULT 0,
+            usage_limit INTEGER DEFAULT 0,
+            per_customer_limit INTEGER DEFAULT 0,
+            starts_at DATETIME,
+            ends_at DATETIME,
+            status TEXT DEFAULT 'active',
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Vouchers table error:', err.message);
+            } else {
+                console.log('✅ Vouchers table ready');
+            }
+        });
+
+        // One row per order that used a voucher; customer_key is the lowercased order email
+        db.run(`CREATE TABLE IF NOT EXISTS voucher_redemptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            voucher_id INTEGER NOT NULL,
+            order_id TEXT UNIQUE NOT NULL,
+            customer_key TEXT NOT NULL,
+            discount INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Voucher redemptions table error:', err.message);
+            } else {
+                console.log('✅ Voucher redemptions table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_voucher ON voucher_redemptions(voucher_id, customer_key)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating voucher redemptions index:', idxErr.message);
+                });
+            }
+        });
+
+        // Storefront customer accounts, separate from admins
+        db.run(`CREATE TABLE IF NOT EXISTS customers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            name TEXT,
+            phone TEXT,
+            verified INTEGER DEFAULT 0,
+            verified_at DATETIME,
+            last_login_at DATETIME,
+            token_version INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Customers table error:', err.message);
+            } else {
+                console.log('✅ Customers table ready');
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS admins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            role TEXT DEFAULT 'admin',
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, async (err) => {
+            if (err) {
+                console.error('❌ Admins table error:', err.message);
+            } else {
+                console.log('✅ Admins table ready');
+
+                bcrypt.hash('admin123', 10, (hashErr, hash) => {
+                    if (hashErr) {
+                        console.error('❌ Error hashing password:', hashErr.message);
+                        return;
+                    }
+
+                    db.run(
+                        `INSERT OR IGNORE INTO admins (username, password, role) VALUES (?, ?, ?)`,
+                        ['admin', hash, 'superadmin'],
+                        (insertErr) => {
+                            if (insertErr) console.error('❌ Admin insert error:', insertErr.message);
+                            else console.log('✅ Default admin created: admin / admin123');
+                        }
+                    );
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS settings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key TEXT UNIQUE NOT NULL,
+            value TEXT NOT NULL,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Settings table error:', err.message);
+            } else {
+                console.log('✅ Settings table ready');
+
+                const defaults = [
+                    ['shop_name', 'GrowLyy Shop'],
+                    ['currency', 'IDR'],
+                    ['pakasir_api_key', 'uuj5Pc69gr3L5xdwPZXBJi7ZoWW94LaJ'],
+                    ['pakasir_slug', 'gtlyy-payment'],
+                    ['webhook_url', ''],
+                    ['discord_webhook', ''],
+                    ['telegram_bot_token', ''],
+                    ['telegram_chat_id', '']
+                ];
+
+                defaults.forEach(([key, value]) => {
+                    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)`, 
+                        [key, value],
+                        (insertErr) => {
+                            if (insertErr) console.error(`❌ Error inserting ${key}:`, insertErr.message);
+                        }
+                    );
+                });
+            }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS payment_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            orderId TEXT,
+            event TEXT,
+            data TEXT,
+            ip TEXT,
+            userAgent TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) {
+                console.error('❌ Payment logs table error:', err.message);
+            } else {
+                console.log('✅ Payment logs table ready');
+
+                db.run(`CREATE INDEX IF NOT EXISTS idx_payment_logs_order ON payment_logs(orderId, createdAt)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating payment logs order index:', idxErr.message);
+                });
+                db.run(`CREATE INDEX IF NOT EXISTS idx_payment_logs_event ON payment_logs(event, createdAt)`, (idxErr) => {
+                    if (idxErr) console.error('❌ Error creating payment logs event index:', idxErr.message);
+                });
+            }
+        });
+
+        // Queued last, so every CREATE above has run by the time this fires
+        db.run(`SELECT 1`, async () => {
+            try {
+                await runMigrations();
+                console.log('✅ Database migrations completed');
+            } catch (error) {
+                console.error('❌ Migration error:', error.message);
+            }
+            resolveReady();
+        });
+    });
+}
+
+module.exports = {
+    run: (sql, params = []) => {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    },
+
+    get: (sql, params = []) => {
+        return new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    },
+
+    all: (sql, params = []) => {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    },
+
+    transaction: transaction,
+
+    close: () => {
+        return new Promise((resolve, reject) => {
+            txConnection.close(() => {
+                db.close((err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+    },
+
+    columnExists: (table, column) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT COUNT(*) as count FROM pragma_table_info('${table}') WHERE name = ?`,
+                [column],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row.count > 0);
+                }
+            );
+        });
+    },
+
+    ready: ready,
+
+    db: db,
+
+    Account: Account
 };
\ No newline at end of file
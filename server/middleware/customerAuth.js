@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('./auth');
+const Customer = require('../models/Customer');
+
+// Customer sessions are signed with their own secret, so a customer token can never pass
+// authenticateToken on the admin routes (and an admin token is no customer session)
+const CUSTOMER_JWT_SECRET = process.env.CUSTOMER_JWT_SECRET ||
+    crypto.createHmac('sha256', JWT_SECRET).update('customer-session').digest('hex');
+
+const CUSTOMER_TOKEN_TTL = process.env.CUSTOMER_TOKEN_TTL || '7d';
+
+// A token carries the customer's token_version; changing the password bumps it, which ends
+// every session signed before
+const signCustomerToken = (customer) => {
+    return jwt.sign(
+        { id: customer.id, email: customer.email, type: 'customer', ver: customer.token_version || 0 },
+        CUSTOMER_JWT_SECRET,
+        { expiresIn: CUSTOMER_TOKEN_TTL }
+    );
+};
+
+// Resolve the customer behind a "Bearer <token>" header, or null
+const customerFromRequest = async (req) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return null;
+
+    const payload = jwt.verify(token, CUSTOMER_JWT_SECRET);
+    if (payload.type !== 'customer') return null;
+
+    const customer = await Customer.findById(payload.id);
+    if (!customer || (payload.ver || 0) !== (customer.token_version || 0)) return null;
+
+    return customer;
+};
+
+const authenticateCustomer = async (req, res, next) => {
+    try {
+        const customer = await customerFromRequest(req);
+        if (!customer) {
+            return res.status(401).json({ success: false, error: 'Please log in to continue' });
+        }
+
+        req.customer = customer;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ success: false, error: 'Session expired. Please log in again.' });
+        }
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ success: false, error: 'Invalid session' });
+        }
+        console.error('❌ Customer auth error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to check session' });
+    }
+};
+
+// For routes open to guests: sets req.customer when a valid customer token is sent
+const optionalCustomer = async (req, res, next) => {
+    try {
+        req.customer = await customerFromRequest(req);
+    } catch (error) {
+        req.customer = null;
+    }
+    next();
+};
+
+module.exports = { authenticateCustomer, optionalCustomer, signCustomerToken, CUSTOMER_JWT_SECRET };
@@ -0,0 +1,32 @@
+const Order = require('../models/Order');
+
+// The order's access token, from ?token=, an X-Order-Token header or a `token` body field
+const getOrderToken = (req) => {
+    return req.query.token || req.headers['x-order-token'] || req.body?.token || null;
+};
+
+// Customer-facing routes for :orderId. An unknown order and a wrong token get the same 404,
+// so order IDs cannot be probed. The order is passed on as req.order.
+const requireOrderAccess = async (req, res, next) => {
+    try {
+        const order = await Order.findByOrderId(req.params.orderId);
+
+        if (!Order.hasAccess(order, getOrderToken(req))) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+
+        req.order = order;
+        next();
+    } catch (error) {
+        console.error('❌ Order access check error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to load order' });
+    }
+};
+
+// Link to a customer order page (pending, success, failed) that carries the access token
+const orderPageUrl = (page, order, params = {}) => {
+    const query = new URLSearchParams({ order: order.orderId, token: order.accessToken || '', ...params });
+    return `/${page}.html?${query}`;
+};
+
+module.exports = { requireOrderAccess, getOrderToken, orderPageUrl };
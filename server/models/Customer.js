@@ -0,0 +1,118 @@
+// server/models/Customer.js
+const db = require('../config/database');
+const bcrypt = require('bcryptjs');
+
+const Customer = {
+    // Public fields only; the password hash never leaves the model
+    format(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            email: row.email,
+            name: row.name || null,
+            phone: row.phone || null,
+            verified: !!row.verified,
+            verifiedAt: row.verified_at || null,
+            lastLoginAt: row.last_login_at || null,
+            createdAt: row.created_at
+        };
+    },
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    },
+
+    async findById(id) {
+        return await db.get('SELECT * FROM customers WHERE id = ?', [id]);
+    },
+
+    async findByEmail(email) {
+        return await db.get('SELECT * FROM customers WHERE email = ?', [this.normalizeEmail(email)]);
+    },
+
+    // Create an unverified customer. Throws with code EMAIL_TAKEN.
+    async create({ email, password, name = null, phone = null }) {
+        const address = this.normalizeEmail(email);
+
+        if (await this.findByEmail(address)) {
+            const error = new Error('An account with this email already exists');
+            error.code = 'EMAIL_TAKEN';
+            throw error;
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const result = await db.run(
+            'INSERT INTO customers (email, password, name, phone) VALUES (?, ?, ?, ?)',
+            [address, hashedPassword, name, phone]
+        );
+
+        return this.findById(result.id);
+    },
+
+    async verifyPassword(customer, password) {
+        if (!customer || typeof password !== 'string') return false;
+        return await bcrypt.compare(password, customer.password);
+    },
+
+    async recordLogin(id) {
+        await db.run('UPDATE customers SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    },
+
+    // Update name and phone; other fields have their own methods
+    async updateProfile(id, { name, phone }) {
+        const fields = [];
+        const values = [];
+
+        if (name !== undefined) {
+            fields.push('name = ?');
+            values.push(name || null);
+        }
+        if (phone !== undefined) {
+            fields.push('phone = ?');
+            values.push(phone || null);
+        }
+
+        if (fields.length > 0) {
+            values.push(id);
+            await db.run(`UPDATE customers SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, values);
+        }
+
+        return this.findById(id);
+    },
+
+    // Also bumps token_version, so sessions issued with the old password stop working
+    async changePassword(id, password) {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await db.run(
+            `UPDATE customers
+             SET password = ?, token_version = COALESCE(token_version, 0) + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [hashedPassword, id]
+        );
+        return this.findById(id);
+    },
+
+    // Mark the email verified and claim the guest orders placed with it. Orders are only
+    // claimed once the customer has shown they own the address.
+    async markVerified(id) {
+        const customer = await this.findById(id);
+        if (!customer) return null;
+
+        if (!customer.verified) {
+            await db.run(
+                'UPDATE customers SET verified = 1, verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
+        }
+
+        const claimed = await db.run(
+            'UPDATE orders SET customer_id = ? WHERE customer_id IS NULL AND lower(username) = ?',
+            [id, customer.email]
+        );
+
+        return { customer: await this.findById(id), claimedOrders: claimed.changes };
+    }
+};
+
+module.exports = Customer;
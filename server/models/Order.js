@@ -1,421 +1,624 @@
-// server/models/Order.js
-const db = require('../config/database');
-
-const Order = {
-    // Create new order
-    async create(orderData) {
-        const sql = `
-            INSERT INTO orders (
-                orderId, username, role, amount, status, 
-                paymentMethod, productId, accountData
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-        
-        const params = [
-            orderData.orderId,
-            orderData.username,
-            orderData.role || orderData.productName,
-            orderData.amount,
-            orderData.status || 'pending',
-            orderData.paymentMethod || null,
-            orderData.productId || orderData.roleId,
-            orderData.accountData ? JSON.stringify(orderData.accountData) : '{}'
-        ];
-        
-        await db.run(sql, params);
-        return this.findByOrderId(orderData.orderId);
-    },
-    
-    // Find by order ID
-    async findByOrderId(orderId) {
-        const order = await db.get('SELECT * FROM orders WHERE orderId = ?', [orderId]);
-        if (order) {
-            try {
-                order.accountData = JSON.parse(order.accountData || '{}');
-            } catch (e) {
-                order.accountData = {};
-            }
-            try {
-                order.pakasirData = JSON.parse(order.pakasirData || '{}');
-            } catch (e) {
-                order.pakasirData = {};
-            }
-        }
-        return order;
-    },
-    
-    // Update order
-    async update(orderId, updates) {
-        const fields = [];
-        const values = [];
-        
-        Object.keys(updates).forEach(key => {
-            if (key !== 'orderId') {
-                fields.push(`${key} = ?`);
-                
-                // Handle JSON data
-                if ((key === 'accountData' || key === 'pakasirData') && updates[key]) {
-                    values.push(JSON.stringify(updates[key]));
-                } else {
-                    values.push(updates[key]);
-                }
-            }
-        });
-        
-        if (fields.length === 0) {
-            return this.findByOrderId(orderId);
-        }
-        
-        values.push(orderId);
-        const sql = `UPDATE orders SET ${fields.join(', ')} WHERE orderId = ?`;
-        
-        await db.run(sql, values);
-        return this.findByOrderId(orderId);
-    },
-    
-    // Get all orders with filters
-    async findAll(filters = {}) {
-        let sql = 'SELECT * FROM orders WHERE 1=1';
-        const params = [];
-        
-        if (filters.status) {
-            sql += ' AND status = ?';
-            params.push(filters.status);
-        }
-        
-        if (filters.role) {
-            sql += ' AND role = ?';
-            params.push(filters.role);
-        }
-        
-        if (filters.productId) {
-            sql += ' AND productId = ?';
-            params.push(filters.productId);
-        }
-        
-        if (filters.username) {
-            sql += ' AND username LIKE ?';
-            params.push(`%${filters.username}%`);
-        }
-        
-        sql += ' ORDER BY createdAt DESC';
-        
-        if (filters.limit) {
-            sql += ' LIMIT ?';
-            params.push(parseInt(filters.limit));
-        }
-        
-        if (filters.offset) {
-            sql += ' OFFSET ?';
-            params.push(parseInt(filters.offset));
-        }
-        
-        const orders = await db.all(sql, params);
-        
-        // Parse JSON data
-        return orders.map(order => {
-            try {
-                order.accountData = JSON.parse(order.accountData || '{}');
-            } catch (e) {
-                order.accountData = {};
-            }
-            try {
-                order.pakasirData = JSON.parse(order.pakasirData || '{}');
-            } catch (e) {
-                order.pakasirData = {};
-            }
-            return order;
-        });
-    },
-    
-    // Count orders
-    async count(filters = {}) {
-        let sql = 'SELECT COUNT(*) as total FROM orders WHERE 1=1';
-        const params = [];
-        
-        if (filters.status) {
-            sql += ' AND status = ?';
-            params.push(filters.status);
-        }
-        
-        if (filters.role) {
-            sql += ' AND role = ?';
-            params.push(filters.role);
-        }
-        
-        const result = await db.get(sql, params);
-        return result.total;
-    },
-    
-    // Get revenue stats
-    async getRevenue() {
-        const sql = `
-            SELECT 
-                SUM(amount) as totalRevenue,
-                COUNT(*) as totalOrders,
-                SUM(CASE WHEN status = 'completed' THEN amount ELSE 0 END) as completedRevenue,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completedOrders,
-                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pendingOrders,
-                SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelledOrders
-            FROM orders
-        `;
-        
-        return await db.get(sql);
-    },
-    
-    // Get daily/weekly/monthly stats
-    async getTimeStats(period = 'daily') {
-        let dateFormat;
-        switch(period) {
-            case 'daily':
-                dateFormat = 'date(createdAt)';
-                break;
-            case 'weekly':
-                dateFormat = 'strftime("%Y-%W", createdAt)';
-                break;
-            case 'monthly':
-                dateFormat = 'strftime("%Y-%m", createdAt)';
-                break;
-            default:
-                dateFormat = 'date(createdAt)';
-        }
-        
-        const sql = `
-            SELECT 
-                ${dateFormat} as period,
-                COUNT(*) as orders,
-                SUM(amount) as revenue,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed
-            FROM orders
-            GROUP BY period
-            ORDER BY period DESC
-            LIMIT 30
-        `;
-        
-        return await db.all(sql);
-    },
-    
-    // Search orders with pagination
-    async search(query, filters = {}, page = 1, limit = 20) {
-        let sql = 'SELECT * FROM orders WHERE 1=1';
-        const params = [];
-        
-        // Search by orderId or username
-        if (query) {
-            sql += ' AND (orderId LIKE ? OR username LIKE ?)';
-            params.push(`%${query}%`, `%${query}%`);
-        }
-        
-        // Apply filters
-        if (filters.status) {
-            sql += ' AND status = ?';
-            params.push(filters.status);
-        }
-        
-        if (filters.role) {
-            sql += ' AND role = ?';
-            params.push(filters.role);
-        }
-        
-        if (filters.productId) {
-            sql += ' AND productId = ?';
-            params.push(filters.productId);
-        }
-        
-        // Date range filter
-        if (filters.startDate) {
-            sql += ' AND date(createdAt) >= date(?)';
-            params.push(filters.startDate);
-        }
-        
-        if (filters.endDate) {
-            sql += ' AND date(createdAt) <= date(?)';
-            params.push(filters.endDate);
-        }
-        
-        // Count total for pagination
-        const countSql = sql.replace('SELECT *', 'SELECT COUNT(*) as total');
-        const countResult = await db.get(countSql, params);
-        const total = countResult.total;
-        
-        // Add ordering and pagination
-        sql += ' ORDER BY createdAt DESC';
-        
-        const offset = (page - 1) * limit;
-        sql += ' LIMIT ? OFFSET ?';
-        params.push(limit, offset);
-        
-        const orders = await db.all(sql, params);
-        
-        // Parse JSON data
-        const parsedOrders = orders.map(order => {
-            try {
-                order.accountData = JSON.parse(order.accountData || '{}');
-            } catch (e) {
-                order.accountData = {};
-            }
-            try {
-                order.pakasirData = JSON.parse(order.pakasirData || '{}');
-            } catch (e) {
-                order.pakasirData = {};
-            }
-            return order;
-        });
-        
-        return {
-            orders: parsedOrders,
-            pagination: {
-                page,
-                limit,
-                total,
-                pages: Math.ceil(total / limit)
-            }
-        };
-    },
-    
-    // Delete order (admin only)
-    async delete(orderId) {
-        const sql = 'DELETE FROM orders WHERE orderId = ?';
-        const result = await db.run(sql, [orderId]);
-        return result.changes > 0;
-    },
-    
-    // Get product statistics
-    async getProductStats() {
-        const sql = `
-            SELECT 
-                productId,
-                role as productName,
-                COUNT(*) as totalOrders,
-                SUM(amount) as totalRevenue,
-                AVG(amount) as avgAmount,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completedOrders
-            FROM orders
-            GROUP BY productId
-            ORDER BY totalOrders DESC
-        `;
-        
-        return await db.all(sql);
-    },
-
-    async findOne(query) {
-        if (query.orderId) {
-            return await this.findByOrderId(query.orderId);
-        }
-        
-        // Search with other query
-        let sql = 'SELECT * FROM orders WHERE 1=1';
-        const params = [];
-        
-        Object.keys(query).forEach(key => {
-            sql += ` AND ${key} = ?`;
-            params.push(query[key]);
-        });
-        
-        sql += ' LIMIT 1';
-        const order = await db.get(sql, params);
-        
-        if (order) {
-            try {
-                order.accountData = JSON.parse(order.accountData || '{}');
-            } catch (e) {
-                order.accountData = {};
-            }
-            try {
-                order.pakasirData = JSON.parse(order.pakasirData || '{}');
-            } catch (e) {
-                order.pakasirData = {};
-            }
-        }
-        return order;
-    },
-    
-    async updateOne(query, updates) {
-        if (query.orderId) {
-            return await this.update(query.orderId, updates);
-        }
-        throw new Error('Update by orderId only supported');
-    },
-    
-    async count(filters = {}) {
-        let sql = 'SELECT COUNT(*) as total FROM orders WHERE 1=1';
-        const params = [];
-        
-        Object.keys(filters).forEach(key => {
-            sql += ` AND ${key} = ?`;
-            params.push(filters[key]);
-        });
-        
-        const result = await db.get(sql, params);
-        return result.total;
-    },
-    
-    // Get recent activity
-    async getRecentActivity(limit = 10) {
-        const sql = `
-            SELECT 
-                orderId,
-                username,
-                role as productName,
-                amount,
-                status,
-                createdAt,
-                productId,
-                CASE 
-                    WHEN status = 'completed' THEN 'success'
-                    WHEN status = 'pending' THEN 'warning'
-                    WHEN status = 'cancelled' THEN 'error'
-                    ELSE 'info'
-                END as statusType
-            FROM orders
-            ORDER BY createdAt DESC
-            LIMIT ?
-        `;
-        
-        return await db.all(sql, [limit]);
-    },
-    
-    // Get pending orders count
-    async getPendingCount() {
-        const result = await db.get('SELECT COUNT(*) as count FROM orders WHERE status = "pending"');
-        return result.count;
-    },
-    
-    // Get completed orders count
-    async getCompletedCount() {
-        const result = await db.get('SELECT COUNT(*) as count FROM orders WHERE status = "completed"');
-        return result.count;
-    },
-    
-    // Update order with account data after manual completion
-    async completeWithAccount(orderId, accountData) {
-        const sql = `
-            UPDATE orders 
-            SET status = 'completed',
-                accountData = ?,
-                completedAt = CURRENT_TIMESTAMP,
-                updatedAt = CURRENT_TIMESTAMP
-            WHERE orderId = ?
-        `;
-        
-        await db.run(sql, [JSON.stringify(accountData), orderId]);
-        return this.findByOrderId(orderId);
-    },
-    
-    // Cancel order
-    async cancelOrder(orderId, reason = '') {
-        const sql = `
-            UPDATE orders 
-            SET status = 'cancelled',
-                failedReason = ?,
-                failedAt = CURRENT_TIMESTAMP,
-                updatedAt = CURRENT_TIMESTAMP
-            WHERE orderId = ?
-        `;
-        
-        await db.run(sql, [reason, orderId]);
-        return this.findByOrderId(orderId);
-    }
-};
-
+// server/models/Order.js
+const crypto = require('crypto');
+const db = require('../config/database');
+const OrderEvent = require('./OrderEvent');
+const OrderState = require('../services/orderState.service');
+const DeliveryService = require('../services/delivery.service');
+const Encryption = require('../services/encryption.service');
+const Totp = require('../services/totp.service');
+
+// accountData is sealed at rest: reading an order leaves it in sealedAccountData, with an empty
+// accountData, until Order.deliveries opens it for the customer
+function parseAccountData(order) {
+    if (Encryption.isSealed(order.accountData)) {
+        order.sealedAccountData = order.accountData;
+        order.accountData = {};
+        return;
+    }
+    try {
+        order.accountData = JSON.parse(order.accountData || '{}');
+    } catch (e) {
+        order.accountData = {};
+    }
+}
+
+const Order = {
+    // Create new order. Every order starts out pending; later changes go through OrderStateService.
+    // orderData.actor and orderData.source describe who placed it for the order's history.
+    // The returned order carries its accessToken, which the customer needs for its pages.
+    // orderData.customerId links the order to a signed-in customer account.
+    // With a voucher, amount is the discounted total and discountAmount what the voucher took off.
+    async create(orderData) {
+        const sql = `
+            INSERT INTO orders (
+                orderId, username, role, amount, status, 
+                paymentMethod, paymentProvider, productId, variantId, quantity, accountData, pakasirData, accessToken,
+                customer_id, voucherCode, discountAmount
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        
+        const params = [
+            orderData.orderId,
+            orderData.username,
+            orderData.role || orderData.productName,
+            orderData.amount,
+            'pending',
+            orderData.paymentMethod || null,
+            orderData.paymentProvider || 'pakasir',
+            orderData.productId || orderData.roleId,
+            orderData.variantId || null,
+            parseInt(orderData.quantity) || 1,
+            orderData.accountData ? Encryption.sealJson(orderData.accountData) : '{}',
+            orderData.pakasirData ? JSON.stringify(orderData.pakasirData) : '{}',
+            this.generateAccessToken(),
+            orderData.customerId || null,
+            orderData.voucherCode || null,
+            parseInt(orderData.discountAmount) || 0
+        ];
+        
+        await db.run(sql, params);
+        
+        await OrderEvent.record({
+            orderId: orderData.orderId,
+            event: 'created',
+            toStatus: 'pending',
+            actor: orderData.actor || 'customer',
+            source: orderData.source || 'checkout',
+            payload: {
+                amount: orderData.amount,
+                paymentMethod: orderData.paymentMethod || null,
+                paymentProvider: orderData.paymentProvider || 'pakasir',
+                ...(orderData.voucherCode && {
+                    voucherCode: orderData.voucherCode,
+                    discountAmount: parseInt(orderData.discountAmount) || 0
+                })
+            }
+        });
+        
+        return this.findByOrderId(orderData.orderId);
+    },
+    
+    // Secret that customer-facing order pages and API calls must present
+    generateAccessToken() {
+        return crypto.randomBytes(24).toString('hex');
+    },
+    
+    // Whether token is the order's access token, compared in constant time
+    hasAccess(order, token) {
+        if (!order || !order.accessToken || typeof token !== 'string') return false;
+        
+        const expected = Buffer.from(order.accessToken);
+        const received = Buffer.from(token);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+    
+    // Find by order ID
+    async findByOrderId(orderId) {
+        const order = await db.get('SELECT * FROM orders WHERE orderId = ?', [orderId]);
+        if (order) {
+            parseAccountData(order);
+            try {
+                order.pakasirData = JSON.parse(order.pakasirData || '{}');
+            } catch (e) {
+                order.pakasirData = {};
+            }
+        }
+        return order;
+    },
+    
+    // What a customer may see of their own order: amounts, status, a link to its page and,
+    // once completed, the delivered credentials. Refunded or revoked accounts are not shown.
+    async customerView(order) {
+        const OrderItem = require('./OrderItem');
+        const { orderPageUrl } = require('../middleware/orderAccess');
+        const items = await OrderItem.findByOrder(order.orderId);
+        
+        return {
+            orderId: order.orderId,
+            product: order.role,
+            quantity: order.quantity,
+            amount: order.amount,
+            status: order.status,
+            createdAt: order.createdAt,
+            paidAt: order.paidAt || null,
+            completedAt: order.completedAt || null,
+            refundedAmount: order.refundedAmount || 0,
+            orderUrl: orderPageUrl(order.status === 'completed' ? 'success' : 'pending', order),
+            deliveries: order.status === 'completed' ? this.deliveries(order, items) : []
+        };
+    },
+    
+    // What was delivered, grouped per product line. Each unit is { type, ... } as its delivery
+    // type presents it: credentials, redeem_code, license_key or manual. Accounts whose 2FA code
+    // is a TOTP seed carry a totpUrl to the page showing its current code.
+    deliveries(order, items) {
+        return this.deliveredLines(order, items).map((line, lineIndex) => ({
+            ...line,
+            accounts: line.accounts.map((unit, index) => Totp.withLink(unit, order, lineIndex, index))
+        }));
+    },
+    
+    // The lines of Order.deliveries without links
+    deliveredLines(order, items) {
+        return this.deliveredUnits(order, items).map(line => ({
+            ...line,
+            accounts: line.accounts.map(unit => DeliveryService.present(unit))
+        }));
+    },
+    
+    // The lines of Order.deliveries with each unit as stored, e.g. an account row or a redeem
+    // code with its id. This is where a customer's sealed credentials are opened; throws with
+    // the codes of EncryptionService.open.
+    deliveredUnits(order, items) {
+        const OrderItem = require('./OrderItem');
+        const accountData = Encryption.openJson(order.sealedAccountData || order.accountData, {});
+        
+        if (Array.isArray(accountData?.items)) {
+            return accountData.items.map(line => ({
+                productName: line.productName,
+                quantity: line.quantity,
+                accounts: line.accounts || []
+            }));
+        }
+        
+        const lines = items.map(item => ({ ...item, accounts: OrderItem.openAccounts(item) }));
+        if (lines.some(line => line.accounts.length > 0)) {
+            return lines.map(line => ({
+                productName: line.productName,
+                quantity: line.quantity,
+                accounts: line.accounts
+            }));
+        }
+        
+        if (accountData?.email || accountData?.type) {
+            return [{
+                productName: order.role,
+                quantity: 1,
+                accounts: [accountData]
+            }];
+        }
+        
+        return [];
+    },
+    
+    // Take units (from Order.deliveredUnits) out of what the order shows as delivered, e.g.
+    // after a partial refund returned them to stock. conn is the caller's transaction.
+    async removeUnits(conn, order, units) {
+        const OrderItem = require('./OrderItem');
+        const unitKey = unit => `${unit.type || 'credentials'}:${unit.id}`;
+        const removed = new Set(units.map(unitKey));
+        const keep = unit => !removed.has(unitKey(unit));
+        
+        const accountData = Encryption.openJson(order.sealedAccountData || order.accountData, {});
+        if (Array.isArray(accountData?.items)) {
+            accountData.items = accountData.items.map(line => ({ ...line, accounts: (line.accounts || []).filter(keep) }));
+            await conn.run('UPDATE orders SET accountData = ? WHERE orderId = ?', [Encryption.sealJson(accountData), order.orderId]);
+        } else if ((accountData?.email || accountData?.type) && !keep(accountData)) {
+            await conn.run(`UPDATE orders SET accountData = '{}' WHERE orderId = ?`, [order.orderId]);
+        }
+        
+        const rows = await conn.all('SELECT * FROM order_items WHERE order_id = ?', [order.orderId]);
+        for (const item of rows.map(row => OrderItem.format(row))) {
+            const accounts = OrderItem.openAccounts(item);
+            const kept = accounts.filter(keep);
+            if (kept.length !== accounts.length) {
+                await conn.run('UPDATE order_items SET account_data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [Encryption.sealJson(kept), item.id]);
+            }
+        }
+    },
+    
+    // Update order fields. The status only changes through OrderStateService.transition.
+    async update(orderId, updates) {
+        if ('status' in updates) {
+            throw new Error('Order status can only be changed through OrderStateService.transition');
+        }
+        
+        const fields = [];
+        const values = [];
+        
+        Object.keys(updates).forEach(key => {
+            if (key !== 'orderId') {
+                fields.push(`${key} = ?`);
+                
+                // Handle JSON data
+                if (key === 'accountData' && updates[key]) {
+                    values.push(Encryption.sealJson(updates[key]));
+                } else if (key === 'pakasirData' && updates[key]) {
+                    values.push(JSON.stringify(updates[key]));
+                } else {
+                    values.push(updates[key]);
+                }
+            }
+        });
+        
+        if (fields.length === 0) {
+            return this.findByOrderId(orderId);
+        }
+        
+        values.push(orderId);
+        const sql = `UPDATE orders SET ${fields.join(', ')} WHERE orderId = ?`;
+        
+        await db.run(sql, values);
+        return this.findByOrderId(orderId);
+    },
+    
+    // Get all orders with filters
+    async findAll(filters = {}) {
+        let sql = 'SELECT * FROM orders WHERE 1=1';
+        const params = [];
+        
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+        
+        if (filters.role) {
+            sql += ' AND role = ?';
+            params.push(filters.role);
+        }
+        
+        if (filters.productId) {
+            sql += ' AND productId = ?';
+            params.push(filters.productId);
+        }
+        
+        if (filters.variantId) {
+            sql += ' AND variantId = ?';
+            params.push(filters.variantId);
+        }
+        
+        if (filters.username) {
+            sql += ' AND username LIKE ?';
+            params.push(`%${filters.username}%`);
+        }
+        
+        sql += ' ORDER BY createdAt DESC';
+        
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(parseInt(filters.limit));
+        }
+        
+        if (filters.offset) {
+            sql += ' OFFSET ?';
+            params.push(parseInt(filters.offset));
+        }
+        
+        const orders = await db.all(sql, params);
+        
+        // Parse JSON data
+        return orders.map(order => {
+            parseAccountData(order);
+            try {
+                order.pakasirData = JSON.parse(order.pakasirData || '{}');
+            } catch (e) {
+                order.pakasirData = {};
+            }
+            return order;
+        });
+    },
+    
+    // Count orders
+    async count(filters = {}) {
+        let sql = 'SELECT COUNT(*) as total FROM orders WHERE 1=1';
+        const params = [];
+        
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+        
+        if (filters.role) {
+            sql += ' AND role = ?';
+            params.push(filters.role);
+        }
+        
+        const result = await db.get(sql, params);
+        return result.total;
+    },
+    
+    // Get revenue stats, net of refunds
+    async getRevenue() {
+        const sql = `
+            SELECT 
+                SUM(amount) - SUM(COALESCE(refundedAmount, 0)) as totalRevenue,
+                COUNT(*) as totalOrders,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN amount - COALESCE(refundedAmount, 0) ELSE 0 END) as completedRevenue,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completedOrders,
+                SUM(COALESCE(refundedAmount, 0)) as refundedAmount,
+                SUM(CASE WHEN status = 'refunded' THEN 1 ELSE 0 END) as refundedOrders,
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pendingOrders,
+                SUM(CASE WHEN status = 'awaiting_stock' THEN 1 ELSE 0 END) as awaitingStockOrders,
+                SUM(CASE WHEN status = 'awaiting_delivery' THEN 1 ELSE 0 END) as awaitingDeliveryOrders,
+                SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelledOrders,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN COALESCE(discountAmount, 0) ELSE 0 END) as discountTotal,
+                SUM(CASE WHEN status IN ('completed', 'refunded') AND voucherCode IS NOT NULL THEN 1 ELSE 0 END) as voucherOrders
+            FROM orders
+        `;
+        
+        return await db.get(sql);
+    },
+    
+    // Get daily/weekly/monthly stats
+    async getTimeStats(period = 'daily') {
+        let dateFormat;
+        switch(period) {
+            case 'daily':
+                dateFormat = 'date(createdAt)';
+                break;
+            case 'weekly':
+                dateFormat = 'strftime("%Y-%W", createdAt)';
+                break;
+            case 'monthly':
+                dateFormat = 'strftime("%Y-%m", createdAt)';
+                break;
+            default:
+                dateFormat = 'date(createdAt)';
+        }
+        
+        const sql = `
+            SELECT 
+                ${dateFormat} as period,
+                COUNT(*) as orders,
+                SUM(amount) as revenue,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed
+            FROM orders
+            GROUP BY period
+            ORDER BY period DESC
+            LIMIT 30
+        `;
+        
+        return await db.all(sql);
+    },
+    
+    // Search orders with pagination
+    async search(query, filters = {}, page = 1, limit = 20) {
+        let sql = 'SELECT * FROM orders WHERE 1=1';
+        const params = [];
+        
+        // Search by orderId or username
+        if (query) {
+            sql += ' AND (orderId LIKE ? OR username LIKE ?)';
+            params.push(`%${query}%`, `%${query}%`);
+        }
+        
+        // Apply filters
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+        
+        if (filters.role) {
+            sql += ' AND role = ?';
+            params.push(filters.role);
+        }
+        
+        if (filters.productId) {
+            sql += ' AND productId = ?';
+            params.push(filters.productId);
+        }
+        
+        // Date range filter
+        if (filters.startDate) {
+            sql += ' AND date(createdAt) >= date(?)';
+            params.push(filters.startDate);
+        }
+        
+        if (filters.endDate) {
+            sql += ' AND date(createdAt) <= date(?)';
+            params.push(filters.endDate);
+        }
+        
+        // Count total for pagination
+        const countSql = sql.replace('SELECT *', 'SELECT COUNT(*) as total');
+        const countResult = await db.get(countSql, params);
+        const total = countResult.total;
+        
+        // Add ordering and pagination
+        sql += ' ORDER BY createdAt DESC';
+        
+        const offset = (page - 1) * limit;
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+        
+        const orders = await db.all(sql, params);
+        
+        // Parse JSON data
+        const parsedOrders = orders.map(order => {
+            parseAccountData(order);
+            try {
+                order.pakasirData = JSON.parse(order.pakasirData || '{}');
+            } catch (e) {
+                order.pakasirData = {};
+            }
+            return order;
+        });
+        
+        return {
+            orders: parsedOrders,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    },
+    
+    // Delete order (admin only)
+    async delete(orderId) {
+        const sql = 'DELETE FROM orders WHERE orderId = ?';
+        const result = await db.run(sql, [orderId]);
+        return result.changes > 0;
+    },
+    
+    // Get product statistics, one row per product with a per-variant breakdown
+    async getProductStats() {
+        const sql = `
+            SELECT 
+                productId,
+                variantId,
+                role as productName,
+                COUNT(*) as totalOrders,
+                SUM(amount) as totalRevenue,
+                AVG(amount) as avgAmount,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completedOrders
+            FROM orders
+            GROUP BY productId, variantId
+            ORDER BY totalOrders DESC
+        `;
+        
+        const rows = await db.all(sql);
+        const products = {};
+        
+        rows.forEach(row => {
+            if (!products[row.productId]) {
+                products[row.productId] = {
+                    productId: row.productId,
+                    productName: row.productName,
+                    totalOrders: 0,
+                    totalRevenue: 0,
+                    completedOrders: 0,
+                    variants: []
+                };
+            }
+            
+            const product = products[row.productId];
+            product.totalOrders += row.totalOrders;
+            product.totalRevenue += row.totalRevenue || 0;
+            product.completedOrders += row.completedOrders || 0;
+            
+            if (row.variantId) {
+                product.variants.push({
+                    variantId: row.variantId,
+                    variantName: row.productName,
+                    totalOrders: row.totalOrders,
+                    totalRevenue: row.totalRevenue || 0,
+                    avgAmount: row.avgAmount,
+                    completedOrders: row.completedOrders || 0
+                });
+            }
+        });
+        
+        return Object.values(products)
+            .map(product => ({
+                ...product,
+                avgAmount: product.totalOrders > 0 ? product.totalRevenue / product.totalOrders : 0
+            }))
+            .sort((a, b) => b.totalOrders - a.totalOrders);
+    },
+
+    async findOne(query) {
+        if (query.orderId) {
+            return await this.findByOrderId(query.orderId);
+        }
+        
+        // Search with other query
+        let sql = 'SELECT * FROM orders WHERE 1=1';
+        const params = [];
+        
+        Object.keys(query).forEach(key => {
+            sql += ` AND ${key} = ?`;
+            params.push(query[key]);
+        });
+        
+        sql += ' LIMIT 1';
+        const order = await db.get(sql, params);
+        
+        if (order) {
+            parseAccountData(order);
+            try {
+                order.pakasirData = JSON.parse(order.pakasirData || '{}');
+            } catch (e) {
+                order.pakasirData = {};
+            }
+        }
+        return order;
+    },
+    
+    async updateOne(query, updates) {
+        if (query.orderId) {
+            return await this.update(query.orderId, updates);
+        }
+        throw new Error('Update by orderId only supported');
+    },
+    
+    async count(filters = {}) {
+        let sql = 'SELECT COUNT(*) as total FROM orders WHERE 1=1';
+        const params = [];
+        
+        Object.keys(filters).forEach(key => {
+            sql += ` AND ${key} = ?`;
+            params.push(filters[key]);
+        });
+        
+        const result = await db.get(sql, params);
+        return result.total;
+    },
+    
+    // Get recent activity
+    async getRecentActivity(limit = 10) {
+        const sql = `
+            SELECT 
+                orderId,
+                username,
+                role as productName,
+                amount,
+                status,
+                createdAt,
+                productId,
+                CASE 
+                    WHEN status = 'completed' THEN 'success'
+                    WHEN status = 'pending' THEN 'warning'
+                    WHEN status = 'cancelled' THEN 'error'
+                    ELSE 'info'
+                END as statusType
+            FROM orders
+            ORDER BY createdAt DESC
+            LIMIT ?
+        `;
+        
+        return await db.all(sql, [limit]);
+    },
+    
+    // Get pending orders count
+    async getPendingCount() {
+        const result = await db.get('SELECT COUNT(*) as count FROM orders WHERE status = "pending"');
+        return result.count;
+    },
+    
+    // Get completed orders count
+    async getCompletedCount() {
+        const result = await db.get('SELECT COUNT(*) as count FROM orders WHERE status = "completed"');
+        return result.count;
+    },
+    
+    // Update a paid order with account data after manual completion
+    async completeWithAccount(orderId, accountData, actor = 'admin') {
+        await OrderState.transition(orderId, 'completed', {
+            actor,
+            source: 'admin',
+            fields: {
+                accountData: Encryption.sealJson(accountData),
+                completedAt: new Date().toISOString()
+            }
+        });
+        return this.findByOrderId(orderId);
+    },
+    
+    // Cancel a pending order
+    async cancelOrder(orderId, reason = '', actor = 'admin') {
+        await OrderState.transition(orderId, 'cancelled', {
+            actor,
+            source: 'admin',
+            payload: { reason },
+            fields: {
+                failedReason: reason,
+                failedAt: new Date().toISOString()
+            }
+        });
+        return this.findByOrderId(orderId);
+    }
+};
+
 module.exports = Order;
\ No newline at end of file
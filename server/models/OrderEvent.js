@@ -0,0 +1,42 @@
+// server/models/OrderEvent.js
+const db = require('../config/database');
+
+const OrderEvent = {
+    format(row) {
+        let payload = {};
+        try {
+            payload = JSON.parse(row.payload || '{}');
+        } catch (e) {
+            payload = { raw: row.payload };
+        }
+
+        return {
+            id: row.id,
+            orderId: row.order_id,
+            event: row.event,
+            fromStatus: row.from_status,
+            toStatus: row.to_status,
+            actor: row.actor,
+            source: row.source,
+            payload,
+            createdAt: row.created_at
+        };
+    },
+
+    // Record an event; pass the transaction's connection as conn to commit it together with the change
+    async record({ orderId, event, fromStatus = null, toStatus = null, actor = 'system', source = null, payload = {} }, conn = db) {
+        await conn.run(
+            `INSERT INTO order_events (order_id, event, from_status, to_status, actor, source, payload)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [orderId, event, fromStatus, toStatus, actor, source, JSON.stringify(payload || {})]
+        );
+    },
+
+    // An order's history, oldest first
+    async findByOrder(orderId) {
+        const rows = await db.all('SELECT * FROM order_events WHERE order_id = ? ORDER BY id ASC', [orderId]);
+        return rows.map(row => this.format(row));
+    }
+};
+
+module.exports = OrderEvent;
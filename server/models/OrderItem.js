@@ -0,0 +1,82 @@
+// server/models/OrderItem.js
+const db = require('../config/database');
+const Encryption = require('../services/encryption.service');
+
+const OrderItem = {
+    // What a line delivered is sealed at rest: accounts stays empty and sealedAccounts holds it
+    // until OrderItem.openAccounts is asked for it
+    format(row) {
+        if (!row) return null;
+
+        const sealed = Encryption.isSealed(row.account_data);
+        let accounts = [];
+        if (!sealed) {
+            try {
+                accounts = JSON.parse(row.account_data || '[]');
+            } catch (e) {
+                accounts = [];
+            }
+        }
+
+        return {
+            id: row.id,
+            orderId: row.order_id,
+            productId: row.product_id,
+            variantId: row.variant_id || null,
+            productName: row.product_name,
+            quantity: row.quantity,
+            unitPrice: row.unit_price,
+            subtotal: row.subtotal,
+            status: row.status || 'pending',
+            accounts,
+            sealedAccounts: sealed ? row.account_data : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    },
+
+    // Insert every line of a cart order
+    async createMany(orderId, items) {
+        for (const item of items) {
+            await db.run(
+                `INSERT INTO order_items (
+                    order_id, product_id, variant_id, product_name,
+                    quantity, unit_price, subtotal
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    orderId,
+                    item.productId,
+                    item.variantId || null,
+                    item.productName,
+                    item.quantity,
+                    item.unitPrice,
+                    item.unitPrice * item.quantity
+                ]
+            );
+        }
+
+        return this.findByOrder(orderId);
+    },
+
+    async findByOrder(orderId) {
+        const rows = await db.all('SELECT * FROM order_items WHERE order_id = ? ORDER BY id ASC', [orderId]);
+        return rows.map(row => this.format(row));
+    },
+
+    // What a delivered line holds, decrypted. Throws with the codes of EncryptionService.open.
+    openAccounts(item) {
+        return item.sealedAccounts ? Encryption.openJson(item.sealedAccounts, []) : item.accounts;
+    },
+
+    // Store the accounts allocated to a line, sealed, and mark it delivered
+    async markDelivered(id, accounts, conn = db) {
+        await conn.run(
+            `UPDATE order_items
+             SET status = 'delivered', account_data = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [Encryption.sealJson(accounts), id]
+        );
+    }
+};
+
+module.exports = OrderItem;
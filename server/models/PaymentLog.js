@@ -0,0 +1,100 @@
+// server/models/PaymentLog.js
+const db = require('../config/database');
+
+const PaymentLog = {
+    format(row) {
+        if (!row) return null;
+
+        let data = {};
+        try {
+            data = JSON.parse(row.data || '{}');
+        } catch (e) {
+            data = { raw: row.data };
+        }
+
+        return {
+            id: row.id,
+            orderId: row.orderId,
+            event: row.event,
+            data,
+            ip: row.ip,
+            userAgent: row.userAgent,
+            createdAt: row.createdAt
+        };
+    },
+
+    // Record a payment event. Logging never fails the payment flow it describes.
+    async record(event, orderId, data = {}, req = null) {
+        try {
+            await db.run(
+                'INSERT INTO payment_logs (orderId, event, data, ip, userAgent) VALUES (?, ?, ?, ?, ?)',
+                [
+                    orderId || null,
+                    event,
+                    JSON.stringify(data),
+                    req ? (req.headers['x-forwarded-for'] || req.ip || null) : null,
+                    req ? (req.headers['user-agent'] || null) : null
+                ]
+            );
+        } catch (error) {
+            console.error(`❌ Failed to record payment event ${event}:`, error.message);
+        }
+    },
+
+    // Search with { orderId, event, from, to, page, limit }; event also matches a prefix such as "webhook."
+    async search(filters = {}) {
+        let where = ' WHERE 1=1';
+        const params = [];
+
+        if (filters.orderId) {
+            where += ' AND orderId = ?';
+            params.push(filters.orderId);
+        }
+
+        if (filters.event) {
+            if (filters.event.endsWith('.')) {
+                where += ' AND event LIKE ?';
+                params.push(`${filters.event}%`);
+            } else {
+                where += ' AND event = ?';
+                params.push(filters.event);
+            }
+        }
+
+        if (filters.from) {
+            where += ' AND date(createdAt) >= date(?)';
+            params.push(filters.from);
+        }
+
+        if (filters.to) {
+            where += ' AND date(createdAt) <= date(?)';
+            params.push(filters.to);
+        }
+
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+
+        const { total } = await db.get(`SELECT COUNT(*) AS total FROM payment_logs${where}`, params);
+        const rows = await db.all(
+            `SELECT * FROM payment_logs${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        return {
+            logs: rows.map(row => this.format(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    },
+
+    async getEventTypes() {
+        const rows = await db.all('SELECT event, COUNT(*) AS count FROM payment_logs GROUP BY event ORDER BY event');
+        return rows;
+    }
+};
+
+module.exports = PaymentLog;
@@ -0,0 +1,252 @@
+// server/models/Product.js
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const ProductVariant = require('./ProductVariant');
+const DeliveryService = require('../services/delivery.service');
+const CredentialSchema = require('../services/credentialSchema.service');
+
+const PRODUCT_JSON_PATH = path.join(__dirname, '../../data/product.json');
+
+function parseJson(value) {
+    try {
+        return JSON.parse(value || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+const Product = {
+    // Shape a products row the way the storefront has always received it
+    format(row, variants = []) {
+        if (!row) return null;
+        const deliveryType = row.delivery_type || 'credentials';
+        const deliveryConfig = parseJson(row.delivery_config);
+        return {
+            id: row.product_id,
+            name: row.name,
+            price: row.price,
+            description: row.description || '',
+            image: row.image || '',
+            category: row.category || null,
+            stock: row.stock || 0,
+            status: row.status || 'active',
+            sortOrder: row.sort_order || 0,
+            archivedAt: row.archived_at || null,
+            deliveryType,
+            deliveryConfig,
+            // What each uploaded account of a credentials product holds
+            credentialFields: deliveryType === 'credentials' ? CredentialSchema.fieldsOf(deliveryConfig) : [],
+            variants,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    },
+
+    // A product as the storefront lists it: how it is delivered is for the admin routes only
+    publicView(product) {
+        const { deliveryConfig, credentialFields, ...rest } = product;
+        return rest;
+    },
+
+    // Get all products, active only unless includeArchived is set
+    async findAll(filters = {}) {
+        let sql = 'SELECT * FROM products WHERE 1=1';
+        const params = [];
+
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        } else if (!filters.includeArchived) {
+            sql += " AND status = 'active'";
+        }
+
+        if (filters.category) {
+            sql += ' AND category = ?';
+            params.push(filters.category);
+        }
+
+        sql += ' ORDER BY sort_order ASC, id ASC';
+
+        const rows = await db.all(sql, params);
+        const variants = await ProductVariant.findByProducts(
+            rows.map(row => row.product_id),
+            { includeArchived: filters.includeArchived }
+        );
+        return rows.map(row => this.format(row, variants[row.product_id] || []));
+    },
+
+    // Find by product ID (the slug used by orders and accounts)
+    async findById(productId, options = {}) {
+        const row = await db.get('SELECT * FROM products WHERE product_id = ?', [productId]);
+        if (!row) return null;
+
+        const variants = await ProductVariant.findByProduct(productId, options);
+        return this.format(row, variants);
+    },
+
+    async create(productData) {
+        const sql = `
+            INSERT INTO products (
+                product_id, name, price, description, image,
+                category, stock, status, sort_order, delivery_type, delivery_config
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await db.run(sql, [
+            productData.id,
+            productData.name,
+            parseInt(productData.price) || 0,
+            productData.description || '',
+            productData.image || '',
+            productData.category || null,
+            parseInt(productData.stock) || 0,
+            productData.status || 'active',
+            parseInt(productData.sortOrder) || 0,
+            productData.deliveryType || 'credentials',
+            productData.deliveryConfig || '{}'
+        ]);
+
+        return this.findById(productData.id);
+    },
+
+    // Stock is not among the fields: it always comes from the delivery pool, see refreshStock
+    async update(productId, updates) {
+        const columns = {
+            name: 'name',
+            price: 'price',
+            description: 'description',
+            image: 'image',
+            category: 'category',
+            sortOrder: 'sort_order',
+            deliveryType: 'delivery_type',
+            deliveryConfig: 'delivery_config'
+        };
+
+        const fields = [];
+        const values = [];
+
+        Object.keys(columns).forEach(key => {
+            if (updates[key] === undefined) return;
+            fields.push(`${columns[key]} = ?`);
+
+            if (key === 'price' || key === 'sortOrder') {
+                values.push(parseInt(updates[key]) || 0);
+            } else {
+                values.push(updates[key]);
+            }
+        });
+
+        if (fields.length === 0) {
+            return this.findById(productId);
+        }
+
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(productId);
+
+        await db.run(`UPDATE products SET ${fields.join(', ')} WHERE product_id = ?`, values);
+        return this.findById(productId);
+    },
+
+    // Archived products disappear from the storefront but keep their order history
+    async archive(productId) {
+        await db.run(
+            `UPDATE products
+             SET status = 'archived', archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE product_id = ?`,
+            [productId]
+        );
+        return this.findById(productId);
+    },
+
+    async restore(productId) {
+        await db.run(
+            `UPDATE products
+             SET status = 'active', archived_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE product_id = ?`,
+            [productId]
+        );
+        return this.findById(productId);
+    },
+
+    // Hard delete, only allowed while nothing references the product
+    async delete(productId) {
+        const usage = await db.get(
+            `SELECT
+                (SELECT COUNT(*) FROM accounts WHERE product_id = ?) as accounts,
+                (SELECT COUNT(*) FROM orders WHERE productId = ?) as orders`,
+            [productId, productId]
+        );
+
+        if (usage.accounts > 0 || usage.orders > 0) {
+            throw new Error(`Product has ${usage.accounts} accounts and ${usage.orders} orders, archive it instead`);
+        }
+
+        await db.run('DELETE FROM product_variants WHERE product_id = ?', [productId]);
+        const result = await db.run('DELETE FROM products WHERE product_id = ?', [productId]);
+        return result.changes > 0;
+    },
+
+    // Recalculate product and variant stock from the pool of the product's delivery type.
+    // Pass a transaction as conn to make it part of the same unit of work.
+    async refreshStock(productId, conn = db) {
+        await ProductVariant.refreshStock(productId, conn);
+
+        const stock = await DeliveryService.countAvailable(productId, null, conn);
+
+        await conn.run(
+            'UPDATE products SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ?',
+            [stock, productId]
+        );
+        return stock;
+    },
+
+    // One-shot import of the legacy data/product.json catalog, existing rows are left alone
+    async importFromJson(filePath = PRODUCT_JSON_PATH) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Product file not found: ${filePath}`);
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const roles = Array.isArray(data) ? data : (data.roles || []);
+
+        const results = { imported: 0, skipped: 0, errors: [] };
+
+        for (const [index, role] of roles.entries()) {
+            try {
+                if (!role.id || !role.name) {
+                    throw new Error('Missing id or name');
+                }
+
+                const existing = await this.findById(role.id);
+                if (existing) {
+                    results.skipped++;
+                    continue;
+                }
+
+                await this.create({
+                    id: role.id,
+                    name: role.name,
+                    price: role.price,
+                    description: role.description,
+                    image: role.image,
+                    category: role.category,
+                    stock: role.stock,
+                    sortOrder: role.role_id || index
+                });
+                results.imported++;
+            } catch (error) {
+                results.errors.push({ id: role.id, error: error.message });
+            }
+        }
+
+        return results;
+    },
+
+    async count() {
+        const result = await db.get('SELECT COUNT(*) as total FROM products');
+        return result.total;
+    }
+};
+
+module.exports = Product;
@@ -0,0 +1,157 @@
+// server/models/ProductVariant.js
+const db = require('../config/database');
+const DeliveryService = require('../services/delivery.service');
+
+const ProductVariant = {
+    format(row) {
+        if (!row) return null;
+        return {
+            id: row.variant_id,
+            productId: row.product_id,
+            name: row.name,
+            price: row.price,
+            sku: row.sku || null,
+            stock: row.stock || 0,
+            status: row.status || 'active',
+            sortOrder: row.sort_order || 0,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    },
+
+    // Get variants of one product, active only unless includeArchived is set
+    async findByProduct(productId, filters = {}) {
+        let sql = 'SELECT * FROM product_variants WHERE product_id = ?';
+        const params = [productId];
+
+        if (!filters.includeArchived) {
+            sql += " AND status = 'active'";
+        }
+
+        sql += ' ORDER BY sort_order ASC, price ASC, id ASC';
+
+        const rows = await db.all(sql, params);
+        return rows.map(row => this.format(row));
+    },
+
+    // Get variants of several products at once, grouped by product ID
+    async findByProducts(productIds, filters = {}) {
+        const grouped = {};
+        if (productIds.length === 0) return grouped;
+
+        let sql = `SELECT * FROM product_variants WHERE product_id IN (${productIds.map(() => '?').join(', ')})`;
+
+        if (!filters.includeArchived) {
+            sql += " AND status = 'active'";
+        }
+
+        sql += ' ORDER BY sort_order ASC, price ASC, id ASC';
+
+        const rows = await db.all(sql, productIds);
+        rows.forEach(row => {
+            if (!grouped[row.product_id]) grouped[row.product_id] = [];
+            grouped[row.product_id].push(this.format(row));
+        });
+        return grouped;
+    },
+
+    async findById(variantId) {
+        const row = await db.get('SELECT * FROM product_variants WHERE variant_id = ?', [variantId]);
+        return this.format(row);
+    },
+
+    async create(productId, variantData) {
+        const variantId = variantData.id || this.generateId(productId, variantData.name);
+
+        await db.run(
+            `INSERT INTO product_variants (
+                variant_id, product_id, name, price, sku, status, sort_order
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                variantId,
+                productId,
+                variantData.name,
+                parseInt(variantData.price) || 0,
+                variantData.sku || null,
+                variantData.status || 'active',
+                parseInt(variantData.sortOrder) || 0
+            ]
+        );
+
+        return this.findById(variantId);
+    },
+
+    async update(variantId, updates) {
+        const columns = {
+            name: 'name',
+            price: 'price',
+            sku: 'sku',
+            status: 'status',
+            sortOrder: 'sort_order'
+        };
+
+        const fields = [];
+        const values = [];
+
+        Object.keys(columns).forEach(key => {
+            if (updates[key] === undefined) return;
+            fields.push(`${columns[key]} = ?`);
+
+            if (key === 'price' || key === 'sortOrder') {
+                values.push(parseInt(updates[key]) || 0);
+            } else {
+                values.push(updates[key] || null);
+            }
+        });
+
+        if (fields.length === 0) {
+            return this.findById(variantId);
+        }
+
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(variantId);
+
+        await db.run(`UPDATE product_variants SET ${fields.join(', ')} WHERE variant_id = ?`, values);
+        return this.findById(variantId);
+    },
+
+    // Hard delete, only allowed while nothing references the variant
+    async delete(variantId) {
+        const usage = await db.get(
+            `SELECT
+                (SELECT COUNT(*) FROM accounts WHERE variant_id = ?) as accounts,
+                (SELECT COUNT(*) FROM orders WHERE variantId = ?) as orders`,
+            [variantId, variantId]
+        );
+
+        if (usage.accounts > 0 || usage.orders > 0) {
+            throw new Error(`Variant has ${usage.accounts} accounts and ${usage.orders} orders, archive it instead`);
+        }
+
+        const result = await db.run('DELETE FROM product_variants WHERE variant_id = ?', [variantId]);
+        return result.changes > 0;
+    },
+
+    // Recalculate stock of every variant of a product from the pool of its delivery type
+    async refreshStock(productId, conn = db) {
+        const variants = await conn.all('SELECT variant_id FROM product_variants WHERE product_id = ?', [productId]);
+
+        for (const variant of variants) {
+            const stock = await DeliveryService.countAvailable(productId, variant.variant_id, conn);
+            await conn.run(
+                'UPDATE product_variants SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE variant_id = ?',
+                [stock, variant.variant_id]
+            );
+        }
+    },
+
+    generateId(productId, name) {
+        const slug = String(name || 'variant')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return `${productId}__${slug || Date.now()}`;
+    }
+};
+
+module.exports = ProductVariant;
@@ -1,315 +1,255 @@
-const db = require('../config/database');
-
-const RedeemCode = {
-    // Create new redeem code
-    async create(codeData) {
-        const sql = `
-            INSERT INTO redeem_codes (code, role, used, usedBy, orderId) 
-            VALUES (?, ?, ?, ?, ?)
-        `;
-        
-        const params = [
-            codeData.code,
-            codeData.role,
-            codeData.used ? 1 : 0,
-            codeData.usedBy || null,
-            codeData.orderId || null
-        ];
-        
-        await db.run(sql, params);
-        return this.findByCode(codeData.code);
-    },
-    
-    // Find by code
-    async findByCode(code) {
-        return await db.get('SELECT * FROM redeem_codes WHERE code = ?', [code]);
-    },
-    
-    // Get available code for role
-    async getAvailableCode(role) {
-        return await db.get(
-            'SELECT * FROM redeem_codes WHERE role = ? AND used = 0 ORDER BY createdAt ASC LIMIT 1',
-            [role]
-        );
-    },
-    
-    // Mark code as used
-    async markAsUsed(code, usedBy, orderId = null) {
-        const sql = `
-            UPDATE redeem_codes 
-            SET used = 1, usedBy = ?, usedAt = CURRENT_TIMESTAMP, orderId = ?
-            WHERE code = ? AND used = 0
-        `;
-        
-        const result = await db.run(sql, [usedBy, orderId, code]);
-        
-        if (result.changes > 0) {
-            return this.findByCode(code);
-        }
-        return null;
-    },
-    
-    // Get all codes with filters
-    async findAll(filters = {}) {
-        let sql = 'SELECT * FROM redeem_codes WHERE 1=1';
-        const params = [];
-        
-        if (filters.role) {
-            sql += ' AND role = ?';
-            params.push(filters.role);
-        }
-        
-        if (filters.used !== undefined) {
-            sql += ' AND used = ?';
-            params.push(filters.used ? 1 : 0);
-        }
-        
-        sql += ' ORDER BY createdAt DESC';
-        
-        if (filters.limit) {
-            sql += ' LIMIT ?';
-            params.push(parseInt(filters.limit));
-        }
-        
-        if (filters.offset) {
-            sql += ' OFFSET ?';
-            params.push(parseInt(filters.offset));
-        }
-        
-        return await db.all(sql, params);
-    },
-    
-    // Count codes
-    async count(filters = {}) {
-        let sql = 'SELECT COUNT(*) as total FROM redeem_codes WHERE 1=1';
-        const params = [];
-        
-        if (filters.role) {
-            sql += ' AND role = ?';
-            params.push(filters.role);
-        }
-        
-        if (filters.used !== undefined) {
-            sql += ' AND used = ?';
-            params.push(filters.used ? 1 : 0);
-        }
-        
-        const result = await db.get(sql, params);
-        return result.total;
-    },
-    
-    // Add bulk codes
-    async addBulk(codes) {
-        const results = [];
-        
-        for (const codeData of codes) {
-            try {
-                const result = await this.create(codeData);
-                results.push({ success: true, code: result.code });
-            } catch (error) {
-                results.push({ success: false, code: codeData.code, error: error.message });
-            }
-        }
-        
-        return results;
-    },
-    
-    // Delete code by code string
-    async delete(code) {
-        const sql = 'DELETE FROM redeem_codes WHERE code = ? AND used = 0';
-        const result = await db.run(sql, [code]);
-        return result.changes > 0;
-    },
-    
-    // Delete multiple codes
-    async deleteMultiple(codes) {
-        if (!Array.isArray(codes) || codes.length === 0) {
-            return { deleted: 0, errors: [] };
-        }
-        
-        const results = {
-            deleted: 0,
-            errors: []
-        };
-        
-        // Delete in transaction if supported
-        for (const code of codes) {
-            try {
-                // Check if code exists and is not used
-                const existing = await this.findByCode(code);
-                if (!existing) {
-                    results.errors.push({ code, error: 'Code not found' });
-                    continue;
-                }
-                
-                if (existing.used) {
-                    results.errors.push({ code, error: 'Cannot delete used code' });
-                    continue;
-                }
-                
-                const deleted = await this.delete(code);
-                if (deleted) {
-                    results.deleted++;
-                }
-            } catch (error) {
-                results.errors.push({ code, error: error.message });
-            }
-        }
-        
-        return results;
-    },
-    
-    // Get codes statistics
-    async getStats() {
-        const sql = `
-            SELECT 
-                role,
-                COUNT(*) as total,
-                SUM(CASE WHEN used = 1 THEN 1 ELSE 0 END) as used,
-                SUM(CASE WHEN used = 0 THEN 1 ELSE 0 END) as available
-            FROM redeem_codes 
-            GROUP BY role
-            ORDER BY total DESC
-        `;
-        
-        return await db.all(sql);
-    },
-    
-    // Search codes with pagination
-    async search(query, filters = {}, page = 1, limit = 20) {
-        let sql = 'SELECT * FROM redeem_codes WHERE 1=1';
-        const params = [];
-        
-        // Search by code
-        if (query) {
-            sql += ' AND code LIKE ?';
-            params.push(`%${query}%`);
-        }
-        
-        // Apply filters
-        if (filters.role) {
-            sql += ' AND role = ?';
-            params.push(filters.role);
-        }
-        
-        if (filters.used !== undefined) {
-            sql += ' AND used = ?';
-            params.push(filters.used ? 1 : 0);
-        }
-        
-        // Count total for pagination
-        const countSql = sql.replace('SELECT *', 'SELECT COUNT(*) as total');
-        const countResult = await db.get(countSql, params);
-        const total = countResult.total;
-        
-        // Add ordering and pagination
-        sql += ' ORDER BY createdAt DESC';
-        
-        const offset = (page - 1) * limit;
-        sql += ' LIMIT ? OFFSET ?';
-        params.push(limit, offset);
-        
-        const codes = await db.all(sql, params);
-        
-        return {
-            codes,
-            pagination: {
-                page,
-                limit,
-                total,
-                pages: Math.ceil(total / limit)
-            }
-        };
-    },
-    
-    // Clean up expired codes (older than 30 days)
-    async cleanupExpired() {
-        const sql = `
-            DELETE FROM redeem_codes 
-            WHERE used = 0 
-            AND createdAt < datetime('now', '-30 days')
-        `;
-        
-        const result = await db.run(sql);
-        return result.changes;
-    },
-
-    async count(filters = {}) {
-        let sql = 'SELECT COUNT(*) as total FROM redeem_codes WHERE 1=1';
-        const params = [];
-        
-        Object.keys(filters).forEach(key => {
-            sql += ` AND ${key} = ?`;
-            params.push(filters[key]);
-        });
-        
-        const result = await db.get(sql, params);
-        return result.total;
-    },
-    
-    // Bulk update codes (mark as used/unused)
-    async bulkUpdate(codes, updates) {
-        if (!Array.isArray(codes) || codes.length === 0) {
-            return { updated: 0, errors: [] };
-        }
-        
-        const results = {
-            updated: 0,
-            errors: []
-        };
-        
-        for (const code of codes) {
-            try {
-                const existing = await this.findByCode(code);
-                if (!existing) {
-                    results.errors.push({ code, error: 'Code not found' });
-                    continue;
-                }
-                
-                // Build update SQL
-                const setClauses = [];
-                const params = [];
-                
-                if (updates.used !== undefined) {
-                    setClauses.push('used = ?');
-                    params.push(updates.used ? 1 : 0);
-                    
-                    if (updates.used) {
-                        setClauses.push('usedAt = CURRENT_TIMESTAMP');
-                        if (updates.usedBy) {
-                            setClauses.push('usedBy = ?');
-                            params.push(updates.usedBy);
-                        }
-                        if (updates.orderId) {
-                            setClauses.push('orderId = ?');
-                            params.push(updates.orderId);
-                        }
-                    } else {
-                        setClauses.push('usedAt = NULL');
-                        setClauses.push('usedBy = NULL');
-                        setClauses.push('orderId = NULL');
-                    }
-                }
-                
-                if (setClauses.length === 0) {
-                    continue;
-                }
-                
-                params.push(code);
-                const updateSql = `UPDATE redeem_codes SET ${setClauses.join(', ')} WHERE code = ?`;
-                
-                const result = await db.run(updateSql, params);
-                if (result.changes > 0) {
-                    results.updated++;
-                }
-                
-            } catch (error) {
-                results.errors.push({ code, error: error.message });
-            }
-        }
-        
-        return results;
-    }
-};
-
-module.exports = RedeemCode;
\ No newline at end of file
+// server/models/RedeemCode.js
+const db = require('../config/database');
+
+// Codes of a variant form their own pool; without a variant the whole product pool is used
+function poolFilter(productId, variantId) {
+    if (variantId) {
+        return { sql: 'product_id = ? AND variant_id = ?', params: [productId, variantId] };
+    }
+    return { sql: 'product_id = ?', params: [productId] };
+}
+
+// An available code stops being sellable once its expiry has passed, even before the
+// expire-redeem-codes job marks it
+const SELLABLE = `status = 'available' AND (expires_at IS NULL OR expires_at > datetime('now'))`;
+
+const RedeemCode = {
+    format(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            code: row.code,
+            productId: row.product_id,
+            variantId: row.variant_id || null,
+            source: row.source || 'generated',
+            status: row.status,
+            expiresAt: row.expires_at || null,
+            orderId: row.order_id || null,
+            soldTo: row.sold_to || null,
+            soldAt: row.sold_at || null,
+            createdBy: row.created_by || null,
+            createdAt: row.created_at
+        };
+    },
+
+    // SQLite's datetime() format, so stored expiries compare correctly with datetime('now')
+    toSqlDate(date) {
+        return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+    },
+
+    async findById(id) {
+        return await db.get('SELECT * FROM redeem_codes WHERE id = ?', [id]);
+    },
+
+    async findByCode(code) {
+        return await db.get('SELECT * FROM redeem_codes WHERE code = ?', [code]);
+    },
+
+    buildFilters(filters = {}) {
+        let sql = ' WHERE 1=1';
+        const params = [];
+
+        if (filters.productId) {
+            const pool = poolFilter(filters.productId, filters.variantId);
+            sql += ` AND ${pool.sql}`;
+            params.push(...pool.params);
+        }
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+        if (filters.orderId) {
+            sql += ' AND order_id = ?';
+            params.push(filters.orderId);
+        }
+        if (filters.search) {
+            sql += ' AND code LIKE ?';
+            params.push(`%${filters.search}%`);
+        }
+
+        return { sql, params };
+    },
+
+    // Codes matching productId/variantId, status, orderId and search, newest first
+    async findAll(filters = {}) {
+        const where = this.buildFilters(filters);
+        let sql = `SELECT * FROM redeem_codes${where.sql} ORDER BY created_at DESC, id DESC`;
+        const params = [...where.params];
+
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(parseInt(filters.limit));
+
+            if (filters.offset) {
+                sql += ' OFFSET ?';
+                params.push(parseInt(filters.offset));
+            }
+        }
+
+        return await db.all(sql, params);
+    },
+
+    async count(filters = {}) {
+        const where = this.buildFilters(filters);
+        const result = await db.get(`SELECT COUNT(*) as total FROM redeem_codes${where.sql}`, where.params);
+        return result.total;
+    },
+
+    // Insert codes, skipping any that already exist. codes are { code, productId, variantId,
+    // source, expiresAt, createdBy }. Resolves { added: [code], duplicates: [code] }.
+    async addMany(codes) {
+        return db.transaction(async (tx) => {
+            const added = [];
+            const duplicates = [];
+
+            for (const entry of codes) {
+                const result = await tx.run(
+                    `INSERT OR IGNORE INTO redeem_codes (code, product_id, variant_id, source, expires_at, created_by)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [
+                        entry.code,
+                        entry.productId,
+                        entry.variantId || null,
+                        entry.source || 'generated',
+                        entry.expiresAt || null,
+                        entry.createdBy || null
+                    ]
+                );
+
+                (result.changes > 0 ? added : duplicates).push(entry.code);
+            }
+
+            return { added, duplicates };
+        });
+    },
+
+    // Sellable codes in a product's (or variant's) pool
+    async countAvailable(productId, variantId = null, conn = db) {
+        const pool = poolFilter(productId, variantId);
+        const result = await conn.get(
+            `SELECT COUNT(*) as count FROM redeem_codes WHERE ${pool.sql} AND ${SELLABLE}`,
+            pool.params
+        );
+        return result.count;
+    },
+
+    // Hold `quantity` sellable codes for a pending order until it is paid, cancelled or the hold
+    // runs out. Resolves the number actually reserved.
+    async reserve(conn, productId, orderId, variantId = null, quantity = 1, minutes = 60) {
+        const pool = poolFilter(productId, variantId);
+        const result = await conn.run(
+            `UPDATE redeem_codes
+             SET status = 'reserved',
+                 order_id = ?,
+                 reserved_until = datetime('now', ?),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id IN (
+                 SELECT id FROM redeem_codes
+                 WHERE ${pool.sql} AND ${SELLABLE}
+                 ORDER BY expires_at IS NULL, expires_at ASC, id ASC
+                 LIMIT ?
+             ) AND status = 'available'`,
+            [orderId, `+${minutes} minutes`, ...pool.params, quantity]
+        );
+        return result.changes;
+    },
+
+    // Sell up to `quantity` codes to an order, codes it reserved at checkout first and then the
+    // ones closest to expiry. Resolves fewer rows than asked for when the pool runs short.
+    async claim(conn, productId, orderId, customerEmail, variantId = null, quantity = 1) {
+        const pool = poolFilter(productId, variantId);
+        const claimable = `(${SELLABLE} OR (status = 'reserved' AND order_id = ?))`;
+        const rows = await conn.all(
+            `UPDATE redeem_codes
+             SET status = 'sold',
+                 sold_at = CURRENT_TIMESTAMP,
+                 sold_to = ?,
+                 order_id = ?,
+                 reserved_until = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id IN (
+                 SELECT id FROM redeem_codes
+                 WHERE ${pool.sql} AND ${claimable}
+                 ORDER BY status = 'reserved' DESC, expires_at IS NULL, expires_at ASC, id ASC
+                 LIMIT ?
+             ) AND ${claimable}
+             RETURNING *`,
+            [customerEmail, orderId, ...pool.params, orderId, quantity, orderId]
+        );
+        return rows.sort((x, y) => x.id - y.id);
+    },
+
+    // Return reserved codes to the pool, either those of one order or every expired hold.
+    // Resolves the affected product IDs.
+    async releaseReservations(conn, orderId = null) {
+        const where = orderId
+            ? { sql: 'order_id = ?', params: [orderId] }
+            : { sql: "reserved_until <= datetime('now')", params: [] };
+
+        const rows = await conn.all(
+            `UPDATE redeem_codes
+             SET status = 'available',
+                 order_id = NULL,
+                 reserved_until = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE status = 'reserved' AND ${where.sql}
+             RETURNING product_id`,
+            where.params
+        );
+        return [...new Set(rows.map(row => row.product_id))];
+    },
+
+    // Take back the codes sold to a refunded order: 'restock' returns them to the pool,
+    // 'revoke' retires them. ids limits it to some of them. Resolves the affected codes.
+    async reverseSale(conn, orderId, action, ids = null) {
+        const update = action === 'restock'
+            ? `status = 'available', sold_at = NULL, sold_to = NULL, order_id = NULL`
+            : `status = 'revoked'`;
+
+        const only = ids ? `AND id IN (${ids.map(() => '?').join(', ')})` : '';
+        return conn.all(
+            `UPDATE redeem_codes
+             SET ${update},
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE order_id = ? AND status = 'sold' ${only}
+             RETURNING id, product_id, variant_id, code`,
+            [orderId, ...(ids || [])]
+        );
+    },
+
+    // Mark available codes whose expiry has passed. Resolves the number of codes expired.
+    async expire() {
+        const result = await db.run(
+            `UPDATE redeem_codes SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+             WHERE status = 'available' AND expires_at IS NOT NULL AND expires_at <= datetime('now')`
+        );
+        return result.changes;
+    },
+
+    // Sold (and revoked) codes belong to an order and stay for its history
+    async delete(id) {
+        const result = await db.run(`DELETE FROM redeem_codes WHERE id = ? AND status NOT IN ('sold', 'revoked')`, [id]);
+        return result.changes > 0;
+    },
+
+    // Code counts per product and variant pool
+    async getStats() {
+        return await db.all(`
+            SELECT
+                product_id as productId,
+                variant_id as variantId,
+                COUNT(*) as total,
+                SUM(CASE WHEN ${SELLABLE} THEN 1 ELSE 0 END) as available,
+                SUM(CASE WHEN status = 'reserved' THEN 1 ELSE 0 END) as reserved,
+                SUM(CASE WHEN status = 'sold' THEN 1 ELSE 0 END) as sold,
+                SUM(CASE WHEN status = 'expired' OR (status = 'available' AND NOT (${SELLABLE})) THEN 1 ELSE 0 END) as expired,
+                SUM(CASE WHEN ${SELLABLE} AND expires_at <= datetime('now', '+7 days') THEN 1 ELSE 0 END) as expiringSoon
+            FROM redeem_codes
+            GROUP BY product_id, variant_id
+            ORDER BY product_id, variant_id
+        `);
+    }
+};
+
+module.exports = RedeemCode;
@@ -0,0 +1,202 @@
+// server/models/Voucher.js
+const db = require('../config/database');
+
+// Redemptions of orders in these states no longer count against a voucher's limits. A partly
+// refunded order stays completed and keeps its redemption; one refunded in full gives it back.
+const RELEASED_STATUSES = ['expired', 'cancelled', 'failed', 'refunded'];
+
+const COUNTED_ORDER = `o.status NOT IN (${RELEASED_STATUSES.map(s => `'${s}'`).join(', ')})`;
+const ACTIVE_REDEMPTION = `(o.orderId IS NULL OR ${COUNTED_ORDER})`;
+
+const Voucher = {
+    format(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            code: row.code,
+            description: row.description || '',
+            type: row.type,
+            value: row.value,
+            maxDiscount: row.max_discount || null,
+            productId: row.product_id || null,
+            minSpend: row.min_spend || 0,
+            usageLimit: row.usage_limit || 0,
+            perCustomerLimit: row.per_customer_limit || 0,
+            startsAt: row.starts_at || null,
+            endsAt: row.ends_at || null,
+            status: row.status || 'active',
+            ...(row.used !== undefined && { used: row.used || 0, discountTotal: row.discount_total || 0 }),
+            createdBy: row.created_by || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    },
+
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    },
+
+    async findById(id) {
+        return await db.get('SELECT * FROM vouchers WHERE id = ?', [id]);
+    },
+
+    async findByCode(code) {
+        return await db.get('SELECT * FROM vouchers WHERE code = ?', [this.normalizeCode(code)]);
+    },
+
+    // Every voucher with its active redemptions and the discount they gave
+    async findAll(filters = {}) {
+        let sql = `
+            SELECT v.*,
+                (SELECT COUNT(*) FROM voucher_redemptions r LEFT JOIN orders o ON o.orderId = r.order_id
+                    WHERE r.voucher_id = v.id AND ${ACTIVE_REDEMPTION}) as used,
+                (SELECT COALESCE(SUM(r.discount), 0) FROM voucher_redemptions r LEFT JOIN orders o ON o.orderId = r.order_id
+                    WHERE r.voucher_id = v.id AND ${ACTIVE_REDEMPTION}) as discount_total
+            FROM vouchers v WHERE 1=1
+        `;
+        const params = [];
+
+        if (filters.status) {
+            sql += ' AND v.status = ?';
+            params.push(filters.status);
+        }
+        if (filters.productId) {
+            sql += ' AND v.product_id = ?';
+            params.push(filters.productId);
+        }
+
+        sql += ' ORDER BY v.created_at DESC, v.id DESC';
+        return await db.all(sql, params);
+    },
+
+    async create(data) {
+        const result = await db.run(
+            `INSERT INTO vouchers (
+                code, description, type, value, max_discount, product_id, min_spend,
+                usage_limit, per_customer_limit, starts_at, ends_at, status, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                this.normalizeCode(data.code),
+                data.description || null,
+                data.type,
+                data.value,
+                data.maxDiscount || null,
+                data.productId || null,
+                data.minSpend || 0,
+                data.usageLimit || 0,
+                data.perCustomerLimit || 0,
+                data.startsAt || null,
+                data.endsAt || null,
+                data.status || 'active',
+                data.createdBy || null
+            ]
+        );
+
+        return this.findById(result.id);
+    },
+
+    // Update the given fields, keyed like format()
+    async update(id, updates) {
+        const columns = {
+            code: 'code',
+            description: 'description',
+            type: 'type',
+            value: 'value',
+            maxDiscount: 'max_discount',
+            productId: 'product_id',
+            minSpend: 'min_spend',
+            usageLimit: 'usage_limit',
+            perCustomerLimit: 'per_customer_limit',
+            startsAt: 'starts_at',
+            endsAt: 'ends_at',
+            status: 'status'
+        };
+
+        const fields = [];
+        const values = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (updates[key] === undefined) continue;
+            fields.push(`${column} = ?`);
+            values.push(key === 'code' ? this.normalizeCode(updates[key]) : updates[key]);
+        }
+
+        if (fields.length > 0) {
+            values.push(id);
+            await db.run(`UPDATE vouchers SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, values);
+        }
+
+        return this.findById(id);
+    },
+
+    // Only vouchers that were never redeemed can be deleted; used ones are deactivated instead
+    async delete(id) {
+        const usage = await db.get('SELECT COUNT(*) as count FROM voucher_redemptions WHERE voucher_id = ?', [id]);
+        if (usage.count > 0) {
+            const error = new Error(`Voucher was used on ${usage.count} orders, deactivate it instead`);
+            error.code = 'VOUCHER_IN_USE';
+            throw error;
+        }
+
+        const result = await db.run('DELETE FROM vouchers WHERE id = ?', [id]);
+        return result.changes > 0;
+    },
+
+    // Active redemptions overall and for one customer. Pass a transaction as conn to count
+    // inside the same unit of work that records a new redemption.
+    async usage(voucherId, customerKey, conn = db) {
+        const row = await conn.get(
+            `SELECT COUNT(*) as total,
+                    COALESCE(SUM(CASE WHEN r.customer_key = ? THEN 1 ELSE 0 END), 0) as customer
+             FROM voucher_redemptions r LEFT JOIN orders o ON o.orderId = r.order_id
+             WHERE r.voucher_id = ? AND ${ACTIVE_REDEMPTION}`,
+            [customerKey, voucherId]
+        );
+
+        return { total: row.total || 0, customer: row.customer || 0 };
+    },
+
+    async recordRedemption({ voucherId, orderId, customerKey, discount }, conn = db) {
+        await conn.run(
+            'INSERT INTO voucher_redemptions (voucher_id, order_id, customer_key, discount) VALUES (?, ?, ?, ?)',
+            [voucherId, orderId, customerKey, discount]
+        );
+    },
+
+    async deleteRedemption(orderId) {
+        const result = await db.run('DELETE FROM voucher_redemptions WHERE order_id = ?', [orderId]);
+        return result.changes > 0;
+    },
+
+    // A voucher's redemptions with the state of their orders, newest first
+    async redemptions(voucherId, limit = 100) {
+        return await db.all(
+            `SELECT r.order_id as orderId, r.customer_key as customer, r.discount, r.created_at as createdAt,
+                    o.status, o.amount
+             FROM voucher_redemptions r LEFT JOIN orders o ON o.orderId = r.order_id
+             WHERE r.voucher_id = ?
+             ORDER BY r.created_at DESC, r.id DESC
+             LIMIT ?`,
+            [voucherId, limit]
+        );
+    },
+
+    // Usage per voucher for reporting, over the same orders that count against its limits.
+    // Revenue only comes from the ones that were paid for.
+    async report() {
+        return await db.all(`
+            SELECT v.id, v.code, v.type, v.value, v.product_id as productId, v.status,
+                COUNT(o.orderId) as orders,
+                COALESCE(SUM(o.discountAmount), 0) as discountTotal,
+                COALESCE(SUM(CASE WHEN o.status != 'pending' THEN o.amount - COALESCE(o.refundedAmount, 0) ELSE 0 END), 0) as revenue,
+                COUNT(DISTINCT CASE WHEN o.orderId IS NOT NULL THEN r.customer_key END) as customers
+            FROM vouchers v
+            LEFT JOIN voucher_redemptions r ON r.voucher_id = v.id
+            LEFT JOIN orders o ON o.orderId = r.order_id AND ${COUNTED_ORDER}
+            GROUP BY v.id
+            ORDER BY orders DESC, v.code
+        `);
+    }
+};
+
+module.exports = Voucher;
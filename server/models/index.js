@@ -1,7 +1,21 @@
-const Order = require('./Order');
-const RedeemCode = require('./RedeemCode');
-
-module.exports = {
-    Order,
-    RedeemCode
+const Customer = require('./Customer');
+const Order = require('./Order');
+const OrderItem = require('./OrderItem');
+const OrderEvent = require('./OrderEvent');
+const PaymentLog = require('./PaymentLog');
+const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const RedeemCode = require('./RedeemCode');
+const Voucher = require('./Voucher');
+
+module.exports = {
+    Customer,
+    Order,
+    OrderItem,
+    OrderEvent,
+    PaymentLog,
+    Product,
+    ProductVariant,
+    RedeemCode,
+    Voucher
 };
\ No newline at end of file
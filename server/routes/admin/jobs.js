@@ -0,0 +1,71 @@
+// server/routes/admin/jobs.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const scheduler = require('../../services/scheduler.service');
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs with their latest run
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const jobs = await scheduler.list();
+        res.json({ success: true, jobs });
+    } catch (error) {
+        console.error('❌ Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load jobs'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/jobs/runs
+ * Run history, filter with ?job=&status=&limit=
+ */
+router.get('/runs', authenticateToken, async (req, res) => {
+    try {
+        const runs = await scheduler.getRuns({
+            job: req.query.job,
+            status: req.query.status,
+            limit: req.query.limit
+        });
+
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('❌ Get job runs error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load job runs'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a job right away
+ */
+router.post('/:name/run', authenticateToken, async (req, res) => {
+    try {
+        if (!scheduler.jobs.has(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const run = await scheduler.run(req.params.name, `admin:${req.admin?.username || 'unknown'}`);
+
+        res.json({ success: run.status !== 'failed', run });
+    } catch (error) {
+        console.error('❌ Run job error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to run job'
+        });
+    }
+});
+
+module.exports = router;
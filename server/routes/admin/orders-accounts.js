@@ -1,571 +1,980 @@
-// server/routes/admin/orders-accounts.js
-const express = require('express');
-const router = express.Router();
-const { authenticateToken } = require('../../middleware/auth');
-const { db, Account } = require('../../config/database');
-const whatsappBot = require('../../models/WhatsAppBot');
-const fs = require('fs');
-const path = require('path');
-
-// ==================== ACCOUNTS ROUTES ====================
-
-/**
- * GET /api/admin/accounts
- * Get all accounts with pagination and filters
- */
-// ==================== ACCOUNTS ROUTES ====================
-
-/**
- * GET /api/admin/accounts
- * Get all accounts with pagination and filters
- */
-router.get('/accounts', authenticateToken, async (req, res) => {
-    try {
-        console.log('📦 Fetching accounts with filters:', req.query);
-        console.log('🔑 Admin ID:', req.admin?.id);
-        
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-
-        const filters = {
-            product_id: req.query.product_id,
-            status: req.query.status,
-            limit,
-            offset
-        };
-
-        console.log('🔍 Filters:', filters);
-
-        // Get accounts with pagination
-        const accounts = await Account.getAll(filters);
-        console.log(`✅ Found ${accounts.length} accounts`);
-        
-        // Get total stats
-        const stats = await Account.getStats();
-        console.log('📊 Account stats:', stats);
-
-        // If product_id is specified, also get stock count for that product
-        if (req.query.product_id) {
-            const stock = await Account.getStock(req.query.product_id);
-            console.log(`📦 Stock for ${req.query.product_id}: ${stock}`);
-        }
-
-        res.json({ 
-            success: true, 
-            accounts: accounts || [],
-            pagination: {
-                page,
-                limit,
-                total: stats?.total || 0,
-                pages: Math.ceil((stats?.total || 0) / limit)
-            }
-        });
-
-    } catch (error) {
-        console.error('❌ Get accounts error:', error);
-        console.error('Stack:', error.stack);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to load accounts',
-            details: error.toString()
-        });
-    }
-});
-
-/**
- * POST /api/admin/accounts/upload
- * Upload multiple accounts from JSON
- */
-router.post('/accounts/upload', authenticateToken, async (req, res) => {
-    try {
-        const { productId, accounts } = req.body;
-
-        if (!productId || !accounts || !Array.isArray(accounts)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Product ID and accounts array are required' 
-            });
-        }
-
-        if (accounts.length === 0) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Accounts array cannot be empty' 
-            });
-        }
-
-        console.log(`📤 Uploading ${accounts.length} accounts for product: ${productId}`);
-
-        // Validate each account has required fields
-        const invalidAccounts = accounts.filter(acc => !acc.email || !acc.password);
-        if (invalidAccounts.length > 0) {
-            return res.status(400).json({ 
-                success: false, 
-                error: `${invalidAccounts.length} accounts missing email or password` 
-            });
-        }
-
-        // Add accounts to database
-        const result = await Account.addAccounts(accounts.map(acc => ({
-            productId,
-            email: acc.email.trim(),
-            password: acc.password,
-            twofa: acc.twofa || acc.twofa_code || null,
-            additional: acc.additional || {}
-        })));
-
-        // Update product stock in product.json
-        const rolesPath = path.join(__dirname, '../../../data/product.json');
-        if (fs.existsSync(rolesPath)) {
-            try {
-                const rolesData = JSON.parse(fs.readFileSync(rolesPath, 'utf8'));
-                const roleIndex = (rolesData.roles || []).findIndex(r => r.id === productId);
-                if (roleIndex !== -1) {
-                    const stock = await Account.getStock(productId);
-                    rolesData.roles[roleIndex].stock = stock;
-                    fs.writeFileSync(rolesPath, JSON.stringify(rolesData, null, 2));
-                    console.log(`📊 Updated stock for ${productId}: ${stock}`);
-                }
-            } catch (e) {
-                console.error('Error updating product.json:', e);
-            }
-        }
-
-        res.json({ 
-            success: true, 
-            message: `${result.added} accounts uploaded successfully`,
-            errors: result.errors.length > 0 ? result.errors : undefined
-        });
-
-    } catch (error) {
-        console.error('❌ Upload accounts error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to upload accounts'
-        });
-    }
-});
-
-/**
- * GET /api/admin/accounts/stats
- * Get account statistics
- */
-router.get('/accounts/stats', authenticateToken, async (req, res) => {
-    try {
-        const stats = await Account.getStats();
-        res.json({ 
-            success: true, 
-            stats: {
-                total: stats.total || 0,
-                available: stats.available || 0,
-                sold: stats.sold || 0
-            }
-        });
-    } catch (error) {
-        console.error('❌ Account stats error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to load stats'
-        });
-    }
-});
-
-/**
- * GET /api/admin/accounts/:id
- * Get single account by ID
- */
-router.get('/accounts/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        const account = await Account.getById(id);
-
-        if (!account) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Account not found' 
-            });
-        }
-
-        res.json({ 
-            success: true, 
-            account 
-        });
-
-    } catch (error) {
-        console.error('❌ Get account error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to load account'
-        });
-    }
-});
-
-/**
- * DELETE /api/admin/accounts/:id
- * Delete an account (only if available)
- */
-router.delete('/accounts/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // Get account first to check status
-        const account = await Account.getById(id);
-
-        if (!account) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Account not found' 
-            });
-        }
-
-        // Prevent deletion of sold accounts
-        if (account.status === 'sold') {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Cannot delete sold accounts' 
-            });
-        }
-
-        // Delete the account
-        await Account.delete(id);
-
-        // Update product stock in product.json
-        if (account.product_id) {
-            const rolesPath = path.join(__dirname, '../../../data/product.json');
-            if (fs.existsSync(rolesPath)) {
-                try {
-                    const rolesData = JSON.parse(fs.readFileSync(rolesPath, 'utf8'));
-                    const roleIndex = (rolesData.roles || []).findIndex(r => r.id === account.product_id);
-                    if (roleIndex !== -1) {
-                        const stock = await Account.getStock(account.product_id);
-                        rolesData.roles[roleIndex].stock = stock;
-                        fs.writeFileSync(rolesPath, JSON.stringify(rolesData, null, 2));
-                    }
-                } catch (e) {
-                    console.error('Error updating product.json:', e);
-                }
-            }
-        }
-
-        res.json({ 
-            success: true, 
-            message: 'Account deleted successfully' 
-        });
-
-    } catch (error) {
-        console.error('❌ Delete account error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to delete account'
-        });
-    }
-});
-
-// ==================== ORDERS ROUTES ====================
-
-/**
- * GET /api/admin/orders
- * Get all orders with pagination and filters
- */
-router.get('/orders', authenticateToken, async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-
-        let sql = `SELECT * FROM orders WHERE 1=1`;
-        const params = [];
-
-        // Filter by status
-        if (req.query.status) {
-            sql += ` AND status = ?`;
-            params.push(req.query.status);
-        }
-
-        // Filter by product
-        if (req.query.product) {
-            sql += ` AND role = ?`;
-            params.push(req.query.product);
-        }
-
-        // Search by orderId or username
-        if (req.query.search) {
-            sql += ` AND (orderId LIKE ? OR username LIKE ?)`;
-            params.push(`%${req.query.search}%`, `%${req.query.search}%`);
-        }
-
-        // Get total count for pagination
-        const countResult = await new Promise((resolve, reject) => {
-            db.get(`SELECT COUNT(*) as count FROM orders WHERE 1=1`, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
-        const total = countResult?.count || 0;
-
-        // Add pagination
-        sql += ` ORDER BY createdAt DESC LIMIT ? OFFSET ?`;
-        params.push(limit, offset);
-
-        // Get orders
-        const orders = await new Promise((resolve, reject) => {
-            db.all(sql, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
-
-        // Load product names from product.json
-        const rolesPath = path.join(__dirname, '../../../data/product.json');
-        let roles = [];
-        if (fs.existsSync(rolesPath)) {
-            try {
-                const rolesData = JSON.parse(fs.readFileSync(rolesPath, 'utf8'));
-                roles = rolesData.roles || [];
-            } catch (e) {
-                console.error('Error reading product.json:', e);
-            }
-        }
-
-        // Add product names to orders
-        const ordersWithNames = orders.map(order => ({
-            ...order,
-            productName: roles.find(r => r.id === order.role)?.name || order.role,
-            accountData: order.accountData ? JSON.parse(order.accountData) : null
-        }));
-
-        res.json({
-            success: true,
-            orders: ordersWithNames,
-            pagination: {
-                page,
-                limit,
-                total,
-                pages: Math.ceil(total / limit)
-            }
-        });
-
-    } catch (error) {
-        console.error('❌ Orders error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to load orders'
-        });
-    }
-});
-
-/**
- * POST /api/admin/orders/:orderId/complete
- * Manually complete an order and send account to customer
- */
-router.post('/orders/:orderId/complete', authenticateToken, async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        const { accountId } = req.body;
-
-        if (!accountId) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Account ID is required' 
-            });
-        }
-
-        console.log(`✅ Completing order ${orderId} with account ${accountId}`);
-
-        // Get order from database
-        const order = await new Promise((resolve, reject) => {
-            db.get('SELECT * FROM orders WHERE orderId = ?', [orderId], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
-
-        if (!order) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Order not found' 
-            });
-        }
-
-        // Check if order is pending
-        if (order.status !== 'pending') {
-            return res.status(400).json({ 
-                success: false, 
-                error: `Order is not pending (current status: ${order.status})` 
-            });
-        }
-
-        // Get account by ID
-        const account = await Account.getById(accountId);
-        if (!account) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Account not found' 
-            });
-        }
-
-        // Check if account is available
-        if (account.status !== 'available') {
-            return res.status(400).json({ 
-                success: false, 
-                error: `Account is not available (status: ${account.status})` 
-            });
-        }
-
-        // Mark account as sold
-        const soldAccount = await Account.markAsSold(account.product_id, orderId, order.username);
-        
-        if (!soldAccount) {
-            return res.status(500).json({ 
-                success: false, 
-                error: 'Failed to mark account as sold' 
-            });
-        }
-
-        // Update order status to completed
-        await new Promise((resolve, reject) => {
-            db.run(
-                `UPDATE orders SET 
-                    status = 'completed',
-                    accountData = ?,
-                    completedAt = CURRENT_TIMESTAMP,
-                    updatedAt = CURRENT_TIMESTAMP
-                WHERE orderId = ?`,
-                [JSON.stringify(soldAccount), orderId],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve();
-                }
-            );
-        });
-
-        // Get product name from product.json
-        const rolesPath = path.join(__dirname, '../../../data/product.json');
-        let productName = order.role;
-        if (fs.existsSync(rolesPath)) {
-            try {
-                const rolesData = JSON.parse(fs.readFileSync(rolesPath, 'utf8'));
-                const role = (rolesData.roles || []).find(r => r.id === order.role);
-                if (role) productName = role.name;
-            } catch (e) {
-                console.error('Error reading product.json:', e);
-            }
-        }
-
-        // Send email to customer with account details
-        try {
-            await whatsappBot.sendAccountEmail(order.username, {
-                orderId: order.orderId,
-                productName: productName,
-                amount: order.amount,
-                accountData: soldAccount,
-                customer: order.username,
-                paymentMethod: order.paymentMethod
-            });
-            console.log(`✅ Email sent to ${order.username} for order ${orderId}`);
-        } catch (emailError) {
-            console.error('❌ Email sending failed:', emailError);
-            // Don't fail the order if email fails, just log it
-        }
-
-        // Update role stock in product.json
-        if (fs.existsSync(rolesPath)) {
-            try {
-                const rolesData = JSON.parse(fs.readFileSync(rolesPath, 'utf8'));
-                const roleIndex = (rolesData.roles || []).findIndex(r => r.id === order.role);
-                if (roleIndex !== -1) {
-                    const stock = await Account.getStock(order.role);
-                    rolesData.roles[roleIndex].stock = stock;
-                    fs.writeFileSync(rolesPath, JSON.stringify(rolesData, null, 2));
-                    console.log(`📊 Updated stock for ${order.role}: ${stock}`);
-                }
-            } catch (e) {
-                console.error('Error updating product.json stock:', e);
-            }
-        }
-
-        res.json({ 
-            success: true, 
-            message: 'Order completed successfully',
-            account: {
-                email: soldAccount.email,
-                product: soldAccount.product_id
-            }
-        });
-
-    } catch (error) {
-        console.error('❌ Complete order error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to complete order'
-        });
-    }
-});
-
-/**
- * POST /api/admin/orders/:orderId/cancel
- * Cancel a pending order
- */
-router.post('/orders/:orderId/cancel', authenticateToken, async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        const { reason } = req.body;
-
-        // Get order from database
-        const order = await new Promise((resolve, reject) => {
-            db.get('SELECT * FROM orders WHERE orderId = ?', [orderId], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
-
-        if (!order) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Order not found' 
-            });
-        }
-
-        // Check if order is pending
-        if (order.status !== 'pending') {
-            return res.status(400).json({ 
-                success: false, 
-                error: `Order is not pending (current status: ${order.status})` 
-            });
-        }
-
-        // Update order status to cancelled
-        await new Promise((resolve, reject) => {
-            db.run(
-                `UPDATE orders SET 
-                    status = 'cancelled',
-                    failedReason = ?,
-                    failedAt = CURRENT_TIMESTAMP,
-                    updatedAt = CURRENT_TIMESTAMP
-                WHERE orderId = ?`,
-                [reason || 'Cancelled by admin', orderId],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve();
-                }
-            );
-        });
-
-        res.json({ 
-            success: true, 
-            message: 'Order cancelled successfully' 
-        });
-
-    } catch (error) {
-        console.error('❌ Cancel order error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to cancel order'
-        });
-    }
-});
-
-
-module.exports = router;
+// server/routes/admin/orders-accounts.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { db, Account } = require('../../config/database');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const ReservationService = require('../../services/reservation.service');
+const FulfillmentService = require('../../services/fulfillment.service');
+const DeliveryService = require('../../services/delivery.service');
+const CredentialSchema = require('../../services/credentialSchema.service');
+const RefundService = require('../../services/refund.service');
+const OrderState = require('../../services/orderState.service');
+const Order = require('../../models/Order');
+const OrderItem = require('../../models/OrderItem');
+const OrderEvent = require('../../models/OrderEvent');
+const PaymentLog = require('../../models/PaymentLog');
+
+// Label accounts with their product's credential fields, as { name, label, value, secret }.
+// Secret values stay null unless options.reveal is set.
+async function describeAccounts(accounts, options = {}) {
+    const schemas = {};
+    for (const account of accounts) {
+        if (!schemas[account.product_id]) {
+            const { config } = await DeliveryService.forProduct(account.product_id);
+            schemas[account.product_id] = CredentialSchema.fieldsOf(config);
+        }
+    }
+
+    // Credentials are only returned through fields, so sealed values never leave as they are stored
+    return accounts.map(({ credential_fields, password, twofa_code, ...account }) => ({
+        ...account,
+        fields: CredentialSchema.describe(
+            schemas[account.product_id],
+            { ...account, credential_fields, password, twofa_code },
+            options
+        )
+    }));
+}
+
+// ==================== ACCOUNTS ROUTES ====================
+
+/**
+ * GET /api/admin/accounts
+ * Get all accounts with pagination and filters
+ */
+router.get('/accounts', authenticateToken, async (req, res) => {
+    try {
+        console.log('📦 Fetching accounts with filters:', req.query);
+        console.log('🔑 Admin ID:', req.admin?.id);
+        
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        const filters = {
+            product_id: req.query.product_id,
+            variant_id: req.query.variant_id,
+            status: req.query.status,
+            limit,
+            offset
+        };
+
+        console.log('🔍 Filters:', filters);
+
+        // Get accounts with pagination
+        const accounts = await Account.getAll(filters);
+        console.log(`✅ Found ${accounts.length} accounts`);
+        
+        // Get total stats
+        const stats = await Account.getStats();
+        console.log('📊 Account stats:', stats);
+
+        // If product_id is specified, also get stock count for that product
+        if (req.query.product_id) {
+            const stock = await Account.getStock(req.query.product_id);
+            console.log(`📦 Stock for ${req.query.product_id}: ${stock}`);
+        }
+
+        res.json({ 
+            success: true, 
+            accounts: await describeAccounts(accounts || []),
+            pagination: {
+                page,
+                limit,
+                total: stats?.total || 0,
+                pages: Math.ceil((stats?.total || 0) / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get accounts error:', error);
+        console.error('Stack:', error.stack);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load accounts',
+            details: error.toString()
+        });
+    }
+});
+
+/**
+ * POST /api/admin/accounts/upload
+ * Upload multiple accounts from JSON. Each account holds the product's credential fields,
+ * e.g. { email, password, twofa } by default.
+ */
+router.post('/accounts/upload', authenticateToken, async (req, res) => {
+    try {
+        const { productId, variantId, accounts } = req.body;
+
+        if (!productId || !accounts || !Array.isArray(accounts)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Product ID and accounts array are required' 
+            });
+        }
+
+        if (accounts.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Accounts array cannot be empty' 
+            });
+        }
+
+        console.log(`📤 Uploading ${accounts.length} accounts for product: ${productId}${variantId ? ` (variant ${variantId})` : ''}`);
+
+        // Accounts of a variant go into that variant's stock pool
+        if (variantId) {
+            const variant = await ProductVariant.findById(variantId);
+            if (!variant || variant.productId !== productId) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'Variant not found for this product' 
+                });
+            }
+        }
+
+        const delivery = await DeliveryService.forProduct(productId);
+        if (delivery.type !== 'credentials') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Product is delivered as ${delivery.type}, not as accounts` 
+            });
+        }
+
+        // Validate each account against the product's credential fields
+        const fields = CredentialSchema.fieldsOf(delivery.config);
+        const parsed = accounts.map(acc => CredentialSchema.parseAccount(fields, acc));
+        const invalidAccounts = parsed
+            .map((result, index) => ({ index: index + 1, error: result.error }))
+            .filter(result => result.error);
+        if (invalidAccounts.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `${invalidAccounts.length} accounts do not match the product's credential fields`,
+                fields,
+                errors: invalidAccounts.slice(0, 50)
+            });
+        }
+
+        // Add accounts to database
+        const result = await Account.addAccounts(parsed.map((result, index) => ({
+            productId,
+            variantId: variantId || null,
+            ...CredentialSchema.toAccount(result.values, fields),
+            additional: accounts[index].additional || {}
+        })));
+
+        // Update product stock in the catalog
+        try {
+            const stock = await Product.refreshStock(productId);
+            console.log(`📊 Updated stock for ${productId}: ${stock}`);
+        } catch (e) {
+            console.error('Error updating product stock:', e);
+        }
+
+        // New stock goes to paid orders that were waiting for it before the storefront sees it
+        let restock = null;
+        if (result.added > 0) {
+            try {
+                restock = await FulfillmentService.fulfillAwaitingStock(`upload:${req.admin?.username || 'unknown'}`);
+            } catch (e) {
+                console.error('Error fulfilling awaiting-stock orders:', e);
+            }
+        }
+
+        res.json({ 
+            success: true, 
+            message: `${result.added} accounts uploaded successfully`,
+            errors: result.errors.length > 0 ? result.errors : undefined,
+            fulfilledOrders: restock ? restock.fulfilled : []
+        });
+
+    } catch (error) {
+        console.error('❌ Upload accounts error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to upload accounts'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/accounts/stats
+ * Get account statistics
+ */
+router.get('/accounts/stats', authenticateToken, async (req, res) => {
+    try {
+        const stats = await Account.getStats();
+        res.json({ 
+            success: true, 
+            stats: {
+                total: stats.total || 0,
+                available: stats.available || 0,
+                sold: stats.sold || 0
+            }
+        });
+    } catch (error) {
+        console.error('❌ Account stats error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load stats'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/accounts/:id
+ * Get single account by ID
+ */
+router.get('/accounts/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const account = await Account.getById(id);
+
+        if (!account) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Account not found' 
+            });
+        }
+
+        const [described] = await describeAccounts([account]);
+
+        res.json({ 
+            success: true, 
+            account: described 
+        });
+
+    } catch (error) {
+        console.error('❌ Get account error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load account'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/accounts/:id/reveal
+ * An account with its secret fields decrypted; every reveal is logged
+ */
+router.post('/accounts/:id/reveal', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const account = await Account.getById(id);
+
+        if (!account) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Account not found' 
+            });
+        }
+
+        const [described] = await describeAccounts([account], { reveal: true });
+
+        await PaymentLog.record('account.revealed', account.order_id || null, {
+            by: `admin:${req.admin?.username || 'unknown'}`,
+            accountId: account.id,
+            productId: account.product_id
+        }, req);
+
+        res.json({ 
+            success: true, 
+            account: described 
+        });
+
+    } catch (error) {
+        console.error('❌ Reveal account error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to reveal account'
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/accounts/:id
+ * Delete an account (only if available)
+ */
+router.delete('/accounts/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Get account first to check status
+        const account = await Account.getById(id);
+
+        if (!account) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Account not found' 
+            });
+        }
+
+        // Reserved, sold and revoked accounts are still tied to an order or one of its refunds
+        if (account.status !== 'available') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Cannot delete ${account.status} accounts` 
+            });
+        }
+
+        // Delete the account, unless an order reserved it in the meantime
+        const result = await Account.delete(id);
+        if (result.changes === 0) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Account is no longer available' 
+            });
+        }
+
+        // Update product stock in the catalog
+        if (account.product_id) {
+            try {
+                await Product.refreshStock(account.product_id);
+            } catch (e) {
+                console.error('Error updating product stock:', e);
+            }
+        }
+
+        res.json({ 
+            success: true, 
+            message: 'Account deleted successfully' 
+        });
+
+    } catch (error) {
+        console.error('❌ Delete account error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to delete account'
+        });
+    }
+});
+
+// ==================== ORDERS ROUTES ====================
+
+/**
+ * GET /api/admin/orders
+ * Get all orders with pagination and filters
+ */
+router.get('/orders', authenticateToken, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        let sql = `SELECT * FROM orders WHERE 1=1`;
+        const params = [];
+
+        // Filter by status
+        if (req.query.status) {
+            sql += ` AND status = ?`;
+            params.push(req.query.status);
+        }
+
+        // Filter by product
+        if (req.query.product) {
+            sql += ` AND role = ?`;
+            params.push(req.query.product);
+        }
+
+        // Search by orderId or username
+        if (req.query.search) {
+            sql += ` AND (orderId LIKE ? OR username LIKE ?)`;
+            params.push(`%${req.query.search}%`, `%${req.query.search}%`);
+        }
+
+        // Get total count for pagination
+        const countResult = await new Promise((resolve, reject) => {
+            db.get(`SELECT COUNT(*) as count FROM orders WHERE 1=1`, [], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+        const total = countResult?.count || 0;
+
+        // Add pagination
+        sql += ` ORDER BY createdAt DESC LIMIT ? OFFSET ?`;
+        params.push(limit, offset);
+
+        // Get orders
+        const orders = await new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+
+        // Load product names from the catalog
+        const roles = await Product.findAll({ includeArchived: true });
+
+        // Add product names to orders; what was delivered is only shown through POST /orders/:orderId/delivery
+        const ordersWithNames = orders.map(({ accountData, ...order }) => ({
+            ...order,
+            productName: roles.find(r => r.id === (order.productId || order.role))?.name || order.role
+        }));
+
+        res.json({
+            success: true,
+            orders: ordersWithNames,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Orders error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load orders'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/orders/awaiting-stock
+ * Paid orders waiting for stock, oldest payment first, with the stock each line needs
+ */
+router.get('/orders/awaiting-stock', authenticateToken, async (req, res) => {
+    try {
+        const orders = await FulfillmentService.getAwaitingStock();
+
+        const queue = [];
+        for (const order of orders) {
+            const lines = await FulfillmentService.getLines(order);
+
+            queue.push({
+                orderId: order.orderId,
+                username: order.username,
+                role: order.role,
+                amount: order.amount,
+                paymentMethod: order.paymentMethod,
+                paidAt: order.paidAt || order.createdAt,
+                createdAt: order.createdAt,
+                lines: await Promise.all(lines.map(async line => ({
+                    productId: line.productId,
+                    variantId: line.variantId || null,
+                    productName: line.productName,
+                    quantity: line.quantity,
+                    available: await DeliveryService.countAvailable(line.productId, line.variantId || null)
+                })))
+            });
+        }
+
+        res.json({ success: true, orders: queue, total: queue.length });
+
+    } catch (error) {
+        console.error('❌ Awaiting stock queue error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load awaiting-stock orders'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/orders/awaiting-stock/fulfill
+ * Retry the awaiting-stock queue now, oldest first, as an account upload does
+ */
+router.post('/orders/awaiting-stock/fulfill', authenticateToken, async (req, res) => {
+    try {
+        const result = await FulfillmentService.fulfillAwaitingStock(`admin:${req.admin?.username || 'unknown'}`);
+
+        res.json({ 
+            success: true, 
+            message: `${result.fulfilled.length} of ${result.checked} orders fulfilled`,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('❌ Fulfill awaiting stock error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to fulfill awaiting-stock orders'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/orders/awaiting-delivery
+ * Paid orders waiting for an admin to deliver a manual product, oldest payment first
+ */
+router.get('/orders/awaiting-delivery', authenticateToken, async (req, res) => {
+    try {
+        const orders = await FulfillmentService.getAwaitingDelivery();
+
+        const queue = [];
+        for (const order of orders) {
+            const lines = await FulfillmentService.getLines(order);
+
+            queue.push({
+                orderId: order.orderId,
+                username: order.username,
+                role: order.role,
+                amount: order.amount,
+                paymentMethod: order.paymentMethod,
+                paidAt: order.paidAt || order.createdAt,
+                createdAt: order.createdAt,
+                lines: lines.map(line => ({
+                    id: line.id || null,
+                    productId: line.productId,
+                    variantId: line.variantId || null,
+                    productName: line.productName,
+                    quantity: line.quantity,
+                    delivered: line.status === 'delivered'
+                }))
+            });
+        }
+
+        res.json({ success: true, orders: queue, total: queue.length });
+
+    } catch (error) {
+        console.error('❌ Awaiting delivery queue error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load awaiting-delivery orders'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/orders/:orderId/deliver
+ * Deliver the manual lines of an order awaiting delivery and email the customer.
+ * Body: { content } for every waiting line, or { items: { [orderItemId]: content } } per line.
+ */
+router.post('/orders/:orderId/deliver', authenticateToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { content, items } = req.body;
+
+        const order = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM orders WHERE orderId = ?', [orderId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+
+        if (!order) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Order not found' 
+            });
+        }
+
+        if (order.status !== 'awaiting_delivery') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Order is not awaiting delivery (current status: ${order.status})` 
+            });
+        }
+
+        const fulfillment = await FulfillmentService.fulfillPaidOrder(order, 'sqlite', {
+            order_id: orderId,
+            delivered_by: req.admin?.username || 'admin'
+        }, {
+            content: items && typeof items === 'object' ? items : (content || ''),
+            actor: `admin:${req.admin?.username || 'unknown'}`,
+            trigger: 'admin'
+        });
+
+        if (fulfillment.status === 'awaiting_delivery') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Delivery content is required for: ${fulfillment.waiting.map(line => line.productName).join(', ')}` 
+            });
+        }
+
+        if (fulfillment.status !== 'completed') {
+            return res.status(409).json({ 
+                success: false, 
+                error: fulfillment.status === 'out_of_stock'
+                    ? `Out of stock: ${fulfillment.product}`
+                    : 'Order was handled meanwhile'
+            });
+        }
+
+        await PaymentLog.record('order.delivered_manually', orderId, {
+            by: `admin:${req.admin?.username || 'unknown'}`,
+            units: fulfillment.accountCount
+        }, req);
+
+        res.json({ 
+            success: true, 
+            message: 'Order delivered successfully',
+            units: fulfillment.accountCount
+        });
+
+    } catch (error) {
+        console.error('❌ Deliver order error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to deliver order'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/orders/:orderId/complete
+ * Manually complete an order and send what it bought to the customer.
+ * Pass accountId to hand a single-unit order one specific account, otherwise stock is allocated as for a paid order.
+ * Pass content to deliver manual products right away; without it the order waits in awaiting_delivery.
+ */
+router.post('/orders/:orderId/complete', authenticateToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { accountId, content } = req.body;
+
+        console.log(`✅ Completing order ${orderId}${accountId ? ` with account ${accountId}` : ''}`);
+
+        // Get order from database
+        const order = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM orders WHERE orderId = ?', [orderId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+
+        if (!order) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Order not found' 
+            });
+        }
+
+        // Pending orders, and paid orders not delivered yet, can be completed by hand
+        if (!['pending', 'paid', 'awaiting_stock'].includes(order.status)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Order is not pending (current status: ${order.status})` 
+            });
+        }
+
+        let fulfillment;
+        try {
+            fulfillment = await FulfillmentService.fulfillPaidOrder(order, 'sqlite', {
+                amount: order.amount,
+                order_id: orderId,
+                completed_by: req.admin?.username || 'admin'
+            }, {
+                accountId,
+                content: content || undefined,
+                restock: true,
+                actor: `admin:${req.admin?.username || 'unknown'}`,
+                trigger: 'admin'
+            });
+        } catch (fulfillmentError) {
+            if (fulfillmentError.code !== 'ACCOUNT_UNAVAILABLE') throw fulfillmentError;
+
+            return res.status(400).json({ 
+                success: false, 
+                error: fulfillmentError.message 
+            });
+        }
+
+        if (fulfillment.status === 'out_of_stock') {
+            return res.status(409).json({ 
+                success: false, 
+                error: `Out of stock: ${fulfillment.product}` 
+            });
+        }
+
+        if (fulfillment.status === 'already_processed') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Order is already completed' 
+            });
+        }
+
+        await PaymentLog.record('payment.completed_manually', orderId, {
+            by: `admin:${req.admin?.username || 'unknown'}`,
+            accountId: accountId || null,
+            accounts: fulfillment.accountCount,
+            awaitingDelivery: fulfillment.status === 'awaiting_delivery'
+        }, req);
+
+        if (fulfillment.status === 'awaiting_delivery') {
+            return res.json({ 
+                success: true, 
+                message: 'Order is paid and awaiting manual delivery',
+                status: 'awaiting_delivery',
+                waiting: fulfillment.waiting.map(line => line.productName)
+            });
+        }
+
+        const first = fulfillment.delivered[0].accounts[0];
+
+        res.json({ 
+            success: true, 
+            message: 'Order completed successfully',
+            status: 'completed',
+            account: first.email
+                ? { email: first.email, product: first.product_id }
+                : undefined,
+            delivered: fulfillment.delivered.map(line => ({
+                productId: line.productId,
+                productName: line.productName,
+                units: line.accounts.length
+            })),
+            accounts: fulfillment.accountCount
+        });
+
+    } catch (error) {
+        console.error('❌ Complete order error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to complete order'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/orders/:orderId/cancel
+ * Cancel a pending order
+ */
+router.post('/orders/:orderId/cancel', authenticateToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { reason } = req.body;
+
+        // Get order from database
+        const order = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM orders WHERE orderId = ?', [orderId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+
+        if (!order) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Order not found' 
+            });
+        }
+
+        // Check if order is pending
+        if (order.status !== 'pending') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Order is not pending (current status: ${order.status})` 
+            });
+        }
+
+        try {
+            await OrderState.transition(orderId, 'cancelled', {
+                actor: `admin:${req.admin?.username || 'unknown'}`,
+                source: 'admin',
+                payload: { reason: reason || 'Cancelled by admin' },
+                fields: {
+                    failedReason: reason || 'Cancelled by admin',
+                    failedAt: new Date().toISOString()
+                }
+            });
+        } catch (transitionError) {
+            if (transitionError.code !== 'INVALID_TRANSITION') throw transitionError;
+            return res.status(409).json({ 
+                success: false, 
+                error: transitionError.message 
+            });
+        }
+
+        await ReservationService.release(orderId);
+
+        await PaymentLog.record('payment.cancelled', orderId, {
+            by: `admin:${req.admin?.username || 'unknown'}`,
+            reason: reason || 'Cancelled by admin'
+        }, req);
+
+        res.json({ 
+            success: true, 
+            message: 'Order cancelled successfully' 
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel order error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to cancel order'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/orders/:orderId/timeline
+ * Every status change of an order, oldest first, with who made it and why
+ */
+router.get('/orders/:orderId/timeline', authenticateToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await new Promise((resolve, reject) => {
+            db.get('SELECT orderId, status FROM orders WHERE orderId = ?', [orderId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+
+        if (!order) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Order not found' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            orderId,
+            status: order.status,
+            events: await OrderEvent.findByOrder(orderId),
+            transitions: OrderState.transitions[order.status] || []
+        });
+
+    } catch (error) {
+        console.error('❌ Order timeline error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load order timeline'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/orders/:orderId/delivery
+ * What a completed order delivered, decrypted as the customer sees it; every reveal is logged
+ */
+router.post('/orders/:orderId/delivery', authenticateToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await Order.findByOrderId(orderId);
+
+        if (!order) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Order not found' 
+            });
+        }
+
+        const deliveries = Order.deliveries(order, await OrderItem.findByOrder(orderId));
+
+        await PaymentLog.record('order.delivery_revealed', orderId, {
+            by: `admin:${req.admin?.username || 'unknown'}`,
+            lines: deliveries.length
+        }, req);
+
+        res.json({ 
+            success: true, 
+            orderId,
+            status: order.status,
+            deliveries
+        });
+
+    } catch (error) {
+        console.error('❌ Reveal delivery error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to reveal delivery'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/orders/:orderId/refund
+ * Refund a paid order, fully or in part, and email the customer.
+ * Body: { amount?, reason, method, accountAction: 'none' | 'restock' | 'revoke', units? };
+ * amount defaults to whatever has not been refunded yet. A full refund restocks or revokes
+ * everything the order received; a partial one only `units`, positions from /refund-units.
+ */
+router.post('/orders/:orderId/refund', authenticateToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { amount, reason, method, accountAction, units } = req.body;
+
+        const result = await RefundService.refundOrder(orderId, {
+            amount,
+            reason,
+            method,
+            accountAction: accountAction || 'none',
+            units,
+            actor: `admin:${req.admin?.username || 'unknown'}`
+        });
+
+        res.json({ 
+            success: true, 
+            message: result.status === 'refunded' ? 'Order refunded' : 'Partial refund recorded',
+            ...result
+        });
+
+    } catch (error) {
+        if (error.code === 'ORDER_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        if (error.code === 'INVALID_REFUND' || error.code === 'ORDER_NOT_REFUNDABLE') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        console.error('❌ Refund order error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to refund order'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/orders/:orderId/refund-units
+ * Delivered accounts and codes a partial refund can take back, without their secrets
+ */
+router.get('/orders/:orderId/refund-units', authenticateToken, async (req, res) => {
+    try {
+        const units = await RefundService.returnableUnits(req.params.orderId);
+
+        if (!units) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Order not found' 
+            });
+        }
+
+        res.json({ success: true, units });
+
+    } catch (error) {
+        console.error('❌ Get refund units error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load delivered units'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/orders/:orderId/refunds
+ * Refunds recorded for an order, oldest first
+ */
+router.get('/orders/:orderId/refunds', authenticateToken, async (req, res) => {
+    try {
+        const refunds = await RefundService.getRefunds(req.params.orderId);
+
+        res.json({ 
+            success: true, 
+            refunds,
+            methods: RefundService.methods,
+            accountActions: RefundService.accountActions
+        });
+
+    } catch (error) {
+        console.error('❌ Get refunds error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Failed to load refunds'
+        });
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// server/routes/admin/payment-logs.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const PaymentLog = require('../../models/PaymentLog');
+
+/**
+ * GET /api/admin/payment-logs
+ * Search payment events, filter with ?orderId=&event=&from=&to=&page=&limit=
+ * `event` is an exact type (webhook.rejected) or a prefix ending in a dot (webhook.);
+ * `from` and `to` are inclusive dates (YYYY-MM-DD)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { orderId, event, from, to, page, limit } = req.query;
+
+        const result = await PaymentLog.search({ orderId, event, from, to, page, limit });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Search payment logs error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load payment logs'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/payment-logs/events
+ * Event types recorded so far, with how often each occurred
+ */
+router.get('/events', authenticateToken, async (req, res) => {
+    try {
+        const events = await PaymentLog.getEventTypes();
+
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('❌ Get payment log events error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load payment log events'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/payment-logs/orders/:orderId
+ * Every payment event for one order, oldest first
+ */
+router.get('/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const result = await PaymentLog.search({ orderId: req.params.orderId, limit: 500 });
+
+        res.json({
+            success: true,
+            orderId: req.params.orderId,
+            logs: result.logs.reverse()
+        });
+    } catch (error) {
+        console.error('❌ Get order payment logs error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load payment logs'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,466 @@
+// server/routes/admin/products.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const DeliveryService = require('../../services/delivery.service');
+
+/**
+ * GET /api/admin/products
+ * List the catalog, archived products included with ?includeArchived=true
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const products = await Product.findAll({
+            includeArchived: req.query.includeArchived === 'true',
+            status: req.query.status,
+            category: req.query.category
+        });
+
+        res.json({ success: true, products });
+    } catch (error) {
+        console.error('❌ Get products error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load products'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/products/import
+ * Import data/product.json into the products table
+ */
+router.post('/import', authenticateToken, async (req, res) => {
+    try {
+        const result = await Product.importFromJson();
+        console.log(`📦 Product import: ${result.imported} imported, ${result.skipped} skipped`);
+
+        res.json({
+            success: true,
+            message: `${result.imported} products imported, ${result.skipped} already existed`,
+            ...result
+        });
+    } catch (error) {
+        console.error('❌ Import products error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to import products'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/products/delivery-types
+ * The delivery types a product can use
+ */
+router.get('/delivery-types', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        types: DeliveryService.types.map(type => {
+            const handler = DeliveryService.handler(type);
+            return { type, label: handler.label, pooled: handler.pooled };
+        })
+    });
+});
+
+/**
+ * GET /api/admin/products/:id
+ * Get a single product
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id, { includeArchived: true });
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error('❌ Get product error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load product'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/products
+ * Create a product. deliveryType is credentials (default), redeem_code, license_key or manual;
+ * deliveryConfig holds the type's settings, e.g. { template, instructions }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { id, name, price } = req.body;
+
+        if (!id || !name || price === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Product ID, name and price are required'
+            });
+        }
+
+        if (!/^[a-z0-9_-]+$/i.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Product ID may only contain letters, numbers, dashes and underscores'
+            });
+        }
+
+        if (isNaN(parseInt(price)) || parseInt(price) < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid price'
+            });
+        }
+
+        const existing = await Product.findById(id);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: 'Product already exists'
+            });
+        }
+
+        const delivery = DeliveryService.validate(req.body.deliveryType, req.body.deliveryConfig);
+        await Product.create({ ...req.body, ...delivery });
+        await Product.refreshStock(id);
+        const product = await Product.findById(id);
+        console.log('✅ Product created:', product.id);
+
+        res.json({
+            success: true,
+            message: 'Product created successfully',
+            product
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_DELIVERY') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Create product error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create product'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/products/:id
+ * Update product details
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await Product.findById(id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        if (req.body.price !== undefined && (isNaN(parseInt(req.body.price)) || parseInt(req.body.price) < 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid price'
+            });
+        }
+
+        const updates = { ...req.body };
+        delete updates.deliveryType;
+        delete updates.deliveryConfig;
+
+        // A new delivery type changes which pool the stock comes from
+        const deliveryChanged = req.body.deliveryType !== undefined || req.body.deliveryConfig !== undefined;
+        if (deliveryChanged) {
+            Object.assign(updates, DeliveryService.validate(
+                req.body.deliveryType ?? existing.deliveryType,
+                req.body.deliveryConfig ?? existing.deliveryConfig
+            ));
+        }
+
+        let product = await Product.update(id, updates);
+        if (deliveryChanged) {
+            await Product.refreshStock(id);
+            product = await Product.findById(id);
+        }
+        console.log('✅ Product updated:', id);
+
+        res.json({
+            success: true,
+            message: 'Product updated successfully',
+            product
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_DELIVERY') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Update product error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update product'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/products/:id/archive
+ * Hide a product from the storefront
+ */
+router.post('/:id/archive', authenticateToken, async (req, res) => {
+    try {
+        const existing = await Product.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const product = await Product.archive(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Product archived successfully',
+            product
+        });
+    } catch (error) {
+        console.error('❌ Archive product error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to archive product'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/products/:id/restore
+ * Put an archived product back on the storefront
+ */
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const existing = await Product.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const product = await Product.restore(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Product restored successfully',
+            product
+        });
+    } catch (error) {
+        console.error('❌ Restore product error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to restore product'
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/products/:id
+ * Delete a product that has no accounts or orders
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const existing = await Product.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        await Product.delete(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Product deleted successfully'
+        });
+    } catch (error) {
+        console.error('❌ Delete product error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to delete product'
+        });
+    }
+});
+
+// ==================== VARIANTS ====================
+
+/**
+ * GET /api/admin/products/:id/variants
+ * List variants of a product, archived ones included
+ */
+router.get('/:id/variants', authenticateToken, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const variants = await ProductVariant.findByProduct(req.params.id, { includeArchived: true });
+        res.json({ success: true, variants });
+    } catch (error) {
+        console.error('❌ Get variants error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load variants'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/products/:id/variants
+ * Add a variant (duration, tier...) with its own price and stock pool
+ */
+router.post('/:id/variants', authenticateToken, async (req, res) => {
+    try {
+        const { id, name, price } = req.body;
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        if (!name || price === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Variant name and price are required'
+            });
+        }
+
+        if (id && !/^[a-z0-9_-]+$/i.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Variant ID may only contain letters, numbers, dashes and underscores'
+            });
+        }
+
+        if (isNaN(parseInt(price)) || parseInt(price) < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid price'
+            });
+        }
+
+        const variantId = id || ProductVariant.generateId(req.params.id, name);
+        if (await ProductVariant.findById(variantId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Variant already exists'
+            });
+        }
+
+        const variant = await ProductVariant.create(req.params.id, { ...req.body, id: variantId });
+        await Product.refreshStock(req.params.id);
+        console.log('✅ Variant created:', variant.id);
+
+        res.json({
+            success: true,
+            message: 'Variant created successfully',
+            variant
+        });
+    } catch (error) {
+        console.error('❌ Create variant error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create variant'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/products/:id/variants/:variantId
+ * Update a variant, set status to 'archived' to hide it
+ */
+router.put('/:id/variants/:variantId', authenticateToken, async (req, res) => {
+    try {
+        const existing = await ProductVariant.findById(req.params.variantId);
+        if (!existing || existing.productId !== req.params.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Variant not found'
+            });
+        }
+
+        if (req.body.price !== undefined && (isNaN(parseInt(req.body.price)) || parseInt(req.body.price) < 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid price'
+            });
+        }
+
+        if (req.body.status !== undefined && !['active', 'archived'].includes(req.body.status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Status must be active or archived'
+            });
+        }
+
+        const variant = await ProductVariant.update(req.params.variantId, req.body);
+
+        res.json({
+            success: true,
+            message: 'Variant updated successfully',
+            variant
+        });
+    } catch (error) {
+        console.error('❌ Update variant error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update variant'
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/products/:id/variants/:variantId
+ * Delete a variant that has no accounts or orders
+ */
+router.delete('/:id/variants/:variantId', authenticateToken, async (req, res) => {
+    try {
+        const existing = await ProductVariant.findById(req.params.variantId);
+        if (!existing || existing.productId !== req.params.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Variant not found'
+            });
+        }
+
+        await ProductVariant.delete(req.params.variantId);
+
+        res.json({
+            success: true,
+            message: 'Variant deleted successfully'
+        });
+    } catch (error) {
+        console.error('❌ Delete variant error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to delete variant'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// server/routes/admin/reconciliation.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const scheduler = require('../../services/scheduler.service');
+const ReconciliationService = require('../../services/reconciliation.service');
+
+/**
+ * GET /api/admin/reconciliation/checks
+ * Recorded payment provider checks, filter with ?orderId=&outcome=&limit=
+ */
+router.get('/checks', authenticateToken, async (req, res) => {
+    try {
+        const checks = await ReconciliationService.getChecks({
+            orderId: req.query.orderId,
+            outcome: req.query.outcome,
+            limit: req.query.limit
+        });
+
+        res.json({ success: true, checks });
+    } catch (error) {
+        console.error('❌ Get reconciliation checks error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load reconciliation checks'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Reconcile every recent pending order now, recorded as a run of the reconcile-payments job
+ */
+router.post('/run', authenticateToken, async (req, res) => {
+    try {
+        if (!scheduler.jobs.has('reconcile-payments')) {
+            return res.status(503).json({
+                success: false,
+                error: 'Reconciliation job is not registered yet'
+            });
+        }
+
+        const run = await scheduler.run('reconcile-payments', `admin:${req.admin?.username || 'unknown'}`);
+
+        res.json({ success: run.status !== 'failed', run });
+    } catch (error) {
+        console.error('❌ Run reconciliation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to run reconciliation'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/reconciliation/orders/:orderId
+ * Ask the payment provider about a single order and deliver it if it was paid
+ */
+router.post('/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const check = await ReconciliationService.reconcileOrder(
+            req.params.orderId,
+            `admin:${req.admin?.username || 'unknown'}`
+        );
+
+        if (!check) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        res.json({ success: check.outcome !== 'error', check });
+    } catch (error) {
+        console.error('❌ Reconcile order error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to reconcile order'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// server/routes/admin/redeem-codes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const RedeemCode = require('../../models/RedeemCode');
+const Product = require('../../models/Product');
+const RedeemCodeService = require('../../services/redeemCode.service');
+const FulfillmentService = require('../../services/fulfillment.service');
+
+const codeErrorStatus = {
+    INVALID_REDEEM_CODES: 400,
+    PRODUCT_NOT_FOUND: 404
+};
+
+// Known redeem-code errors become their status code, anything else a 500
+function sendCodeError(res, error, fallback) {
+    const status = codeErrorStatus[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+// Recalculate the catalog stock of a product sold as redeem codes and, when codes were added,
+// hand them to paid orders waiting for stock first, as an account upload does
+async function restock(productId, added, req) {
+    let result = null;
+    try {
+        await Product.refreshStock(productId);
+        if (added > 0) {
+            result = await FulfillmentService.fulfillAwaitingStock(`redeem-codes:${req.admin?.username || 'unknown'}`);
+        }
+    } catch (e) {
+        console.error('Error restocking redeem codes:', e);
+    }
+    return result ? result.fulfilled : [];
+}
+
+/**
+ * GET /api/admin/redeem-codes
+ * List codes, filter with ?productId=&variantId=&status=&orderId=&search=&page=&limit=
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const filters = {
+            productId: req.query.productId,
+            variantId: req.query.variantId,
+            status: req.query.status,
+            orderId: req.query.orderId,
+            search: req.query.search
+        };
+
+        const [rows, total] = await Promise.all([
+            RedeemCode.findAll({ ...filters, limit, offset: (page - 1) * limit }),
+            RedeemCode.count(filters)
+        ]);
+
+        res.json({
+            success: true,
+            codes: rows.map(row => RedeemCode.format(row)),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        sendCodeError(res, error, 'Failed to load redeem codes');
+    }
+});
+
+/**
+ * GET /api/admin/redeem-codes/stats
+ * Available, reserved, sold and expired codes per product and variant
+ */
+router.get('/stats', authenticateToken, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            expiryDays: RedeemCodeService.expiryDays,
+            stats: await RedeemCode.getStats()
+        });
+    } catch (error) {
+        sendCodeError(res, error, 'Failed to load redeem code stats');
+    }
+});
+
+/**
+ * POST /api/admin/redeem-codes/generate
+ * Generate { quantity } codes for { productId, variantId }, with an optional { expiryDays }
+ */
+router.post('/generate', authenticateToken, async (req, res) => {
+    try {
+        const { productId, variantId, quantity, expiryDays } = req.body;
+        const result = await RedeemCodeService.generate(productId, {
+            variantId: variantId || null,
+            quantity: quantity === undefined ? 1 : quantity,
+            expiryDays,
+            createdBy: `admin:${req.admin?.username || 'unknown'}`
+        });
+
+        const fulfilledOrders = await restock(productId, result.codes.length, req);
+
+        res.status(201).json({
+            success: true,
+            message: `Generated ${result.codes.length} redeem codes`,
+            ...result,
+            fulfilledOrders
+        });
+    } catch (error) {
+        sendCodeError(res, error, 'Failed to generate redeem codes');
+    }
+});
+
+/**
+ * POST /api/admin/redeem-codes/import
+ * Add supplier codes to { productId, variantId }: { codes } is an array of codes or
+ * { code, expiresAt }, or text with one code per line; { expiresAt } applies to the batch
+ */
+router.post('/import', authenticateToken, async (req, res) => {
+    try {
+        const { productId, variantId, codes, expiresAt } = req.body;
+        const result = await RedeemCodeService.importCodes(productId, {
+            variantId: variantId || null,
+            codes,
+            expiresAt,
+            createdBy: `admin:${req.admin?.username || 'unknown'}`
+        });
+
+        const fulfilledOrders = await restock(productId, result.added, req);
+
+        res.json({
+            success: true,
+            message: `${result.added} codes imported, ${result.duplicates.length} duplicates skipped, ${result.invalid.length} invalid`,
+            ...result,
+            fulfilledOrders
+        });
+    } catch (error) {
+        sendCodeError(res, error, 'Failed to import redeem codes');
+    }
+});
+
+/**
+ * DELETE /api/admin/redeem-codes/:id
+ * Remove an unsold code from its pool
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const code = await RedeemCode.findById(req.params.id);
+        if (!code) {
+            return res.status(404).json({ success: false, error: 'Redeem code not found' });
+        }
+        if (code.status === 'sold' || code.status === 'revoked') {
+            return res.status(409).json({ success: false, error: 'Sold codes belong to their order and cannot be deleted' });
+        }
+
+        await RedeemCode.delete(code.id);
+        await restock(code.product_id, 0, req);
+        res.json({ success: true, message: 'Redeem code deleted' });
+    } catch (error) {
+        sendCodeError(res, error, 'Failed to delete redeem code');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// server/routes/admin/vouchers.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const Voucher = require('../../models/Voucher');
+const VoucherService = require('../../services/voucher.service');
+
+/**
+ * GET /api/admin/vouchers
+ * List vouchers with how often each was used, filtered by ?status= or ?productId=
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const rows = await Voucher.findAll({
+            status: req.query.status,
+            productId: req.query.productId
+        });
+
+        res.json({ success: true, vouchers: rows.map(row => Voucher.format(row)) });
+    } catch (error) {
+        console.error('❌ Get vouchers error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load vouchers' });
+    }
+});
+
+/**
+ * GET /api/admin/vouchers/report
+ * Orders, discount given and revenue per voucher, counting the orders that use up its limits
+ */
+router.get('/report', authenticateToken, async (req, res) => {
+    try {
+        const vouchers = await Voucher.report();
+
+        res.json({
+            success: true,
+            totals: {
+                discountTotal: vouchers.reduce((sum, voucher) => sum + voucher.discountTotal, 0),
+                voucherOrders: vouchers.reduce((sum, voucher) => sum + voucher.orders, 0)
+            },
+            vouchers
+        });
+    } catch (error) {
+        console.error('❌ Voucher report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load voucher report' });
+    }
+});
+
+/**
+ * GET /api/admin/vouchers/:id
+ * A voucher with its latest redemptions
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const voucher = await Voucher.findById(req.params.id);
+        if (!voucher) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        const usage = await Voucher.usage(voucher.id, null);
+        res.json({
+            success: true,
+            voucher: { ...Voucher.format(voucher), used: usage.total },
+            redemptions: await Voucher.redemptions(voucher.id)
+        });
+    } catch (error) {
+        console.error('❌ Get voucher error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load voucher' });
+    }
+});
+
+/**
+ * POST /api/admin/vouchers
+ * Create a voucher: { code, type: percent|fixed, value, maxDiscount, productId, minSpend,
+ * usageLimit, perCustomerLimit, startsAt, endsAt, status, description }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const data = await VoucherService.validateInput(req.body);
+        const voucher = await Voucher.create({
+            ...data,
+            createdBy: `admin:${req.admin?.username || 'unknown'}`
+        });
+
+        console.log(`🎟️ Voucher ${voucher.code} created by ${req.admin?.username || 'unknown'}`);
+        res.status(201).json({ success: true, voucher: Voucher.format(voucher) });
+    } catch (error) {
+        if (error.code === 'INVALID_VOUCHER') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Create voucher error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create voucher' });
+    }
+});
+
+/**
+ * PUT /api/admin/vouchers/:id
+ * Update any of the fields accepted on create
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+        const existing = await Voucher.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        const data = await VoucherService.validateInput(req.body, { partial: true, existing });
+        const voucher = await Voucher.update(existing.id, data);
+
+        res.json({ success: true, voucher: Voucher.format(voucher) });
+    } catch (error) {
+        if (error.code === 'INVALID_VOUCHER') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('❌ Update voucher error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update voucher' });
+    }
+});
+
+/**
+ * DELETE /api/admin/vouchers/:id
+ * Delete a voucher that was never used
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await Voucher.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        res.json({ success: true, message: 'Voucher deleted' });
+    } catch (error) {
+        if (error.code === 'VOUCHER_IN_USE') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('❌ Delete voucher error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete voucher' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// server/routes/customer.js
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const Customer = require('../models/Customer');
+const CustomerService = require('../services/customer.service');
+const { authenticateCustomer } = require('../middleware/customerAuth');
+
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many attempts, please try again later' }
+});
+
+const customerErrorStatus = {
+    INVALID_CUSTOMER: 400,
+    EMAIL_TAKEN: 409,
+    INVALID_LOGIN: 401,
+    INVALID_VERIFICATION: 400
+};
+
+// Known customer errors become their status code, anything else a 500
+function sendCustomerError(res, error, fallback) {
+    const status = customerErrorStatus[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * POST /api/customer/register
+ * Create an account and email a verification link
+ */
+router.post('/register', authLimiter, async (req, res) => {
+    try {
+        const { email, password, name, phone } = req.body;
+        const result = await CustomerService.register({ email, password, name, phone });
+
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to register');
+    }
+});
+
+/**
+ * POST /api/customer/login
+ * Exchange email and password for a customer token
+ */
+router.post('/login', authLimiter, async (req, res) => {
+    try {
+        const result = await CustomerService.login(req.body.email, req.body.password);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to log in');
+    }
+});
+
+/**
+ * GET /api/customer/verify-email?token=
+ * Target of the verification email; lands on the account page
+ */
+router.get('/verify-email', async (req, res) => {
+    try {
+        await CustomerService.verifyEmail(req.query.token);
+        res.redirect('/account.html?verified=1');
+    } catch (error) {
+        if (error.code !== 'INVALID_VERIFICATION') {
+            console.error('❌ Email verification error:', error);
+        }
+        res.redirect('/account.html?verified=0');
+    }
+});
+
+/**
+ * POST /api/customer/resend-verification
+ * Send the verification link again
+ */
+router.post('/resend-verification', authLimiter, authenticateCustomer, async (req, res) => {
+    try {
+        if (req.customer.verified) {
+            return res.status(400).json({ success: false, error: 'Email is already verified' });
+        }
+
+        const sent = await CustomerService.sendVerification(req.customer);
+        if (!sent) {
+            return res.status(502).json({ success: false, error: 'Failed to send verification email' });
+        }
+
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to send verification email');
+    }
+});
+
+/**
+ * GET /api/customer/me
+ * The logged-in customer's profile
+ */
+router.get('/me', authenticateCustomer, (req, res) => {
+    res.json({ success: true, customer: Customer.format(req.customer) });
+});
+
+/**
+ * PUT /api/customer/me
+ * Update name and phone
+ */
+router.put('/me', authenticateCustomer, async (req, res) => {
+    try {
+        const { name, phone } = req.body;
+        const customer = await Customer.updateProfile(req.customer.id, {
+            name: name === undefined ? undefined : String(name).trim(),
+            phone: phone === undefined ? undefined : String(phone).trim()
+        });
+
+        res.json({ success: true, customer: Customer.format(customer) });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to update profile');
+    }
+});
+
+/**
+ * PUT /api/customer/me/password
+ * Change password, confirming the current one. Other sessions are logged out; the
+ * response carries a new token for this one.
+ */
+router.put('/me/password', authLimiter, authenticateCustomer, async (req, res) => {
+    try {
+        const { token } = await CustomerService.changePassword(req.customer, req.body.currentPassword, req.body.newPassword);
+        res.json({ success: true, message: 'Password updated', token });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to change password');
+    }
+});
+
+/**
+ * GET /api/customer/orders
+ * The customer's orders with delivered credentials
+ */
+router.get('/orders', authenticateCustomer, async (req, res) => {
+    try {
+        const orders = await CustomerService.getOrders(req.customer.id);
+        res.json({ success: true, orders });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to load orders');
+    }
+});
+
+/**
+ * GET /api/customer/orders/:orderId
+ * One of the customer's orders
+ */
+router.get('/orders/:orderId', authenticateCustomer, async (req, res) => {
+    try {
+        const order = await CustomerService.getOrder(req.customer.id, req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+
+        res.json({ success: true, order });
+    } catch (error) {
+        sendCustomerError(res, error, 'Failed to load order');
+    }
+});
+
+module.exports = router;
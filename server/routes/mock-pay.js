@@ -0,0 +1,101 @@
+// server/routes/mock-pay.js
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const PaymentService = require('../services/payment.service');
+const MockProvider = require('../services/providers/mock.provider');
+const { orderPageUrl } = require('../middleware/orderAccess');
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Only reachable while the mock provider is the active one
+router.use((req, res, next) => {
+    if (!PaymentService.isActive('mock')) {
+        return res.status(404).send('Mock payment provider is not enabled');
+    }
+    next();
+});
+
+// Look up a pending mock order, re-creating its in-memory transaction after a restart
+async function findMockOrder(orderId) {
+    const order = await Order.findByOrderId(orderId);
+    if (!order || order.paymentProvider !== 'mock') return null;
+
+    if (!MockProvider.getTransaction(orderId)) {
+        await MockProvider.createPayment({ orderId, amount: order.amount, method: order.paymentMethod });
+    }
+    return order;
+}
+
+/**
+ * GET /mock-pay/:orderId
+ * Local stand-in for the provider's hosted payment page
+ */
+router.get('/:orderId', async (req, res) => {
+    try {
+        const order = await findMockOrder(req.params.orderId);
+        if (!order) {
+            return res.status(404).send('Order not found');
+        }
+
+        // A real provider only knows the return URL it was given; the local stand-in can link back itself
+        const redirect = req.query.redirect || orderPageUrl('pending', order);
+        const canPay = order.status === 'pending';
+
+        res.send(`<!DOCTYPE html>
+<html>
+<head>
+    <title>Mock Payment - ${escapeHtml(order.orderId)}</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: sans-serif; background: #f3f4f6; margin: 0; padding: 40px 16px;">
+    <div style="max-width: 420px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 24px; box-shadow: 0 1px 4px rgba(0,0,0,.1);">
+        <p style="margin: 0 0 8px; color: #b45309; font-weight: bold;">🧪 Mock payment provider, no money moves</p>
+        <h2 style="margin: 0 0 16px;">${escapeHtml(order.role)}</h2>
+        <p>Order: <b>${escapeHtml(order.orderId)}</b></p>
+        <p>Amount: <b>Rp ${Number(order.amount).toLocaleString('id-ID')}</b></p>
+        <p>Status: <b>${escapeHtml(order.status)}</b></p>
+        ${canPay ? `
+        <form method="post" action="/mock-pay/${encodeURIComponent(order.orderId)}/pay">
+            <input type="hidden" name="redirect" value="${escapeHtml(redirect)}">
+            <button type="submit" style="width: 100%; padding: 12px; border: 0; border-radius: 8px; background: #2563eb; color: #fff; font-size: 16px; cursor: pointer;">
+                Pay now
+            </button>
+        </form>` : `<a href="${escapeHtml(redirect)}">Back to order</a>`}
+    </div>
+</body>
+</html>`);
+    } catch (error) {
+        console.error('❌ Mock pay page error:', error);
+        res.status(500).send('Failed to load payment page');
+    }
+});
+
+/**
+ * POST /mock-pay/:orderId/pay
+ * Mark the mock transaction paid and send the signed webhook to /api/webhook/mock
+ */
+router.post('/:orderId/pay', async (req, res) => {
+    try {
+        const order = await findMockOrder(req.params.orderId);
+        if (!order) {
+            return res.status(404).send('Order not found');
+        }
+
+        const result = await MockProvider.completePayment(order.orderId);
+        console.log(`🧪 Mock payment for ${order.orderId}:`, result);
+
+        const redirect = req.body.redirect || '';
+        // Only redirect within this site
+        if (redirect.startsWith('/') && !redirect.startsWith('//')) {
+            return res.redirect(redirect);
+        }
+        res.redirect(orderPageUrl('pending', order));
+    } catch (error) {
+        console.error('❌ Mock payment error:', error);
+        res.status(500).send(`Mock payment failed: ${escapeHtml(error.response?.data?.error || error.message)}`);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// server/routes/order-lookup.js
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const OrderLookupService = require('../services/orderLookup.service');
+
+// Per-IP limits on top of the per-email and per-code limits in OrderLookupService
+const codeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+const verifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many attempts, please try again later' }
+});
+
+const clientIp = req => req.headers['x-forwarded-for'] || req.ip || null;
+
+// Lookup sessions are opaque tokens sent as "Authorization: Bearer <token>", unrelated to admin JWTs
+const requireLookupSession = async (req, res, next) => {
+    try {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+
+        const session = await OrderLookupService.getSession(token);
+        if (!session) {
+            return res.status(401).json({ success: false, error: 'Session expired, please request a new code' });
+        }
+
+        req.lookupSession = { ...session, token };
+        next();
+    } catch (error) {
+        console.error('❌ Order lookup session error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to check session' });
+    }
+};
+
+/**
+ * POST /api/my-orders/request-code
+ * Email a one-time code and magic link to the customer
+ */
+router.post('/request-code', codeLimiter, async (req, res) => {
+    try {
+        const { expiresInMinutes } = await OrderLookupService.requestCode(req.body.email, {
+            ip: clientIp(req)
+        });
+
+        // The same answer whether or not the email has orders
+        res.json({
+            success: true,
+            message: 'If this email has orders, a login code is on its way',
+            expiresInMinutes
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_EMAIL') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.code === 'RATE_LIMITED') {
+            return res.status(429).json({ success: false, error: error.message });
+        }
+        console.error('❌ Order lookup code error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send login code' });
+    }
+});
+
+/**
+ * POST /api/my-orders/verify
+ * Exchange { email, code } for a lookup session
+ */
+router.post('/verify', verifyLimiter, async (req, res) => {
+    try {
+        const session = await OrderLookupService.verifyCode(req.body.email, req.body.code, { ip: clientIp(req) });
+        res.json({ success: true, ...session });
+    } catch (error) {
+        if (error.code === 'INVALID_CODE') {
+            return res.status(401).json({ success: false, error: error.message });
+        }
+        console.error('❌ Order lookup verify error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify code' });
+    }
+});
+
+/**
+ * POST /api/my-orders/verify-link
+ * Exchange the { token } from a magic link for a lookup session
+ */
+router.post('/verify-link', verifyLimiter, async (req, res) => {
+    try {
+        const session = await OrderLookupService.verifyLink(req.body.token, { ip: clientIp(req) });
+        res.json({ success: true, ...session });
+    } catch (error) {
+        if (error.code === 'INVALID_CODE') {
+            return res.status(401).json({ success: false, error: error.message });
+        }
+        console.error('❌ Order lookup link error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify link' });
+    }
+});
+
+/**
+ * GET /api/my-orders
+ * Every order for the session's email, with delivered credentials
+ */
+router.get('/', requireLookupSession, async (req, res) => {
+    try {
+        const orders = await OrderLookupService.getOrders(req.lookupSession.email);
+
+        res.json({
+            success: true,
+            email: req.lookupSession.email,
+            expiresAt: req.lookupSession.expiresAt,
+            orders
+        });
+    } catch (error) {
+        console.error('❌ Order lookup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load orders' });
+    }
+});
+
+/**
+ * POST /api/my-orders/logout
+ * End the lookup session
+ */
+router.post('/logout', requireLookupSession, async (req, res) => {
+    try {
+        await OrderLookupService.endSession(req.lookupSession.token);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Order lookup logout error:', error);
+        res.status(500).json({ success: false, error: 'Failed to end session' });
+    }
+});
+
+module.exports = router;
@@ -1,490 +1,741 @@
-const express = require('express');
-const router = express.Router();
-const path = require('path');
-const fs = require('fs');
-
-// Load config
-const configPath = path.join(__dirname, '../../data/config.json');
-let config = { pakasir: {} };
-try {
-    if (fs.existsSync(configPath)) {
-        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        console.log('✅ Payment: Config loaded');
-        console.log('📦 Raw pakasir config:', config.pakasir);
-        console.log('📦 Using slug:', config.pakasir?.slug);
-        console.log('📦 Using project (deprecated):', config.pakasir?.project);
-    } else {
-        console.warn('⚠️ Payment: Config file not found at', configPath);
-    }
-} catch (error) {
-    console.error('❌ Payment: Error loading config:', error.message);
-}
-
-// Get available payment methods
-router.get('/methods', (req, res) => {
-    try {
-        const methods = [
-            { id: 'qris', name: 'QRIS', icon: '/img/qris.png', fee: 0 },
-            { id: 'bri_va', name: 'BRI Virtual Account', icon: '/img/bri.png', fee: 4000 },
-            { id: 'bni_va', name: 'BNI Virtual Account', icon: '/img/bni.png', fee: 4000 },
-            { id: 'mandiri_va', name: 'Mandiri Virtual Account', icon: '/img/mandiri.png', fee: 4000 },
-            { id: 'cimb_va', name: 'CIMB Niaga Virtual Account', icon: '/img/cimb.png', fee: 4000 },
-            { id: 'paypal', name: 'PayPal', icon: '/img/paypal.png', fee: '4.4% + $0.30' }
-        ];
-        
-        console.log('📋 Payment methods fetched');
-        res.json({ success: true, methods });
-    } catch (error) {
-        console.error('❌ Error fetching payment methods:', error.message);
-        res.status(500).json({ success: false, error: 'Failed to fetch payment methods' });
-    }
-});
-
-// Create payment (API integration - display QR/VA on your site)
-// server/routes/payment.js (bagian create)
-router.post('/create', async (req, res) => {
-    try {
-        const { username, roleId, paymentMethod } = req.body;
-        
-        console.log('🛒 Payment create request:', { username, roleId, paymentMethod });
-        
-        if (!username || !roleId || !paymentMethod) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Missing required fields' 
-            });
-        }
-        
-        // Load products from product.json
-        const rolesPath = path.join(__dirname, '../../data/product.json');
-        let product = null;
-        
-        try {
-            const rolesData = JSON.parse(fs.readFileSync(rolesPath, 'utf8'));
-            
-            if (rolesData.roles && Array.isArray(rolesData.roles)) {
-                product = rolesData.roles.find(r => r.id === roleId);
-                console.log('✅ Products loaded from roles.roles array');
-            } 
-            else if (Array.isArray(rolesData)) {
-                product = rolesData.find(r => r.id === roleId);
-                console.log('✅ Products loaded as array');
-            }
-            else {
-                product = rolesData[roleId];
-                if (product) {
-                    product.id = roleId;
-                }
-                console.log('✅ Products loaded as object');
-            }
-            
-        } catch (error) {
-            console.error('❌ Error loading products:', error.message);
-            return res.status(500).json({ 
-                success: false, 
-                error: 'Failed to load products configuration' 
-            });
-        }
-        
-        if (!product) {
-            console.log('⚠️ Product not found:', roleId);
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Product not found' 
-            });
-        }
-        
-        const amount = parseInt(product.price) || 0;
-        if (amount <= 0) {
-            console.log('⚠️ Invalid price for product:', roleId, product.price);
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Invalid product price' 
-            });
-        }
-        
-        console.log('✅ Product found:', product.name, 'price:', amount);
-        
-        // Get config
-        const configPath = path.join(__dirname, '../../data/config.json');
-        let config = { pakasir: {} };
-        if (fs.existsSync(configPath)) {
-            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        }
-        
-        const projectSlug = config.pakasir?.slug || 'gtps-shop';
-        console.log('📦 Using project slug for payment:', projectSlug);
-        
-        const orderId = 'GTPS-' + Date.now() + '-' + Math.random().toString(36).substring(2, 8).toUpperCase();
-        
-        let paymentData = {};
-        
-        if (paymentMethod === 'paypal') {
-            const amountInUSD = amount / 15000;
-            paymentData = {
-                type: 'paypal',
-                url: `https://app.pakasir.com/paypal/${projectSlug}/${amount}?order_id=${orderId}`,
-                amountInUSD: amountInUSD.toFixed(2),
-                fee: {
-                    pakasir: 3000,
-                    paypal: '4.4% + $0.30'
-                }
-            };
-        } else {
-            let url = `https://app.pakasir.com/pay/${projectSlug}/${amount}?order_id=${orderId}`;
-            
-            if (paymentMethod === 'qris') {
-                url += '&qris_only=1';
-            }
-            
-            paymentData = {
-                type: 'redirect',
-                url: url
-            };
-        }
-        
-        console.log('✅ Payment created:', { orderId, amount, method: paymentMethod, url: paymentData.url });
-        
-        // Save order to SQLite database
-        const Order = require('../models/Order');
-        await Order.create({
-            orderId,
-            username,
-            role: product.name,
-            productId: product.id,
-            amount,
-            status: 'pending',
-            paymentMethod
-        });
-        
-        res.json({
-            success: true,
-            orderId,
-            amount,
-            role: product.name,
-            productId: product.id,
-            payment: paymentData,
-            expiresIn: 3600
-        });
-        
-    } catch (error) {
-        console.error('❌ Payment creation error:', error.message);
-        console.error(error.stack);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to create payment',
-            message: error.message 
-        });
-    }
-});
-
-// Check payment status
-router.get('/status/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        console.log('🔍 Checking payment status for:', orderId);
-        
-        const Order = require('../models/Order');
-        const order = await Order.findByOrderId(orderId);
-        
-        if (!order) {
-            return res.status(404).json({ success: false, error: 'Order not found' });
-        }
-        
-        res.json({
-            success: true,
-            status: order.status,
-            orderId: order.orderId,
-            amount: order.amount,
-            redeemCode: order.redeemCode || null
-        });
-        
-    } catch (error) {
-        console.error('❌ Status check error:', error.message);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Payment webhook (untuk Pakasir)
-router.post('/webhook/pakasir', async (req, res) => {
-    try {
-        const data = req.body;
-        console.log('📩 Pakasir webhook received:', JSON.stringify(data, null, 2));
-        
-        const { order_id, status, amount } = data;
-        
-        if (!order_id) {
-            return res.status(400).json({ error: 'Missing order_id' });
-        }
-        
-        const Order = require('../models/Order');
-        const order = await Order.findByOrderId(order_id);
-        
-        if (!order) {
-            console.log('⚠️ Order not found:', order_id);
-            return res.status(404).json({ error: 'Order not found' });
-        }
-        
-        if (status === 'completed' || status === 'success') {
-            console.log('✅ Payment completed for:', order_id);
-            
-            const RedeemCode = require('../models/RedeemCode');
-            const redeemCode = await RedeemCode.getAvailableCode(order.role);
-            
-            if (redeemCode) {
-                await RedeemCode.markAsUsed(redeemCode.code, order.username, order_id);
-                
-                await Order.update(order_id, {
-                    status: 'completed',
-                    redeemCode: redeemCode.code,
-                    completedAt: new Date().toISOString()
-                });
-                
-                try {
-                    const whatsappBot = require('../models/WhatsAppBot');
-                    await whatsappBot.sendRedeemCode(order.username, {
-                        orderId: order_id,
-                        productName: order.role,
-                        amount: order.amount,
-                        redeemCode: redeemCode.code
-                    });
-                    console.log('📧 Email notification sent');
-                } catch (emailError) {
-                    console.error('❌ Email error:', emailError.message);
-                }
-                
-            } else {
-                console.log('⚠️ No redeem code available for role:', order.role);
-                await Order.update(order_id, {
-                    status: 'failed',
-                    failedReason: 'Out of stock'
-                });
-            }
-            
-        } else if (status === 'pending') {
-            await Order.update(order_id, { status: 'pending' });
-        } else {
-            await Order.update(order_id, { status: 'failed' });
-        }
-        
-        res.json({ received: true });
-        
-    } catch (error) {
-        console.error('❌ Webhook error:', error.message);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Redirect after payment
-router.get('/redirect/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        console.log('↪️ Payment redirect for:', orderId);
-        
-        const Order = require('../models/Order');
-        const order = await Order.findByOrderId(orderId);
-        
-        if (!order) {
-            return res.redirect('/error.html?message=Order not found');
-        }
-        
-        if (order.status === 'completed') {
-            res.redirect(`/success.html?order=${orderId}&code=${order.redeemCode || ''}`);
-        } else if (order.status === 'failed') {
-            res.redirect(`/failed.html?order=${orderId}`);
-        } else {
-            res.redirect(`/pending.html?order=${orderId}`);
-        }
-        
-    } catch (error) {
-        console.error('❌ Redirect error:', error.message);
-        res.redirect('/error.html?message=Server error');
-    }
-});
-
-// Create payment (Redirect method - send user to Pakasir page)
-router.post('/create-redirect', async (req, res) => {
-    try {
-        const { username, roleId, amount, qrisOnly, redirectUrl } = req.body;
-        
-        const orderId = 'INV-' + Date.now() + '-' + Math.random().toString(36).substring(2, 7).toUpperCase();
-        
-        const Order = require('../models/Order');
-        await Order.create({
-            orderId,
-            username,
-            role: roleId,
-            amount: parseInt(amount) || 0,
-            status: 'pending',
-            paymentMethod: qrisOnly ? 'qris' : 'redirect'
-        });
-        
-        // FIX: Use slug from config, not project
-        const projectSlug = config.pakasir?.slug || 'gtps-shop';
-        console.log('📦 Using project slug for redirect:', projectSlug);
-        
-        let paymentUrl = `https://app.pakasir.com/pay/${projectSlug}/${amount}?order_id=${orderId}`;
-        
-        if (qrisOnly === 'true') {
-            paymentUrl += '&qris_only=1';
-        }
-        
-        if (redirectUrl) {
-            paymentUrl += `&redirect=${encodeURIComponent(redirectUrl)}`;
-        }
-        
-        res.json({
-            success: true,
-            orderId,
-            redirectUrl: paymentUrl,
-            message: 'Redirect to payment page'
-        });
-        
-    } catch (error) {
-        console.error('❌ Payment creation error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to create payment' 
-        });
-    }
-});
-
-// Create PayPal payment
-router.post('/create-paypal', async (req, res) => {
-    try {
-        const { username, roleId, amount } = req.body;
-        
-        const amountInUSD = amount / 15000;
-        
-        const orderId = 'PAYPAL-' + Date.now() + '-' + Math.random().toString(36).substring(2, 7).toUpperCase();
-        
-        const Order = require('../models/Order');
-        await Order.create({
-            orderId,
-            username,
-            role: roleId,
-            amount: parseInt(amount) || 0,
-            status: 'pending',
-            paymentMethod: 'paypal'
-        });
-        
-        // FIX: Use slug from config, not project
-        const projectSlug = config.pakasir?.slug || 'gtps-shop';
-        console.log('📦 Using project slug for PayPal:', projectSlug);
-        
-        const paypalUrl = `https://app.pakasir.com/paypal/${projectSlug}/${amount}?order_id=${orderId}`;
-        
-        res.json({
-            success: true,
-            orderId,
-            redirectUrl: paypalUrl,
-            amountInUSD: amountInUSD.toFixed(2),
-            fee: {
-                pakasir: 3000,
-                paypal: '4.4% + $0.30'
-            },
-            message: 'Redirect to PayPal'
-        });
-        
-    } catch (error) {
-        console.error('❌ PayPal payment error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to create PayPal payment' 
-        });
-    }
-});
-
-// Cancel transaction
-router.post('/cancel/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        
-        const Order = require('../models/Order');
-        const order = await Order.findByOrderId(orderId);
-        
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
-        
-        await Order.update(orderId, {
-            status: 'cancelled',
-            cancelledAt: new Date().toISOString()
-        });
-        
-        res.json({
-            success: true,
-            message: 'Transaction cancelled'
-        });
-        
-    } catch (error) {
-        console.error('❌ Cancel error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to cancel transaction' 
-        });
-    }
-});
-
-// Simulate payment (sandbox only)
-router.post('/simulate/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        
-        const Order = require('../models/Order');
-        const order = await Order.findByOrderId(orderId);
-        
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
-        
-        await Order.update(orderId, {
-            status: 'completed',
-            completedAt: new Date().toISOString()
-        });
-        
-        res.json({
-            success: true,
-            message: 'Payment simulated'
-        });
-        
-    } catch (error) {
-        console.error('❌ Simulation error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to simulate payment' 
-        });
-    }
-});
-
-// Payment completion page
-router.get('/complete', (req, res) => {
-    const { order_id, status } = req.query;
-    
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Payment Complete - LyyShop ID</title>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <script src="https://cdn.tailwindcss.com"></script>
-        </head>
-        <body class="bg-gray-100">
-            <div class="container mx-auto p-8 text-center">
-                <div class="bg-white rounded-lg shadow p-8 max-w-md mx-auto">
-                    <div class="text-6xl mb-4">✅</div>
-                    <h1 class="text-2xl font-bold mb-4">Payment ${status || 'Completed'}!</h1>
-                    <p class="text-gray-600 mb-2">Order ID: ${order_id || 'N/A'}</p>
-                    <p class="text-gray-600 mb-6">Your payment has been processed successfully.</p>
-                    <a href="/" class="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600">
-                        Back to Home
-                    </a>
-                </div>
-            </div>
-        </body>
-        </html>
-    `);
-});
-
-module.exports = router;
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const ReservationService = require('../services/reservation.service');
+const FulfillmentService = require('../services/fulfillment.service');
+const PaymentService = require('../services/payment.service');
+const VoucherService = require('../services/voucher.service');
+const PaymentLog = require('../models/PaymentLog');
+const OrderState = require('../services/orderState.service');
+const Order = require('../models/Order');
+const { requireOrderAccess, getOrderToken, orderPageUrl } = require('../middleware/orderAccess');
+const { optionalCustomer } = require('../middleware/customerAuth');
+
+// Load config
+const configPath = path.join(__dirname, '../../data/config.json');
+let config = { pakasir: {} };
+try {
+    if (fs.existsSync(configPath)) {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        console.log('✅ Payment: Config loaded');
+    } else {
+        console.warn('⚠️ Payment: Config file not found at', configPath);
+    }
+} catch (error) {
+    console.error('❌ Payment: Error loading config:', error.message);
+}
+
+const MAX_CART_ITEMS = 20;
+
+// Simulated payments deliver real stock, so they are off in production unless pakasir.sandbox says otherwise
+function isSandbox() {
+    if (typeof config.pakasir?.sandbox === 'boolean') return config.pakasir.sandbox;
+    return process.env.NODE_ENV !== 'production';
+}
+
+// Payment details for a new order. With on-site display (config payment.onsite or `onsite` in the
+// request) QRIS and VA transactions are created through the provider's API; anything else, or a
+// failed API call, falls back to the provider's payment page. pakasirData is the raw API response.
+async function createOrderPayment(orderId, amount, paymentMethod, onsite) {
+    const provider = PaymentService.provider;
+    const link = await provider.createPayment({ orderId, amount, method: paymentMethod });
+    const wantsOnsite = onsite === undefined ? PaymentService.onsite : onsite === true || onsite === 'true';
+
+    if (!wantsOnsite || !PaymentService.supportsOnsite(provider, paymentMethod)) {
+        return { payment: link, pakasirData: null };
+    }
+
+    try {
+        const transaction = await provider.createTransaction({ orderId, amount, method: paymentMethod });
+        return {
+            payment: await PaymentService.describeOnsite(transaction, link.url),
+            pakasirData: transaction.raw
+        };
+    } catch (error) {
+        console.warn(`⚠️ On-site payment for ${orderId} failed, using payment page:`, error.response?.data || error.message);
+        await PaymentLog.record('payment.onsite_failed', orderId, {
+            provider: provider.name,
+            method: paymentMethod,
+            error: error.response?.data?.message || error.message
+        });
+        return { payment: link, pakasirData: null };
+    }
+}
+
+// Quantities default to 1 and must be positive whole numbers
+function parseQuantity(value) {
+    if (value === undefined || value === null || value === '') return 1;
+    const quantity = Number(value);
+    return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+}
+
+// Look up an active product (and variant) for purchase, resolving its display name and price
+async function resolveLineItem(roleId, variantId) {
+    const Product = require('../models/Product');
+    const product = await Product.findById(roleId);
+    
+    if (!product || product.status !== 'active') {
+        console.log('⚠️ Product not found:', roleId);
+        return { statusCode: 404, error: 'Product not found' };
+    }
+    
+    // Products with variants are always bought through one of them
+    let variant = null;
+    if (product.variants.length > 0 || variantId) {
+        variant = product.variants.find(v => v.id === variantId);
+        
+        if (!variant) {
+            console.log('⚠️ Variant not found:', roleId, variantId);
+            return {
+                statusCode: 400,
+                error: variantId ? 'Variant not found' : `Please select a variant for ${product.name}`,
+                variants: product.variants.map(v => ({ id: v.id, name: v.name, price: v.price, stock: v.stock }))
+            };
+        }
+    }
+    
+    const itemName = variant ? `${product.name} - ${variant.name}` : product.name;
+    
+    const unitPrice = parseInt(variant ? variant.price : product.price) || 0;
+    if (unitPrice <= 0) {
+        console.log('⚠️ Invalid price for product:', roleId, variantId, unitPrice);
+        return { statusCode: 400, error: 'Invalid product price' };
+    }
+    
+    return { product, variant, itemName, unitPrice };
+}
+
+// Quote a voucher code against the order lines. Resolves null without a code, or { error }
+// when the voucher cannot be used for this order.
+async function quoteVoucher(voucherCode, lines, username) {
+    if (!voucherCode) return null;
+
+    try {
+        return await VoucherService.quote(voucherCode, { lines, email: username });
+    } catch (error) {
+        if (error.code !== 'VOUCHER_NOT_APPLICABLE') throw error;
+        return { error: error.message };
+    }
+}
+
+// Redeem a quoted voucher for a freshly reserved order. Resolves an error message, after
+// giving the stock back, when another checkout used up the voucher in the meantime.
+async function redeemVoucher(voucherQuote, orderId, username) {
+    try {
+        await VoucherService.redeem(voucherQuote, orderId, username);
+        return null;
+    } catch (error) {
+        await ReservationService.release(orderId);
+        if (error.code !== 'VOUCHER_NOT_APPLICABLE') throw error;
+        return error.message;
+    }
+}
+
+// Get available payment methods
+router.get('/methods', (req, res) => {
+    try {
+        const methods = [
+            { id: 'qris', name: 'QRIS', icon: '/img/qris.png', fee: 0 },
+            { id: 'bri_va', name: 'BRI Virtual Account', icon: '/img/bri.png', fee: 4000 },
+            { id: 'bni_va', name: 'BNI Virtual Account', icon: '/img/bni.png', fee: 4000 },
+            { id: 'mandiri_va', name: 'Mandiri Virtual Account', icon: '/img/mandiri.png', fee: 4000 },
+            { id: 'cimb_va', name: 'CIMB Niaga Virtual Account', icon: '/img/cimb.png', fee: 4000 },
+            { id: 'paypal', name: 'PayPal', icon: '/img/paypal.png', fee: '4.4% + $0.30' }
+        ];
+        
+        console.log('📋 Payment methods fetched');
+        res.json({ success: true, methods });
+    } catch (error) {
+        console.error('❌ Error fetching payment methods:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to fetch payment methods' });
+    }
+});
+
+/**
+ * POST /api/payment/voucher
+ * Preview a voucher for a product ({ roleId, variantId, quantity }) or a cart ({ items })
+ * before checkout; nothing is redeemed until the order is created
+ */
+router.post('/voucher', optionalCustomer, async (req, res) => {
+    try {
+        const { voucherCode } = req.body;
+        const username = req.customer ? req.customer.email : req.body.username;
+        const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+
+        if (!voucherCode || items.length === 0 || items.length > MAX_CART_ITEMS) {
+            return res.status(400).json({ success: false, error: 'Missing required fields' });
+        }
+
+        const lines = [];
+        for (const item of items) {
+            const quantity = parseQuantity(item.quantity);
+            const line = quantity ? await resolveLineItem(item.productId || item.roleId, item.variantId) : null;
+            if (!line || line.error) {
+                return res.status(line ? line.statusCode : 400).json({
+                    success: false,
+                    error: line ? line.error : 'Quantity must be a positive whole number'
+                });
+            }
+            lines.push({ productId: line.product.id, unitPrice: line.unitPrice, quantity });
+        }
+
+        const quote = await quoteVoucher(voucherCode, lines, username);
+        if (quote.error) {
+            return res.status(400).json({ success: false, error: quote.error, voucherCode });
+        }
+
+        res.json({
+            success: true,
+            voucherCode: quote.voucher.code,
+            description: quote.voucher.description || '',
+            subtotal: quote.subtotal,
+            discount: quote.discount,
+            total: quote.total
+        });
+    } catch (error) {
+        console.error('❌ Voucher preview error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to check voucher' });
+    }
+});
+
+// Create payment (API integration - display QR/VA on your site)
+// server/routes/payment.js (bagian create)
+// A logged-in customer's order goes to their account and email instead of the typed username.
+router.post('/create', optionalCustomer, async (req, res) => {
+    try {
+        const { roleId, variantId, paymentMethod, voucherCode } = req.body;
+        const username = req.customer ? req.customer.email : req.body.username;
+        const quantity = parseQuantity(req.body.quantity);
+        
+        console.log('🛒 Payment create request:', { username, roleId, variantId, quantity, paymentMethod });
+        
+        if (!username || !roleId || !paymentMethod) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Missing required fields' 
+            });
+        }
+        
+        if (!quantity) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Quantity must be a positive whole number' 
+            });
+        }
+        
+        const line = await resolveLineItem(roleId, variantId);
+        if (line.error) {
+            return res.status(line.statusCode).json({
+                success: false,
+                error: line.error,
+                ...(line.variants && { variants: line.variants })
+            });
+        }
+        
+        const { product, variant, itemName } = line;
+        const subtotal = line.unitPrice * quantity;
+        
+        console.log('✅ Product found:', itemName, 'price:', line.unitPrice, 'quantity:', quantity);
+        
+        const voucherQuote = await quoteVoucher(voucherCode, [{ productId: product.id, unitPrice: line.unitPrice, quantity }], username);
+        if (voucherQuote?.error) {
+            return res.status(400).json({ success: false, error: voucherQuote.error, voucherCode });
+        }
+        const amount = voucherQuote ? voucherQuote.total : subtotal;
+        const discount = voucherQuote ? voucherQuote.discount : 0;
+        
+        const orderId = 'GTPS-' + Date.now() + '-' + Math.random().toString(36).substring(2, 8).toUpperCase();
+        
+        // Hold the stock before the customer pays, so the last account cannot be sold twice
+        let reservation;
+        try {
+            reservation = await ReservationService.reserve(orderId, [{
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                productName: itemName,
+                quantity
+            }]);
+        } catch (reserveError) {
+            if (reserveError.code !== 'OUT_OF_STOCK') throw reserveError;
+            return res.status(400).json({ 
+                success: false, 
+                error: reserveError.message,
+                stock: reserveError.stock
+            });
+        }
+        
+        if (voucherQuote) {
+            const voucherError = await redeemVoucher(voucherQuote, orderId, username);
+            if (voucherError) {
+                return res.status(400).json({ success: false, error: voucherError, voucherCode });
+            }
+        }
+        
+        let paymentData, pakasirData, order;
+        try {
+            ({ payment: paymentData, pakasirData } = await createOrderPayment(orderId, amount, paymentMethod, req.body.onsite));
+            
+            console.log('✅ Payment created:', { orderId, amount, method: paymentMethod, url: paymentData.url });
+            
+            // Save order to SQLite database
+            order = await Order.create({
+                orderId,
+                username,
+                role: itemName,
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                quantity,
+                amount,
+                status: 'pending',
+                paymentMethod,
+                paymentProvider: PaymentService.providerName,
+                pakasirData,
+                customerId: req.customer ? req.customer.id : null,
+                voucherCode: voucherQuote ? voucherQuote.voucher.code : null,
+                discountAmount: discount
+            });
+        } catch (createError) {
+            // Without an order nothing would ever release the held stock before it times out
+            await ReservationService.release(orderId);
+            if (voucherQuote) await VoucherService.release(orderId);
+            throw createError;
+        }
+        
+        await PaymentLog.record('payment.created', orderId, {
+            provider: PaymentService.providerName,
+            method: paymentMethod,
+            type: paymentData.type,
+            amount,
+            productId: product.id,
+            variantId: variant ? variant.id : null,
+            quantity,
+            ...(voucherQuote && { voucherCode: voucherQuote.voucher.code, discount })
+        }, req);
+        
+        // Multi-unit orders are delivered through their order_items line
+        if (quantity > 1) {
+            const OrderItem = require('../models/OrderItem');
+            await OrderItem.createMany(orderId, [{
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                productName: itemName,
+                unitPrice: line.unitPrice,
+                quantity
+            }]);
+        }
+        
+        res.json({
+            success: true,
+            orderId,
+            amount,
+            role: itemName,
+            productId: product.id,
+            variantId: variant ? variant.id : null,
+            quantity,
+            unitPrice: line.unitPrice,
+            subtotal,
+            discount,
+            voucherCode: voucherQuote ? voucherQuote.voucher.code : null,
+            accessToken: order.accessToken,
+            pendingUrl: orderPageUrl('pending', order),
+            payment: paymentData,
+            reservedUntil: reservation.reservedUntil,
+            expiresIn: ReservationService.ttlMinutes * 60
+        });
+        
+    } catch (error) {
+        console.error('❌ Payment creation error:', error.message);
+        console.error(error.stack);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to create payment',
+            message: error.message 
+        });
+    }
+});
+
+// Create one payment for a cart of several products
+router.post('/checkout', optionalCustomer, async (req, res) => {
+    try {
+        const { items, paymentMethod, voucherCode } = req.body;
+        const username = req.customer ? req.customer.email : req.body.username;
+
+        console.log('🛒 Cart checkout request:', { username, items: Array.isArray(items) ? items.length : 0, paymentMethod });
+
+        if (!username || !paymentMethod || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (items.length > MAX_CART_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                error: `A cart can hold at most ${MAX_CART_ITEMS} items`
+            });
+        }
+
+        // Resolve every line, merging repeats of the same product/variant
+        const lines = [];
+        for (const item of items) {
+            const roleId = item.productId || item.roleId;
+            const quantity = parseQuantity(item.quantity);
+
+            if (!roleId || !quantity) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Each item needs a productId and a positive whole quantity'
+                });
+            }
+
+            const line = await resolveLineItem(roleId, item.variantId);
+            if (line.error) {
+                return res.status(line.statusCode).json({
+                    success: false,
+                    error: line.error,
+                    productId: roleId,
+                    ...(line.variants && { variants: line.variants })
+                });
+            }
+
+            const variantId = line.variant ? line.variant.id : null;
+            const existing = lines.find(l => l.productId === line.product.id && l.variantId === variantId);
+
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                lines.push({
+                    productId: line.product.id,
+                    variantId,
+                    productName: line.itemName,
+                    unitPrice: line.unitPrice,
+                    quantity
+                });
+            }
+        }
+
+        const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+        const summary = lines
+            .map(line => line.quantity > 1 ? `${line.productName} x${line.quantity}` : line.productName)
+            .join(', ');
+
+        console.log('✅ Cart resolved:', summary, 'total:', subtotal);
+
+        const voucherQuote = await quoteVoucher(voucherCode, lines, username);
+        if (voucherQuote?.error) {
+            return res.status(400).json({ success: false, error: voucherQuote.error, voucherCode });
+        }
+        const amount = voucherQuote ? voucherQuote.total : subtotal;
+        const discount = voucherQuote ? voucherQuote.discount : 0;
+
+        const orderId = 'GTPS-' + Date.now() + '-' + Math.random().toString(36).substring(2, 8).toUpperCase();
+
+        let reservation;
+        try {
+            reservation = await ReservationService.reserve(orderId, lines);
+        } catch (reserveError) {
+            if (reserveError.code !== 'OUT_OF_STOCK') throw reserveError;
+            return res.status(400).json({
+                success: false,
+                error: reserveError.message,
+                productId: reserveError.productId,
+                variantId: reserveError.variantId,
+                stock: reserveError.stock
+            });
+        }
+
+        if (voucherQuote) {
+            const voucherError = await redeemVoucher(voucherQuote, orderId, username);
+            if (voucherError) {
+                return res.status(400).json({ success: false, error: voucherError, voucherCode });
+            }
+        }
+
+        let paymentData, pakasirData, order;
+        try {
+            ({ payment: paymentData, pakasirData } = await createOrderPayment(orderId, amount, paymentMethod, req.body.onsite));
+
+            order = await Order.create({
+                orderId,
+                username,
+                role: summary,
+                productId: lines.length === 1 ? lines[0].productId : null,
+                variantId: lines.length === 1 ? lines[0].variantId : null,
+                quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+                amount,
+                status: 'pending',
+                paymentMethod,
+                paymentProvider: PaymentService.providerName,
+                pakasirData,
+                customerId: req.customer ? req.customer.id : null,
+                voucherCode: voucherQuote ? voucherQuote.voucher.code : null,
+                discountAmount: discount
+            });
+        } catch (createError) {
+            // Without an order nothing would ever release the held stock before it times out
+            await ReservationService.release(orderId);
+            if (voucherQuote) await VoucherService.release(orderId);
+            throw createError;
+        }
+
+        const OrderItem = require('../models/OrderItem');
+        const orderItems = await OrderItem.createMany(orderId, lines);
+
+        await PaymentLog.record('payment.created', orderId, {
+            provider: PaymentService.providerName,
+            method: paymentMethod,
+            type: paymentData.type,
+            amount,
+            items: lines.map(line => ({ productId: line.productId, variantId: line.variantId, quantity: line.quantity })),
+            ...(voucherQuote && { voucherCode: voucherQuote.voucher.code, discount })
+        }, req);
+
+        console.log('✅ Cart payment created:', { orderId, amount, lines: lines.length, method: paymentMethod });
+
+        res.json({
+            success: true,
+            orderId,
+            amount,
+            role: summary,
+            items: orderItems.map(item => ({
+                productId: item.productId,
+                variantId: item.variantId,
+                productName: item.productName,
+                quantity: item.quantity,
+                unitPrice: item.unitPrice,
+                subtotal: item.subtotal
+            })),
+            subtotal,
+            discount,
+            voucherCode: voucherQuote ? voucherQuote.voucher.code : null,
+            accessToken: order.accessToken,
+            pendingUrl: orderPageUrl('pending', order),
+            payment: paymentData,
+            reservedUntil: reservation.reservedUntil,
+            expiresIn: ReservationService.ttlMinutes * 60
+        });
+
+    } catch (error) {
+        console.error('❌ Cart checkout error:', error.message);
+        console.error(error.stack);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payment',
+            message: error.message
+        });
+    }
+});
+
+// Check payment status
+router.get('/status/:orderId', requireOrderAccess, async (req, res) => {
+    try {
+        const { order } = req;
+        console.log('🔍 Checking payment status for:', order.orderId);
+        
+        res.json({
+            success: true,
+            status: order.status,
+            orderId: order.orderId,
+            amount: order.amount,
+            redeemCode: order.redeemCode || null
+        });
+        
+    } catch (error) {
+        console.error('❌ Status check error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Payment link for a pending order, e.g. for the pending page's "pay now" button.
+// Orders created with on-site payment also get their QRIS/VA details back.
+router.get('/link/:orderId', requireOrderAccess, async (req, res) => {
+    try {
+        const { order } = req;
+        
+        if (order.status !== 'pending') {
+            return res.status(400).json({ success: false, error: `Order is not pending (current status: ${order.status})` });
+        }
+        
+        const provider = PaymentService.getProvider(order.paymentProvider);
+        const payment = await provider.createPayment({
+            orderId: order.orderId,
+            amount: order.amount,
+            method: order.paymentMethod
+        });
+        
+        const transaction = PaymentService.storedTransaction(order.pakasirData);
+        
+        res.json({
+            success: true,
+            orderId: order.orderId,
+            amount: order.amount,
+            paymentMethod: order.paymentMethod,
+            paymentUrl: payment.url,
+            onsite: transaction ? await PaymentService.describeOnsite(transaction, payment.url) : null
+        });
+        
+    } catch (error) {
+        console.error('❌ Payment link error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to get payment link' });
+    }
+});
+
+// Older Pakasir projects still point their webhook here; it is the same handler as /api/webhook/pakasir
+router.use('/webhook', require('./webhook'));
+
+// Redirect after payment; the return URL must carry the order's access token
+router.get('/redirect/:orderId', async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        console.log('↪️ Payment redirect for:', orderId);
+        
+        const order = await Order.findByOrderId(orderId);
+        
+        if (!Order.hasAccess(order, getOrderToken(req))) {
+            return res.redirect('/error.html?message=Order not found');
+        }
+        
+        if (order.status === 'completed') {
+            res.redirect(orderPageUrl('success', order, { code: order.redeemCode || '' }));
+        } else if (order.status === 'failed') {
+            res.redirect(orderPageUrl('failed', order));
+        } else {
+            res.redirect(orderPageUrl('pending', order));
+        }
+        
+    } catch (error) {
+        console.error('❌ Redirect error:', error.message);
+        res.redirect('/error.html?message=Server error');
+    }
+});
+
+// Cancel transaction
+router.post('/cancel/:orderId', requireOrderAccess, async (req, res) => {
+    try {
+        const { order } = req;
+        const { orderId } = order;
+        
+        if (order.status !== 'pending') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Order is not pending (current status: ${order.status})` 
+            });
+        }
+        
+        try {
+            await OrderState.transition(orderId, 'cancelled', {
+                actor: 'customer',
+                source: 'storefront',
+                fields: {
+                    failedReason: 'Cancelled by customer',
+                    failedAt: new Date().toISOString()
+                }
+            });
+        } catch (transitionError) {
+            if (transitionError.code !== 'INVALID_TRANSITION') throw transitionError;
+            return res.status(409).json({ success: false, error: transitionError.message });
+        }
+        
+        await ReservationService.release(orderId);
+        
+        let providerCancelled = true;
+        try {
+            await PaymentService.getProvider(order.paymentProvider).cancelPayment(orderId, order.amount);
+        } catch (cancelError) {
+            providerCancelled = false;
+            console.warn('⚠️ Provider cancel failed:', cancelError.response?.data?.message || cancelError.message);
+        }
+        
+        await PaymentLog.record('payment.cancelled', orderId, {
+            by: 'customer',
+            provider: order.paymentProvider || 'pakasir',
+            providerCancelled
+        }, req);
+        
+        res.json({
+            success: true,
+            message: 'Transaction cancelled'
+        });
+        
+    } catch (error) {
+        console.error('❌ Cancel error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to cancel transaction' 
+        });
+    }
+});
+
+// Simulate payment (sandbox only)
+router.post('/simulate/:orderId', requireOrderAccess, async (req, res) => {
+    try {
+        if (!isSandbox()) {
+            return res.status(403).json({ success: false, error: 'Payment simulation is only available in sandbox mode' });
+        }
+
+        const { order } = req;
+        const { orderId } = order;
+
+        if (order.status !== 'pending') {
+            return res.status(400).json({ success: false, error: `Order is not pending (current status: ${order.status})` });
+        }
+        
+        const fulfillment = await FulfillmentService.fulfillPaidOrder(order, 'sqlite', {
+            amount: order.amount,
+            order_id: orderId,
+            simulated: true
+        }, { actor: 'customer', trigger: 'sandbox-simulation' });
+        
+        await PaymentLog.record('payment.simulated', orderId, {
+            amount: order.amount,
+            outcome: fulfillment.status
+        }, req);
+        
+        res.json({
+            success: fulfillment.status !== 'out_of_stock',
+            message: 'Payment simulated',
+            status: fulfillment.status
+        });
+        
+    } catch (error) {
+        console.error('❌ Simulation error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to simulate payment' 
+        });
+    }
+});
+
+// Payment completion page
+router.get('/complete', (req, res) => {
+    const { order_id, status } = req.query;
+    
+    res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Payment Complete - LyyShop ID</title>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <script src="https://cdn.tailwindcss.com"></script>
+        </head>
+        <body class="bg-gray-100">
+            <div class="container mx-auto p-8 text-center">
+                <div class="bg-white rounded-lg shadow p-8 max-w-md mx-auto">
+                    <div class="text-6xl mb-4">✅</div>
+                    <h1 class="text-2xl font-bold mb-4">Payment ${status || 'Completed'}!</h1>
+                    <p class="text-gray-600 mb-2">Order ID: ${order_id || 'N/A'}</p>
+                    <p class="text-gray-600 mb-6">Your payment has been processed successfully.</p>
+                    <a href="/" class="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600">
+                        Back to Home
+                    </a>
+                </div>
+            </div>
+        </body>
+        </html>
+    `);
+});
+
+module.exports = router;
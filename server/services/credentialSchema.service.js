@@ -0,0 +1,175 @@
+// server/services/credentialSchema.service.js
+const Encryption = require('./encryption.service');
+
+// What an account of a credentials product holds when the product does not define its own fields,
+// i.e. the columns the accounts table always had
+const DEFAULT_FIELDS = [
+    { name: 'email', label: 'Email', required: true, secret: false },
+    { name: 'password', label: 'Password', required: true, secret: true },
+    { name: 'twofa_code', label: '2FA Code', required: false, secret: true }
+];
+
+// Fields kept in their own accounts column; every other field is stored in accounts.credential_fields
+const COLUMN_FIELDS = ['email', 'password', 'twofa_code'];
+
+// Upload keys older exports use for a field
+const FIELD_ALIASES = { twofa: 'twofa_code' };
+
+const MAX_FIELDS = 12;
+const MAX_VALUE_LENGTH = 1000;
+
+// A credentials product may define its fields in delivery_config.fields, e.g. a profile name and
+// PIN for Netflix or a URL and username for panels: [{ name, label, required, secret }].
+// Uploads are validated against them and deliveries show them in this order, hiding nothing
+// from the customer. Secret values are encrypted at rest and masked for admins until revealed;
+// password and 2FA code always are.
+class CredentialSchemaService {
+    constructor() {
+        this.defaultFields = DEFAULT_FIELDS;
+    }
+
+    schemaError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_DELIVERY';
+        return error;
+    }
+
+    // Check the fields an admin defined. Resolves them normalized; throws with code INVALID_DELIVERY.
+    validateSchema(fields) {
+        if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+            throw this.schemaError(`Credential fields must be a list of 1 to ${MAX_FIELDS} fields`);
+        }
+
+        const names = new Set();
+        const normalized = fields.map(field => {
+            const name = String(field?.name || '').trim();
+            if (!/^[a-z][a-z0-9_]{0,31}$/.test(name)) {
+                throw this.schemaError(`Invalid credential field name "${name}": use lowercase letters, digits and underscores`);
+            }
+            if (names.has(name)) {
+                throw this.schemaError(`Credential field "${name}" is defined twice`);
+            }
+            names.add(name);
+
+            const label = String(field.label || name).trim();
+            if (label.length > 60) {
+                throw this.schemaError(`Label of credential field "${name}" must be at most 60 characters`);
+            }
+
+            return { name, label, required: field.required === true, secret: field.secret === true };
+        });
+
+        if (!normalized.some(field => field.required)) {
+            throw this.schemaError('At least one credential field must be required');
+        }
+
+        return normalized;
+    }
+
+    // The fields of a credentials product from its delivery config
+    fieldsOf(config) {
+        return Array.isArray(config?.fields) && config.fields.length > 0 ? config.fields : DEFAULT_FIELDS;
+    }
+
+    // Check one uploaded account against the fields. Resolves { values } keyed by field name,
+    // or { error } naming what is wrong.
+    parseAccount(fields, input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'Account must be an object' };
+        }
+
+        const names = fields.map(field => field.name);
+        const source = { ...input };
+        for (const [alias, name] of Object.entries(FIELD_ALIASES)) {
+            if (source[name] === undefined && source[alias] !== undefined && !names.includes(alias)) {
+                source[name] = source[alias];
+            }
+        }
+
+        const values = {};
+        const missing = [];
+        for (const field of fields) {
+            const raw = source[field.name];
+            const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+            if (value.length > MAX_VALUE_LENGTH) {
+                return { error: `${field.label} must be at most ${MAX_VALUE_LENGTH} characters` };
+            }
+            if (value) {
+                values[field.name] = value;
+            } else if (field.required) {
+                missing.push(field.label);
+            }
+        }
+
+        if (missing.length > 0) {
+            return { error: `Missing ${missing.join(', ')}` };
+        }
+
+        return { values };
+    }
+
+    // The accounts columns of parsed values, sealed for storage: { email, password, twofa, fields }
+    toAccount(values, fields = DEFAULT_FIELDS) {
+        const secret = new Set(fields.filter(field => field.secret).map(field => field.name));
+        const custom = {};
+        for (const [name, value] of Object.entries(values)) {
+            if (!COLUMN_FIELDS.includes(name)) custom[name] = secret.has(name) ? Encryption.seal(value) : value;
+        }
+
+        return {
+            email: values.email || '',
+            password: Encryption.seal(values.password || ''),
+            twofa: Encryption.seal(values.twofa_code || null),
+            fields: custom
+        };
+    }
+
+    // An account row with its sealed values decrypted, e.g. to deliver it. Throws with the
+    // codes of EncryptionService.open.
+    open(account) {
+        const fields = {};
+        for (const [name, value] of Object.entries(Encryption.openJson(account.credential_fields, {}))) {
+            fields[name] = Encryption.open(value);
+        }
+
+        return {
+            ...account,
+            password: Encryption.open(account.password),
+            twofa_code: Encryption.open(account.twofa_code),
+            credential_fields: fields
+        };
+    }
+
+    // Every stored value of an account row, keyed by field name. Sealed values are null unless revealed.
+    valuesOf(account, { reveal = false } = {}) {
+        const source = reveal ? this.open(account) : account;
+        const values = {
+            ...Encryption.openJson(source.credential_fields, {}),
+            email: source.email || '',
+            password: source.password || '',
+            twofa_code: source.twofa_code || ''
+        };
+
+        for (const [name, value] of Object.entries(values)) {
+            if (Encryption.isSealed(value)) values[name] = null;
+        }
+        return values;
+    }
+
+    // The account as the fields show it: [{ name, label, value, secret }], leaving out empty
+    // values. Sealed values stay null unless options.reveal is set.
+    describe(fields, account, options = {}) {
+        const values = this.valuesOf(account, options);
+        return fields
+            .filter(field => values[field.name] !== '' && values[field.name] !== undefined)
+            .map(field => ({
+                name: field.name,
+                label: field.label,
+                value: values[field.name],
+                secret: field.secret
+            }));
+    }
+}
+
+module.exports = new CredentialSchemaService();
@@ -0,0 +1,171 @@
+// server/services/customer.service.js
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const whatsappBot = require('../models/WhatsAppBot');
+const { signCustomerToken, CUSTOMER_JWT_SECRET } = require('../middleware/customerAuth');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Registration, login and email verification for storefront customers. A customer sees the
+// orders linked to their account: those placed while logged in, plus earlier guest orders
+// with the same email once that email is verified.
+class CustomerService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ CustomerService: Error loading config', error.message);
+        }
+
+        // Where verification links point. Never taken from the request's Host header, which the
+        // caller controls; without it no verification email can be sent.
+        this.publicUrl = config.server?.public_url || process.env.PUBLIC_URL || null;
+
+        this.verifyTtl = config.customers?.verify_link_ttl || '24h';
+    }
+
+    customerError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    validateEmail(email) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(Customer.normalizeEmail(email))) {
+            throw this.customerError('INVALID_CUSTOMER', 'A valid email address is required');
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw this.customerError('INVALID_CUSTOMER', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    // Resolves { token, customer }. Throws with code INVALID_CUSTOMER or EMAIL_TAKEN.
+    async register({ email, password, name, phone }) {
+        this.validateEmail(email);
+        this.validatePassword(password);
+
+        const customer = await Customer.create({
+            email,
+            password,
+            name: name ? String(name).trim() : null,
+            phone: phone ? String(phone).trim() : null
+        });
+
+        console.log(`👤 Customer registered: ${customer.email}`);
+        await this.sendVerification(customer);
+
+        return { token: signCustomerToken(customer), customer: Customer.format(customer) };
+    }
+
+    // Resolves { token, customer }. Throws with code INVALID_LOGIN.
+    async login(email, password) {
+        const customer = await Customer.findByEmail(email);
+
+        if (!(await Customer.verifyPassword(customer, password))) {
+            throw this.customerError('INVALID_LOGIN', 'Invalid email or password');
+        }
+
+        await Customer.recordLogin(customer.id);
+        return { token: signCustomerToken(customer), customer: Customer.format(customer) };
+    }
+
+    // Email a link that proves the customer owns their address. Resolves whether it was sent.
+    async sendVerification(customer) {
+        if (!this.publicUrl) {
+            console.error('❌ Cannot send verification email: set server.public_url or PUBLIC_URL');
+            return false;
+        }
+
+        const token = jwt.sign(
+            { id: customer.id, email: customer.email, type: 'customer-verify' },
+            CUSTOMER_JWT_SECRET,
+            { expiresIn: this.verifyTtl }
+        );
+        const link = `${this.publicUrl.replace(/\/$/, '')}/api/customer/verify-email?token=${token}`;
+
+        const sendResult = await whatsappBot.sendVerificationEmail(customer.email, {
+            name: customer.name,
+            link
+        });
+
+        if (!sendResult?.success) {
+            console.error(`❌ Failed to send verification email to ${customer.email}:`, sendResult?.error);
+        }
+        return !!sendResult?.success;
+    }
+
+    // Check a verification link token and mark its customer verified. Resolves
+    // { customer, claimedOrders }. Throws with code INVALID_VERIFICATION.
+    async verifyEmail(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, CUSTOMER_JWT_SECRET);
+        } catch (error) {
+            throw this.customerError('INVALID_VERIFICATION', 'The verification link is invalid or has expired');
+        }
+
+        const customer = payload.type === 'customer-verify' ? await Customer.findById(payload.id) : null;
+
+        // The link only verifies the address it was sent to
+        if (!customer || customer.email !== payload.email) {
+            throw this.customerError('INVALID_VERIFICATION', 'The verification link is invalid or has expired');
+        }
+
+        const result = await Customer.markVerified(customer.id);
+        console.log(`✅ Customer verified: ${customer.email} (${result.claimedOrders} guest orders linked)`);
+
+        return { customer: Customer.format(result.customer), claimedOrders: result.claimedOrders };
+    }
+
+    // Every other session of the customer ends; resolves a new token for this one.
+    // Throws with code INVALID_LOGIN or INVALID_CUSTOMER.
+    async changePassword(customer, currentPassword, newPassword) {
+        if (!(await Customer.verifyPassword(customer, currentPassword))) {
+            throw this.customerError('INVALID_LOGIN', 'Current password is incorrect');
+        }
+        this.validatePassword(newPassword);
+
+        const updated = await Customer.changePassword(customer.id, newPassword);
+        return { token: signCustomerToken(updated) };
+    }
+
+    // The customer's orders, newest first, see Order.customerView
+    async getOrders(customerId) {
+        const rows = await db.all(
+            'SELECT orderId FROM orders WHERE customer_id = ? ORDER BY createdAt DESC, id DESC',
+            [customerId]
+        );
+
+        const orders = [];
+        for (const { orderId } of rows) {
+            orders.push(await Order.customerView(await Order.findByOrderId(orderId)));
+        }
+
+        return orders;
+    }
+
+    // One of the customer's orders, or null when it is not theirs
+    async getOrder(customerId, orderId) {
+        const order = await Order.findByOrderId(orderId);
+        if (!order || order.customer_id !== customerId) return null;
+
+        return Order.customerView(order);
+    }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,169 @@
+// server/services/delivery.service.js
+const db = require('../config/database');
+
+// Every product declares a delivery type (products.delivery_type) whose handler implements:
+//   name, label
+//   pooled                                  true when units are sold from stock added in advance
+//   validateConfig(config)                  -> config, throws with code INVALID_DELIVERY
+//   claim(conn, { order, line, config, accountId, content }) -> [unit] | null
+//   present(unit)                           -> what the customer sees of a delivered unit
+// and, when pooled:
+//   countAvailable(conn, productId, variantId) -> number
+//   reserve(conn, { productId, variantId, orderId, quantity, minutes }) -> number reserved
+//   releaseReservations(conn, orderId|null) -> [productId]
+//   reverseSale(conn, orderId, 'restock'|'revoke', ids|null) -> [row]
+// A pooled claim resolves fewer units than the line's quantity when it runs out of stock; a
+// claim resolving null leaves the line for an admin to deliver by hand. Units other than
+// account rows carry their handler's name as `type`.
+const HANDLERS = {
+    credentials: require('./delivery/credentials.delivery'),
+    redeem_code: require('./delivery/redeemCode.delivery'),
+    license_key: require('./delivery/license.delivery'),
+    manual: require('./delivery/manual.delivery')
+};
+
+// What stock reports for products that cannot run out, e.g. generated license keys
+const UNLIMITED_STOCK = 9999;
+
+class DeliveryService {
+    constructor() {
+        this.types = Object.keys(HANDLERS);
+    }
+
+    deliveryError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // The handler of a delivery type; anything unknown is delivered as credentials, as before types existed
+    handler(type) {
+        return HANDLERS[type] || HANDLERS.credentials;
+    }
+
+    parseConfig(value) {
+        if (value && typeof value === 'object') return value;
+        try {
+            const parsed = JSON.parse(value || '{}');
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // The delivery type, config and handler of a product. Orders for products that no longer
+    // exist are delivered as credentials.
+    async forProduct(productId, conn = db) {
+        const row = await conn.get('SELECT delivery_type, delivery_config FROM products WHERE product_id = ?', [productId]);
+        const handler = this.handler(row?.delivery_type);
+        return { type: handler.name, config: this.parseConfig(row?.delivery_config), handler };
+    }
+
+    // Check a product's deliveryType and deliveryConfig from admin input. config.instructions is
+    // shown to the customer with every delivery of the product. Resolves { deliveryType,
+    // deliveryConfig } with the config as stored. Throws with code INVALID_DELIVERY.
+    validate(deliveryType, deliveryConfig = {}) {
+        const type = deliveryType || 'credentials';
+        if (!HANDLERS[type]) {
+            throw this.deliveryError('INVALID_DELIVERY', `Delivery type must be one of: ${this.types.join(', ')}`);
+        }
+
+        const config = typeof deliveryConfig === 'string' ? this.parseConfig(deliveryConfig) : (deliveryConfig || {});
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw this.deliveryError('INVALID_DELIVERY', 'Delivery config must be an object');
+        }
+        if (config.instructions !== undefined && config.instructions !== null) {
+            config.instructions = String(config.instructions).trim();
+            if (config.instructions.length > 2000) {
+                throw this.deliveryError('INVALID_DELIVERY', 'Delivery instructions must be at most 2000 characters');
+            }
+        }
+
+        return {
+            deliveryType: type,
+            deliveryConfig: JSON.stringify(HANDLERS[type].validateConfig(config))
+        };
+    }
+
+    // Units a product (or variant) can still sell
+    async countAvailable(productId, variantId = null, conn = db) {
+        const { handler } = await this.forProduct(productId, conn);
+        return handler.pooled ? handler.countAvailable(conn, productId, variantId) : UNLIMITED_STOCK;
+    }
+
+    // Hold stock for one line of a pending order. Resolves the number of units held; products
+    // without a pool always cover the line.
+    async reserve(conn, line, orderId, minutes) {
+        const { handler } = await this.forProduct(line.productId, conn);
+        if (!handler.pooled) return line.quantity;
+
+        return handler.reserve(conn, {
+            productId: line.productId,
+            variantId: line.variantId || null,
+            orderId,
+            quantity: line.quantity,
+            minutes
+        });
+    }
+
+    // Return reserved stock of every pool, either one order's or every expired hold.
+    // Resolves the affected product IDs.
+    async releaseReservations(conn, orderId = null) {
+        const productIds = new Set();
+        for (const handler of Object.values(HANDLERS)) {
+            if (!handler.pooled) continue;
+            (await handler.releaseReservations(conn, orderId)).forEach(productId => productIds.add(productId));
+        }
+        return [...productIds];
+    }
+
+    // Deliver one order line. content is what an admin typed for a manual line; accountId hands
+    // a credentials line one specific account. Resolves { handler, units }, where units is null
+    // while the line waits for an admin.
+    async claim(conn, { order, line, accountId = null, content }) {
+        const { handler, config } = await this.forProduct(line.productId, conn);
+
+        if (accountId && handler.name !== 'credentials') {
+            throw this.deliveryError('ACCOUNT_UNAVAILABLE', `${line.productName} is not delivered as accounts`);
+        }
+
+        const units = await handler.claim(conn, { order, line, config, accountId, content });
+        return { handler, units };
+    }
+
+    // Take back what every pool sold to a refunded order ('restock' or 'revoke'), or only the
+    // given units of it (as stored, see Order.deliveredUnits). Resolves the affected rows per
+    // delivery type, e.g. { credentials: [...], redeem_code: [...] }.
+    async reverseSale(conn, orderId, action, units = null) {
+        const reversed = {};
+        for (const handler of Object.values(HANDLERS)) {
+            if (!handler.pooled) continue;
+
+            const ids = units && units.filter(unit => this.handler(unit.type).name === handler.name).map(unit => unit.id);
+            reversed[handler.name] = ids && ids.length === 0 ? [] : await handler.reverseSale(conn, orderId, action, ids);
+        }
+        return reversed;
+    }
+
+    // Whether a delivered unit can be taken back into its pool
+    reversible(unit) {
+        return !!unit && unit.id !== undefined && this.handler(unit.type).pooled;
+    }
+
+    // A delivered unit the way the customer sees it, tagged with its delivery type
+    present(unit) {
+        return this.handler(unit?.type).present(unit || {});
+    }
+
+    // The customer-facing instructions of each product, keyed by product ID
+    async instructionsFor(productIds) {
+        const instructions = {};
+        for (const productId of new Set(productIds)) {
+            const { config } = await this.forProduct(productId);
+            if (config.instructions) instructions[productId] = config.instructions;
+        }
+        return instructions;
+    }
+}
+
+module.exports = new DeliveryService();
@@ -0,0 +1,84 @@
+// server/services/delivery/credentials.delivery.js
+const { Account } = require('../../config/database');
+const CredentialSchema = require('../credentialSchema.service');
+
+// Accounts uploaded by an admin to the accounts table, holding the fields of the product's
+// delivery_config.fields (email, password and 2FA code by default). Units are the account rows
+// themselves, which is what orders from before delivery types already stored, labelled with
+// the product's fields as they were at delivery.
+class CredentialsDelivery {
+    constructor() {
+        this.name = 'credentials';
+        this.label = 'Account credentials';
+        this.pooled = true;
+    }
+
+    // Throws with code INVALID_DELIVERY when config.fields is not a valid field schema
+    validateConfig(config) {
+        if (config.fields === undefined || config.fields === null) {
+            const { fields, ...rest } = config;
+            return rest;
+        }
+        return { ...config, fields: CredentialSchema.validateSchema(config.fields) };
+    }
+
+    async countAvailable(conn, productId, variantId = null) {
+        const pool = variantId
+            ? { sql: 'product_id = ? AND variant_id = ?', params: [productId, variantId] }
+            : { sql: 'product_id = ?', params: [productId] };
+
+        const result = await conn.get(
+            `SELECT COUNT(*) as count FROM accounts WHERE ${pool.sql} AND status = 'available'`,
+            pool.params
+        );
+        return result?.count || 0;
+    }
+
+    async reserve(conn, { productId, variantId, orderId, quantity, minutes }) {
+        return Account.reserve(conn, productId, orderId, variantId, quantity, minutes);
+    }
+
+    async releaseReservations(conn, orderId = null) {
+        return Account.releaseReservations(conn, orderId);
+    }
+
+    // accountId hands the line one specific account, e.g. one an admin picked by hand
+    async claim(conn, { order, line, config, accountId }) {
+        const fields = CredentialSchema.fieldsOf(config);
+        // Delivery is when the sealed values are opened; the order stores them sealed again
+        const label = account => {
+            const opened = CredentialSchema.open(account);
+            return { ...opened, fields: CredentialSchema.describe(fields, opened) };
+        };
+
+        if (accountId) {
+            const account = await Account.claimById(conn, accountId, order.orderId, order.username);
+            if (!account) {
+                const error = new Error('Account is not available');
+                error.code = 'ACCOUNT_UNAVAILABLE';
+                throw error;
+            }
+            return [label(account)];
+        }
+
+        const accounts = await Account.claim(conn, line.productId, order.orderId, order.username, line.variantId, line.quantity);
+        return accounts.map(label);
+    }
+
+    async reverseSale(conn, orderId, action, ids = null) {
+        return Account.reverseSale(conn, orderId, action, ids);
+    }
+
+    present(account) {
+        return {
+            type: this.name,
+            email: account.email,
+            password: account.password,
+            twofa_code: account.twofa_code || null,
+            additional_info: account.additional_info || {},
+            fields: account.fields || CredentialSchema.describe(CredentialSchema.defaultFields, account)
+        };
+    }
+}
+
+module.exports = new CredentialsDelivery();
@@ -0,0 +1,97 @@
+// server/services/delivery/license.delivery.js
+const crypto = require('crypto');
+
+// No 0/O or 1/I, which customers mistype when entering a key by hand
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DEFAULT_TEMPLATE = '{random:5}-{random:5}-{random:5}-{random:5}';
+
+// At least this many random characters, so keys cannot be guessed from one another
+const MIN_RANDOM = 8;
+const TOKEN_PATTERN = /\{([a-z]+)(?::(\d+))?\}/g;
+
+// License keys generated at delivery from the product's delivery_config.template, so there is no
+// stock to run out of. Template tokens: {random:N} N random characters, {order} the order ID,
+// {product} the product ID, {n} the unit number within the line and {date} as YYYYMMDD.
+class LicenseDelivery {
+    constructor() {
+        this.name = 'license_key';
+        this.label = 'Generated license key';
+        this.pooled = false;
+    }
+
+    invalid(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_DELIVERY';
+        return error;
+    }
+
+    // Throws with code INVALID_DELIVERY when the template has unknown tokens or too little randomness
+    validateConfig(config) {
+        const template = config.template ? String(config.template).trim() : DEFAULT_TEMPLATE;
+        if (template.length > 200) {
+            throw this.invalid('License template must be at most 200 characters');
+        }
+
+        let random = 0;
+        for (const [token, name, size] of template.matchAll(TOKEN_PATTERN)) {
+            if (name === 'random') {
+                const length = Number(size);
+                if (!Number.isInteger(length) || length < 1 || length > 64) {
+                    throw this.invalid(`${token} needs a length between 1 and 64`);
+                }
+                random += length;
+            } else if (!['order', 'product', 'n', 'date'].includes(name) || size !== undefined) {
+                throw this.invalid(`Unknown license template token ${token}`);
+            }
+        }
+
+        if (random < MIN_RANDOM) {
+            throw this.invalid(`License template needs at least ${MIN_RANDOM} random characters ({random:N})`);
+        }
+
+        return { ...config, template };
+    }
+
+    randomString(length) {
+        let value = '';
+        for (let i = 0; i < length; i++) {
+            value += KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)];
+        }
+        return value;
+    }
+
+    generateKey(template, { orderId, productId, n }) {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        return template.replace(TOKEN_PATTERN, (token, name, size) => {
+            switch (name) {
+                case 'random': return this.randomString(Number(size));
+                case 'order': return orderId;
+                case 'product': return productId;
+                case 'n': return String(n);
+                case 'date': return date;
+                default: return token;
+            }
+        });
+    }
+
+    async claim(conn, { order, line, config }) {
+        const template = config.template || DEFAULT_TEMPLATE;
+        return Array.from({ length: line.quantity }, (_, index) => ({
+            type: this.name,
+            license_key: this.generateKey(template, {
+                orderId: order.orderId,
+                productId: line.productId,
+                n: index + 1
+            })
+        }));
+    }
+
+    present(unit) {
+        return {
+            type: this.name,
+            licenseKey: unit.license_key
+        };
+    }
+}
+
+module.exports = new LicenseDelivery();
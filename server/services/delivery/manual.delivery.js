@@ -0,0 +1,32 @@
+// server/services/delivery/manual.delivery.js
+
+// Delivered by hand: a paid order waits in awaiting_delivery until an admin types what the
+// customer gets (a panel login, an invite link, a confirmation that a role was granted...).
+// Nothing is held in stock; claim resolves null until the admin's content is given.
+class ManualDelivery {
+    constructor() {
+        this.name = 'manual';
+        this.label = 'Manual delivery by an admin';
+        this.pooled = false;
+    }
+
+    validateConfig(config) {
+        return config;
+    }
+
+    async claim(conn, { content }) {
+        const text = content === undefined || content === null ? '' : String(content).trim();
+        if (!text) return null;
+
+        return [{ type: this.name, content: text }];
+    }
+
+    present(unit) {
+        return {
+            type: this.name,
+            content: unit.content
+        };
+    }
+}
+
+module.exports = new ManualDelivery();
@@ -0,0 +1,53 @@
+// server/services/delivery/redeemCode.delivery.js
+const RedeemCode = require('../../models/RedeemCode');
+
+// Codes from the product's redeem code pool, generated or imported under
+// /api/admin/redeem-codes. Codes closest to expiry are sold first.
+class RedeemCodeDelivery {
+    constructor() {
+        this.name = 'redeem_code';
+        this.label = 'Redeem code';
+        this.pooled = true;
+    }
+
+    validateConfig(config) {
+        return config;
+    }
+
+    async countAvailable(conn, productId, variantId = null) {
+        return RedeemCode.countAvailable(productId, variantId, conn);
+    }
+
+    async reserve(conn, { productId, variantId, orderId, quantity, minutes }) {
+        return RedeemCode.reserve(conn, productId, orderId, variantId, quantity, minutes);
+    }
+
+    async releaseReservations(conn, orderId = null) {
+        return RedeemCode.releaseReservations(conn, orderId);
+    }
+
+    async claim(conn, { order, line }) {
+        const rows = await RedeemCode.claim(conn, line.productId, order.orderId, order.username, line.variantId, line.quantity);
+        return rows.map(row => ({
+            type: this.name,
+            id: row.id,
+            product_id: row.product_id,
+            code: row.code,
+            expires_at: row.expires_at || null
+        }));
+    }
+
+    async reverseSale(conn, orderId, action, ids = null) {
+        return RedeemCode.reverseSale(conn, orderId, action, ids);
+    }
+
+    present(unit) {
+        return {
+            type: this.name,
+            code: unit.code,
+            expiresAt: unit.expires_at || null
+        };
+    }
+}
+
+module.exports = new RedeemCodeDelivery();
@@ -0,0 +1,123 @@
+// server/services/encryption.service.js
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Envelope encryption for the credentials kept at rest (accounts, orders.accountData and
+// order_items.account_data). Every value is encrypted with its own random data key, and the
+// data key with the master key from CREDENTIALS_ENCRYPTION_KEY (32 bytes, hex or base64):
+//   enc:v1:<key id>:<wrapped data key>:<encrypted value>
+// where both encrypted parts are base64 of iv | auth tag | ciphertext (AES-256-GCM) and the
+// key id is a fingerprint of the master key, so a value sealed under another key is recognised.
+// Without a master key values are stored as they are; sealed values then cannot be opened.
+class EncryptionService {
+    constructor() {
+        this.loadKey();
+    }
+
+    loadKey() {
+        this.key = null;
+        this.keyId = null;
+
+        const raw = (process.env.CREDENTIALS_ENCRYPTION_KEY || '').trim();
+        if (raw) {
+            const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+            if (key.length === 32) {
+                this.key = key;
+                this.keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+            } else {
+                console.error('❌ EncryptionService: CREDENTIALS_ENCRYPTION_KEY must be 32 bytes as hex or base64');
+            }
+        }
+
+        if (!this.key) {
+            const level = process.env.NODE_ENV === 'production' ? 'error' : 'warn';
+            console[level]('⚠️ EncryptionService: no CREDENTIALS_ENCRYPTION_KEY, credentials are stored in plaintext');
+        }
+    }
+
+    get enabled() {
+        return this.key !== null;
+    }
+
+    encryptionError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    isSealed(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    encryptWith(key, plaintext) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    }
+
+    decryptWith(key, encoded) {
+        const data = Buffer.from(encoded, 'base64');
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+        decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    }
+
+    // Encrypt a string. Empty values, values already sealed and anything stored while no key is
+    // configured are returned unchanged.
+    seal(value) {
+        if (value === null || value === undefined || value === '' || !this.enabled || this.isSealed(value)) {
+            return value;
+        }
+
+        const dataKey = crypto.randomBytes(32);
+        const wrappedKey = this.encryptWith(this.key, dataKey);
+        const ciphertext = this.encryptWith(dataKey, Buffer.from(String(value), 'utf8'));
+        return `${PREFIX}${this.keyId}:${wrappedKey}:${ciphertext}`;
+    }
+
+    // Decrypt a sealed string; anything else is returned unchanged. Throws with code
+    // ENCRYPTION_KEY_MISSING or ENCRYPTION_FAILED when the value cannot be opened.
+    open(value) {
+        if (!this.isSealed(value)) return value;
+
+        const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+        if (!this.enabled) {
+            throw this.encryptionError('ENCRYPTION_KEY_MISSING', 'Credentials are encrypted but CREDENTIALS_ENCRYPTION_KEY is not set');
+        }
+        if (keyId !== this.keyId) {
+            throw this.encryptionError('ENCRYPTION_FAILED', `Credentials were encrypted with another key (${keyId})`);
+        }
+
+        try {
+            const dataKey = this.decryptWith(this.key, wrappedKey);
+            return this.decryptWith(dataKey, ciphertext).toString('utf8');
+        } catch (error) {
+            throw this.encryptionError('ENCRYPTION_FAILED', 'Credentials could not be decrypted');
+        }
+    }
+
+    // Seal a JSON value for storage
+    sealJson(value) {
+        return this.seal(JSON.stringify(value));
+    }
+
+    // A stored JSON value, sealed or not, parsed. Objects are returned as they are; unreadable
+    // JSON gives the fallback, keys that cannot open it still throw.
+    openJson(value, fallback = {}) {
+        if (value && typeof value === 'object') return value;
+
+        try {
+            return JSON.parse(this.open(value) || 'null') ?? fallback;
+        } catch (error) {
+            if (error.code) throw error;
+            return fallback;
+        }
+    }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,521 @@
+// server/services/fulfillment.service.js
+const fs = require('fs');
+const path = require('path');
+const { run, all, transaction } = require('../config/database');
+const Product = require('../models/Product');
+const OrderItem = require('../models/OrderItem');
+const whatsappBot = require('../models/WhatsAppBot');
+const ReservationService = require('./reservation.service');
+const PaymentLog = require('../models/PaymentLog');
+const OrderEvent = require('../models/OrderEvent');
+const OrderState = require('./orderState.service');
+const DeliveryService = require('./delivery.service');
+const Encryption = require('./encryption.service');
+const Totp = require('./totp.service');
+
+const ORDERS_JSON_PATH = path.join(__dirname, '../../data/orders.json');
+
+class FulfillmentService {
+    constructor() {
+        this.log = {
+            info: (...args) => console.log(`[FULFILLMENT] ${new Date().toISOString()} -`, ...args),
+            error: (...args) => console.error(`[FULFILLMENT ERROR] ${new Date().toISOString()} -`, ...args),
+            warn: (...args) => console.warn(`[FULFILLMENT WARN] ${new Date().toISOString()} -`, ...args)
+        };
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        this.config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                this.config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ FulfillmentService: Error loading config', error.message);
+        }
+    }
+
+    // Write a partial update to wherever the order lives: SQLite or the legacy orders.json
+    async saveOrderUpdate(orderId, source, updatedData) {
+        if (source === 'sqlite') {
+            const fields = Object.keys(updatedData).filter(key => key !== 'orderId' && key !== 'id');
+            if (fields.length === 0) return false;
+
+            try {
+                const result = await run(
+                    `UPDATE orders SET ${fields.map(key => `${key} = ?`).join(', ')} WHERE orderId = ?`,
+                    [...fields.map(key => updatedData[key]), orderId]
+                );
+                return result.changes > 0;
+            } catch (error) {
+                this.log.error('Error updating SQLite:', error.message);
+                return false;
+            }
+        }
+
+        try {
+            if (!fs.existsSync(ORDERS_JSON_PATH)) return false;
+
+            const orders = JSON.parse(fs.readFileSync(ORDERS_JSON_PATH, 'utf8'));
+            const index = orders.findIndex(o => o.orderId === orderId);
+
+            if (index === -1) return false;
+
+            orders[index] = { ...orders[index], ...updatedData };
+            fs.writeFileSync(ORDERS_JSON_PATH, JSON.stringify(orders, null, 2));
+            return true;
+        } catch (error) {
+            this.log.error('Error updating orders.json:', error.message);
+            return false;
+        }
+    }
+
+    // Move an order to `to` wherever it lives. SQLite orders go through the state machine;
+    // legacy orders.json orders get the same transition check and the same history.
+    // event is { actor, trigger, payload, fields }.
+    async setStatus(order, source, to, event = {}) {
+        const { actor = 'system', trigger = null, payload = {}, fields = {} } = event;
+
+        if (source === 'sqlite') {
+            return OrderState.transition(order.orderId, to, { actor, source: trigger, payload, fields });
+        }
+
+        if (!OrderState.canTransition(order.status, to)) {
+            throw OrderState.invalidTransition(order.orderId, order.status, to);
+        }
+
+        await this.saveOrderUpdate(order.orderId, source, {
+            ...fields,
+            status: to,
+            updatedAt: new Date().toISOString()
+        });
+        await OrderEvent.record({
+            orderId: order.orderId,
+            event: to,
+            fromStatus: order.status,
+            toStatus: to,
+            actor,
+            source: trigger,
+            payload
+        });
+
+        return { orderId: order.orderId, from: order.status, to };
+    }
+
+    // The lines to deliver: the order_items of a cart or multi-unit order, else one unit of the order's product
+    async getLines(order) {
+        const items = await OrderItem.findByOrder(order.orderId);
+        if (items.length > 0) return items;
+
+        return [{
+            productId: order.productId || order.role,
+            variantId: order.variantId || null,
+            productName: order.role,
+            quantity: 1
+        }];
+    }
+
+    // Deliver a paid order: allocate what each line's delivery type delivers, complete it, email
+    // the customer and notify the admin.
+    // Every way an order gets paid (webhook, reconciliation, admin completion, sandbox simulation)
+    // comes through here. paymentInfo is what the provider reported (amount, payment_method,
+    // completed_at, order_id). options.accountId hands a single-unit order one specific account;
+    // options.content is what an admin typed for manually delivered lines, either one text for
+    // all of them or an object keyed by order item id; options.actor and options.trigger are
+    // recorded with the order's status changes.
+    // The order goes pending -> paid -> completed, or paid -> awaiting_stock when it cannot be
+    // filled; only the queue (options.restock) or an admin takes it out of awaiting_stock again.
+    // Orders with a manually delivered line wait in awaiting_delivery until an admin gives the content.
+    // Resolves { status: 'completed' | 'awaiting_delivery' | 'already_processed' | 'out_of_stock', ... }
+    async fulfillPaidOrder(order, source, paymentInfo, options = {}) {
+        const orderId = order.orderId;
+        const event = { actor: options.actor || 'system', trigger: options.trigger || null };
+
+        if (order.status === 'completed') {
+            this.log.warn(`ℹ️ Order ${orderId} already completed, skipping`);
+            return { status: 'already_processed', orderId };
+        }
+
+        // A repeated webhook must not let a queued order jump ahead of older ones
+        if (order.status === 'awaiting_stock' && !options.restock) {
+            this.log.warn(`ℹ️ Order ${orderId} is already paid and awaiting stock, skipping`);
+            return { status: 'already_processed', orderId };
+        }
+
+        // Only an admin's delivery takes an order out of awaiting_delivery
+        if (order.status === 'awaiting_delivery' && options.content === undefined) {
+            this.log.warn(`ℹ️ Order ${orderId} is already paid and awaiting manual delivery, skipping`);
+            return { status: 'already_processed', orderId };
+        }
+
+        // Record the payment before delivering anything. Of two deliveries of the same payment
+        // only one gets the order to paid; the other leaves it to that one.
+        if (!['paid', 'awaiting_stock', 'awaiting_delivery'].includes(order.status)) {
+            const fields = {
+                paymentStatus: 'completed',
+                paymentMethod: paymentInfo.payment_method || order.paymentMethod,
+                pakasirData: JSON.stringify(this.mergePaymentData(order, paymentInfo)),
+                paidAt: paymentInfo.completed_at || new Date().toISOString()
+            };
+
+            try {
+                await this.setStatus(order, source, 'paid', { ...event, payload: paymentInfo, fields });
+            } catch (error) {
+                if (error.code !== 'INVALID_TRANSITION') throw error;
+                this.log.warn(`ℹ️ ${error.message}, skipping`);
+                return { status: 'already_processed', orderId };
+            }
+
+            order = { ...order, ...fields, status: 'paid' };
+        }
+
+        const lines = await this.getLines(order);
+        const isCart = lines.some(line => line.id);
+
+        let allocation;
+        try {
+            allocation = await this.allocateOrder(order, source, lines, paymentInfo, options);
+        } catch (allocationError) {
+            if (allocationError.code !== 'OUT_OF_STOCK') throw allocationError;
+
+            this.log.warn(`⏳ ${allocationError.message}, order ${orderId} is paid and awaiting stock`);
+            if (order.status !== 'awaiting_stock') {
+                await this.setStatus(order, source, 'awaiting_stock', {
+                    ...event,
+                    payload: { product: allocationError.product }
+                });
+            }
+            // The queue claims straight from the pool once stock arrives, so nothing stays held meanwhile
+            await ReservationService.release(orderId);
+
+            return { status: 'out_of_stock', orderId, product: allocationError.product };
+        }
+
+        if (allocation.alreadyProcessed) {
+            this.log.warn(`ℹ️ Order ${orderId} was handled meanwhile, skipping`);
+            return { status: 'already_processed', orderId };
+        }
+
+        const accountCount = allocation.delivered.reduce((sum, line) => sum + line.accounts.length, 0);
+
+        if (allocation.waiting.length > 0) {
+            const products = allocation.waiting.map(line => line.productName);
+            if (source !== 'sqlite' && order.status !== 'awaiting_delivery') {
+                await this.setStatus(order, source, 'awaiting_delivery', { ...event, payload: { products } });
+            }
+
+            this.log.info(`✋ Order ${orderId} is paid and awaiting manual delivery of ${products.join(', ')}`);
+            if (order.status !== 'awaiting_delivery') {
+                await this.notifyManualDelivery(order, products);
+            }
+
+            return { status: 'awaiting_delivery', orderId, isCart, accountCount, waiting: allocation.waiting };
+        }
+
+        if (source !== 'sqlite') {
+            await this.setStatus(order, source, 'completed', {
+                ...event,
+                payload: { units: accountCount },
+                fields: allocation.updatedOrderData
+            });
+        }
+
+        this.log.info(`✅ Order ${orderId} updated to completed in ${source} with ${accountCount} unit(s)`);
+
+        await this.sendDeliveryEmail(order, allocation.delivered, isCart, source);
+        await this.notifyAdmin(order);
+
+        return {
+            status: 'completed',
+            orderId,
+            isCart,
+            accountCount,
+            delivered: allocation.delivered
+        };
+    }
+
+    // Paid orders waiting for stock, oldest payment first
+    async getAwaitingStock() {
+        return all(
+            `SELECT * FROM orders WHERE status = 'awaiting_stock' ORDER BY COALESCE(paidAt, createdAt) ASC, id ASC`
+        );
+    }
+
+    // Paid orders waiting for an admin to deliver by hand, oldest payment first
+    async getAwaitingDelivery() {
+        return all(
+            `SELECT * FROM orders WHERE status = 'awaiting_delivery' ORDER BY COALESCE(paidAt, createdAt) ASC, id ASC`
+        );
+    }
+
+    // Retry every order in the awaiting_stock queue, oldest first, e.g. after an account upload.
+    // Once an order cannot be filled, younger orders for the same products are left waiting so
+    // new stock never jumps the queue; orders for other products still go ahead.
+    async fulfillAwaitingStock(trigger = 'restock') {
+        const orders = await this.getAwaitingStock();
+        const blockedProducts = new Set();
+        const result = { checked: orders.length, fulfilled: [], awaitingDelivery: [], waiting: [] };
+
+        for (const order of orders) {
+            const lines = await this.getLines(order);
+
+            if (lines.some(line => blockedProducts.has(line.productId))) {
+                result.waiting.push(order.orderId);
+                continue;
+            }
+
+            try {
+                const fulfillment = await this.fulfillPaidOrder(order, 'sqlite', {
+                    order_id: order.orderId,
+                    restocked_at: new Date().toISOString(),
+                    restock_trigger: trigger
+                }, { restock: true, trigger: `restock:${trigger}` });
+
+                if (fulfillment.status === 'out_of_stock') {
+                    lines.forEach(line => blockedProducts.add(line.productId));
+                    result.waiting.push(order.orderId);
+                } else if (fulfillment.status === 'completed') {
+                    result.fulfilled.push(order.orderId);
+                    await PaymentLog.record('restock.fulfilled', order.orderId, {
+                        trigger,
+                        accounts: fulfillment.accountCount
+                    });
+                } else if (fulfillment.status === 'awaiting_delivery') {
+                    result.awaitingDelivery.push(order.orderId);
+                }
+            } catch (error) {
+                this.log.error(`❌ Restock fulfillment failed for order ${order.orderId}:`, error.message);
+                lines.forEach(line => blockedProducts.add(line.productId));
+                result.waiting.push(order.orderId);
+            }
+        }
+
+        if (result.fulfilled.length > 0) {
+            this.log.info(`📦 Fulfilled ${result.fulfilled.length} awaiting-stock order(s) (${trigger})`);
+        }
+
+        return result;
+    }
+
+    // Keep what checkout stored in pakasirData (e.g. the on-site transaction) next to the payment confirmation
+    mergePaymentData(order, paymentInfo) {
+        let previous = order.pakasirData || {};
+        if (typeof previous === 'string') {
+            try {
+                previous = JSON.parse(previous || '{}');
+            } catch (e) {
+                previous = {};
+            }
+        }
+
+        return { ...previous, ...paymentInfo };
+    }
+
+    // Claim what every line's delivery type delivers, complete the order and recalculate stock
+    // in one transaction. A line that cannot be filled throws OUT_OF_STOCK and nothing is kept.
+    // When a manual line has no content yet the order goes to awaiting_delivery instead, keeping
+    // what the other lines were given; the admin's delivery later completes it.
+    async allocateOrder(order, source, lines, paymentInfo, options = {}) {
+        const isCart = lines.some(line => line.id);
+
+        if (options.accountId && (lines.length !== 1 || lines[0].quantity !== 1)) {
+            const error = new Error('A specific account can only be given for a single-unit order');
+            error.code = 'ACCOUNT_UNAVAILABLE';
+            throw error;
+        }
+
+        return transaction(async (tx) => {
+            // Another delivery completed the order or queued it since it was read
+            if (source === 'sqlite') {
+                const current = await tx.get('SELECT status FROM orders WHERE orderId = ?', [order.orderId]);
+                if (current && current.status !== order.status) {
+                    return { alreadyProcessed: true };
+                }
+            }
+
+            const delivered = [];
+            const waiting = [];
+            const touchedProducts = new Set(lines.map(line => line.productId));
+
+            for (const line of lines) {
+                // Delivered before the order started waiting for an admin
+                if (line.status === 'delivered') {
+                    delivered.push({ ...line, accounts: OrderItem.openAccounts(line) });
+                    continue;
+                }
+
+                const content = options.content !== null && typeof options.content === 'object'
+                    ? options.content[line.id]
+                    : options.content;
+
+                const { handler, units } = await DeliveryService.claim(tx, {
+                    order,
+                    line,
+                    accountId: options.accountId,
+                    content
+                });
+
+                if (units === null) {
+                    waiting.push(line);
+                    continue;
+                }
+
+                if (handler.pooled && units.length < line.quantity) {
+                    const error = new Error(`Out of stock: ${line.productName}`);
+                    error.code = 'OUT_OF_STOCK';
+                    error.product = line.productName;
+                    throw error;
+                }
+
+                if (options.accountId) {
+                    // Whatever the order held at checkout goes back to the pool
+                    const released = await DeliveryService.releaseReservations(tx, order.orderId);
+                    released.forEach(productId => touchedProducts.add(productId));
+                    touchedProducts.add(units[0].product_id);
+                }
+
+                if (line.id) {
+                    await OrderItem.markDelivered(line.id, units, tx);
+                }
+
+                delivered.push({ ...line, accounts: units });
+                this.log.info(`✅ Allocated ${units.length} ${handler.name} unit(s) for ${line.productName}`);
+            }
+
+            const updatedOrderData = {
+                paymentMethod: paymentInfo.payment_method || order.paymentMethod,
+                pakasirData: JSON.stringify(this.mergePaymentData(order, paymentInfo))
+            };
+
+            if (waiting.length > 0) {
+                if (source === 'sqlite' && order.status !== 'awaiting_delivery') {
+                    await OrderState.transition(order.orderId, 'awaiting_delivery', {
+                        actor: options.actor || 'system',
+                        source: options.trigger || null,
+                        payload: { products: waiting.map(line => line.productName) },
+                        fields: updatedOrderData,
+                        conn: tx
+                    });
+                }
+            } else {
+                const accountData = isCart
+                    ? {
+                        items: delivered.map(line => ({
+                            productId: line.productId,
+                            variantId: line.variantId,
+                            productName: line.productName,
+                            quantity: line.quantity,
+                            accounts: line.accounts
+                        }))
+                    }
+                    : delivered[0].accounts[0];
+
+                updatedOrderData.accountData = Encryption.sealJson(accountData);
+                updatedOrderData.completedAt = paymentInfo.completed_at || new Date().toISOString();
+
+                if (source === 'sqlite') {
+                    await OrderState.transition(order.orderId, 'completed', {
+                        actor: options.actor || 'system',
+                        source: options.trigger || null,
+                        payload: { units: delivered.reduce((sum, line) => sum + line.accounts.length, 0) },
+                        fields: updatedOrderData,
+                        conn: tx
+                    });
+                }
+            }
+
+            for (const productId of touchedProducts) {
+                const stock = await Product.refreshStock(productId, tx);
+                this.log.info(`📊 Updated stock for ${productId}: ${stock}`);
+            }
+
+            return { delivered, waiting, updatedOrderData };
+        });
+    }
+
+    // Cart and multi-unit orders get one combined email listing everything delivered. Each
+    // unit is shown the way its delivery type presents it, with the product's instructions.
+    async sendDeliveryEmail(order, delivered, isCart, source) {
+        const customerEmail = order.username || order.customer;
+        if (!customerEmail) return;
+
+        try {
+            this.log.info(`📧 Sending delivery details to: ${customerEmail}`);
+
+            const instructions = await DeliveryService.instructionsFor(delivered.map(line => line.productId));
+            // Lines and units are in the order Order.deliveries lists them, which the code page links rely on
+            const present = (unit, line, index) => Totp.withLink(DeliveryService.present(unit), order, line, index, { absolute: true });
+
+            const emailData = {
+                orderId: order.orderId,
+                productName: order.role || 'Product',
+                amount: order.amount,
+                customer: customerEmail,
+                username: order.username,
+                status: 'completed'
+            };
+
+            if (isCart) {
+                emailData.items = delivered.map((line, lineIndex) => ({
+                    productName: line.productName,
+                    quantity: line.quantity,
+                    accounts: line.accounts.map((unit, index) => present(unit, lineIndex, index)),
+                    instructions: instructions[line.productId] || null
+                }));
+            } else {
+                emailData.accountData = present(delivered[0].accounts[0], 0, 0);
+                emailData.instructions = instructions[delivered[0].productId] || null;
+            }
+
+            const sendResult = await whatsappBot.sendAccountEmail(customerEmail, emailData);
+
+            if (sendResult && sendResult.success) {
+                this.log.info(`✅ Delivery email sent to ${customerEmail}`);
+
+                await this.saveOrderUpdate(order.orderId, source, {
+                    emailSent: true,
+                    emailSentAt: new Date().toISOString(),
+                    emailMessageId: sendResult.messageId
+                });
+            } else {
+                this.log.error(`❌ Failed to send email to ${customerEmail}:`, sendResult?.error);
+            }
+        } catch (emailError) {
+            this.log.error('❌ Error sending email:', emailError.message);
+        }
+    }
+
+    async notifyManualDelivery(order, products) {
+        try {
+            await whatsappBot.sendManualDeliveryNotification({
+                orderId: order.orderId,
+                amount: order.amount,
+                username: order.username,
+                products
+            });
+        } catch (notifError) {
+            this.log.error('Error sending manual delivery notification:', notifError.message);
+        }
+    }
+
+    async notifyAdmin(order) {
+        try {
+            const adminEmail = this.config.whatsapp?.adminNumber || 'admin@lyytech.id';
+            if (adminEmail) {
+                await whatsappBot.sendOrderNotification({
+                    orderId: order.orderId,
+                    productName: order.role,
+                    amount: order.amount,
+                    username: order.username,
+                    status: 'completed'
+                });
+            }
+        } catch (notifError) {
+            this.log.error('Error sending admin notification:', notifError.message);
+        }
+    }
+}
+
+module.exports = new FulfillmentService();
@@ -0,0 +1,99 @@
+// server/services/orderExpiry.service.js
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const PaymentService = require('./payment.service');
+const ReservationService = require('./reservation.service');
+const PaymentLog = require('../models/PaymentLog');
+const OrderState = require('./orderState.service');
+
+class OrderExpiryService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ OrderExpiryService: Error loading config', error.message);
+        }
+
+        // Unpaid orders live as long as their stock reservation unless configured otherwise
+        this.ttlMinutes = parseInt(config.orders?.pending_ttl_minutes) ||
+                          parseInt(process.env.ORDER_TTL_MINUTES) ||
+                          ReservationService.ttlMinutes;
+
+        this.intervalMinutes = parseInt(config.orders?.expiry_interval_minutes) ||
+                               parseInt(process.env.ORDER_EXPIRY_INTERVAL_MINUTES) ||
+                               5;
+    }
+
+    // Expire every pending order older than the TTL: mark it, cancel it at the provider, free its stock
+    async expireStaleOrders() {
+        const staleOrders = await db.all(
+            `SELECT orderId, amount, paymentProvider FROM orders
+             WHERE status = 'pending' AND createdAt <= datetime('now', ?)
+             ORDER BY createdAt ASC`,
+            [`-${this.ttlMinutes} minutes`]
+        );
+
+        const result = {
+            ttlMinutes: this.ttlMinutes,
+            checked: staleOrders.length,
+            expired: [],
+            cancelFailed: []
+        };
+
+        for (const order of staleOrders) {
+            try {
+                await OrderState.transition(order.orderId, 'expired', {
+                    source: 'order-expiry',
+                    payload: { ttlMinutes: this.ttlMinutes },
+                    fields: {
+                        failedReason: `Payment timeout after ${this.ttlMinutes} minutes`,
+                        failedAt: new Date().toISOString()
+                    }
+                });
+            } catch (error) {
+                // Paid or cancelled in the meantime
+                if (error.code === 'INVALID_TRANSITION') continue;
+                throw error;
+            }
+
+            result.expired.push(order.orderId);
+
+            let cancelError = null;
+            try {
+                await PaymentService.getProvider(order.paymentProvider).cancelPayment(order.orderId, order.amount);
+            } catch (error) {
+                cancelError = error.response?.data?.message || error.message;
+                result.cancelFailed.push({ orderId: order.orderId, error: cancelError });
+            }
+
+            await PaymentLog.record('payment.expired', order.orderId, {
+                ttlMinutes: this.ttlMinutes,
+                provider: order.paymentProvider || 'pakasir',
+                providerCancelled: !cancelError,
+                ...(cancelError && { error: cancelError })
+            });
+
+            await ReservationService.release(order.orderId);
+        }
+
+        const released = await ReservationService.releaseExpired();
+        result.releasedProducts = released;
+
+        if (result.expired.length > 0) {
+            console.log(`⌛ Expired ${result.expired.length} pending orders`);
+        }
+
+        return result;
+    }
+}
+
+module.exports = new OrderExpiryService();
@@ -0,0 +1,208 @@
+// server/services/orderLookup.service.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../config/database');
+const Order = require('../models/Order');
+const whatsappBot = require('../models/WhatsAppBot');
+
+// "My orders": a customer proves they own an email address with a one-time code or magic link
+// and gets a short-lived session listing every order placed with it. Codes, links and session
+// tokens are only stored as SHA-256 hashes.
+class OrderLookupService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ OrderLookupService: Error loading config', error.message);
+        }
+
+        this.codeTtlMinutes = parseInt(config.order_lookup?.code_ttl_minutes) ||
+                              parseInt(process.env.ORDER_LOOKUP_CODE_TTL_MINUTES) ||
+                              15;
+
+        this.sessionTtlMinutes = parseInt(config.order_lookup?.session_ttl_minutes) ||
+                                 parseInt(process.env.ORDER_LOOKUP_SESSION_TTL_MINUTES) ||
+                                 30;
+
+        // Codes sent to one address per hour, and wrong guesses allowed per code
+        this.maxCodesPerHour = parseInt(config.order_lookup?.max_codes_per_hour) || 5;
+        this.maxAttempts = parseInt(config.order_lookup?.max_attempts) || 5;
+
+        // Where magic links point. Never taken from the request's Host header, which the caller
+        // controls; without it the email only carries the code.
+        this.publicUrl = config.server?.public_url || process.env.PUBLIC_URL || null;
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(String(value)).digest('hex');
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    lookupError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Send a code and magic link to `email`. Addresses without orders get no email but the same
+    // answer, so the endpoint does not reveal who has bought here. Throws with code
+    // INVALID_EMAIL or RATE_LIMITED.
+    async requestCode(email, { ip = null } = {}) {
+        const address = this.normalizeEmail(email);
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+            throw this.lookupError('INVALID_EMAIL', 'A valid email address is required');
+        }
+
+        await this.purgeExpired();
+
+        const { recent } = await db.get(
+            `SELECT COUNT(*) AS recent FROM order_lookup_codes
+             WHERE email = ? AND created_at > datetime('now', '-1 hour')`,
+            [address]
+        );
+        if (recent >= this.maxCodesPerHour) {
+            throw this.lookupError('RATE_LIMITED', 'Too many codes requested for this email, please try again later');
+        }
+
+        const { orders } = await db.get('SELECT COUNT(*) AS orders FROM orders WHERE lower(username) = ?', [address]);
+        if (orders === 0) {
+            console.log('🔎 Order lookup requested for an email without orders');
+            return { sent: false, expiresInMinutes: this.codeTtlMinutes };
+        }
+
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const linkToken = crypto.randomBytes(32).toString('hex');
+
+        // Only the newest code works
+        await db.run(
+            `UPDATE order_lookup_codes SET used_at = CURRENT_TIMESTAMP WHERE email = ? AND used_at IS NULL`,
+            [address]
+        );
+        await db.run(
+            `INSERT INTO order_lookup_codes (email, code_hash, link_hash, ip, expires_at)
+             VALUES (?, ?, ?, ?, datetime('now', ?))`,
+            [address, this.hash(code), this.hash(linkToken), ip, `+${this.codeTtlMinutes} minutes`]
+        );
+
+        const link = this.publicUrl ? `${this.publicUrl.replace(/\/$/, '')}/my-orders.html?link=${linkToken}` : null;
+        const sendResult = await whatsappBot.sendLoginCodeEmail(address, {
+            code,
+            link,
+            expiresInMinutes: this.codeTtlMinutes
+        });
+
+        if (!sendResult?.success) {
+            console.error(`❌ Failed to send order lookup code to ${address}:`, sendResult?.error);
+        }
+
+        return { sent: !!sendResult?.success, expiresInMinutes: this.codeTtlMinutes };
+    }
+
+    // Exchange an emailed code for a session. Each code allows maxAttempts wrong guesses.
+    // Throws with code INVALID_CODE.
+    async verifyCode(email, code, { ip = null } = {}) {
+        const address = this.normalizeEmail(email);
+        const invalid = () => this.lookupError('INVALID_CODE', 'The code is invalid or has expired');
+
+        const row = await db.get(
+            `SELECT * FROM order_lookup_codes
+             WHERE email = ? AND used_at IS NULL AND expires_at > datetime('now')
+             ORDER BY id DESC LIMIT 1`,
+            [address]
+        );
+        if (!row || row.attempts >= this.maxAttempts) throw invalid();
+
+        const expected = Buffer.from(row.code_hash, 'hex');
+        const received = Buffer.from(this.hash(String(code || '').trim()), 'hex');
+        if (!crypto.timingSafeEqual(expected, received)) {
+            await db.run('UPDATE order_lookup_codes SET attempts = attempts + 1 WHERE id = ?', [row.id]);
+            throw invalid();
+        }
+
+        return this.redeem(row, ip);
+    }
+
+    // Exchange a magic link token for a session. Throws with code INVALID_CODE.
+    async verifyLink(linkToken, { ip = null } = {}) {
+        const row = await db.get(
+            `SELECT * FROM order_lookup_codes
+             WHERE link_hash = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+            [this.hash(linkToken || '')]
+        );
+        if (!row) {
+            throw this.lookupError('INVALID_CODE', 'The link is invalid or has expired');
+        }
+
+        return this.redeem(row, ip);
+    }
+
+    // Use up a code and open a session for its email. Resolves { token, email, expiresAt }.
+    async redeem(row, ip) {
+        const result = await db.run(
+            'UPDATE order_lookup_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+            [row.id]
+        );
+        if (result.changes === 0) {
+            throw this.lookupError('INVALID_CODE', 'The code has already been used');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = await db.get(
+            `INSERT INTO order_lookup_sessions (token_hash, email, ip, expires_at)
+             VALUES (?, ?, ?, datetime('now', ?))
+             RETURNING email, expires_at`,
+            [this.hash(token), row.email, ip, `+${this.sessionTtlMinutes} minutes`]
+        );
+
+        console.log(`🔓 Order lookup session opened for ${row.email}`);
+        return { token, email: session.email, expiresAt: session.expires_at };
+    }
+
+    // The live session for a token, or null
+    async getSession(token) {
+        if (!token) return null;
+        return db.get(
+            `SELECT email, expires_at AS expiresAt FROM order_lookup_sessions
+             WHERE token_hash = ? AND expires_at > datetime('now')`,
+            [this.hash(token)]
+        );
+    }
+
+    async endSession(token) {
+        await db.run('DELETE FROM order_lookup_sessions WHERE token_hash = ?', [this.hash(token || '')]);
+    }
+
+    async purgeExpired() {
+        await db.run(`DELETE FROM order_lookup_codes WHERE created_at < datetime('now', '-1 day')`);
+        await db.run(`DELETE FROM order_lookup_sessions WHERE expires_at < datetime('now')`);
+    }
+
+    // Every order placed with `email`, newest first, see Order.customerView
+    async getOrders(email) {
+        const rows = await db.all(
+            'SELECT orderId FROM orders WHERE lower(username) = ? ORDER BY createdAt DESC, id DESC',
+            [this.normalizeEmail(email)]
+        );
+
+        const orders = [];
+        for (const { orderId } of rows) {
+            orders.push(await Order.customerView(await Order.findByOrderId(orderId)));
+        }
+
+        return orders;
+    }
+}
+
+module.exports = new OrderLookupService();
@@ -0,0 +1,96 @@
+// server/services/orderState.service.js
+const db = require('../config/database');
+const OrderEvent = require('../models/OrderEvent');
+
+// Allowed order status transitions. A fulfilled order is stored as `completed`, the name
+// existing orders and pages already use. `failed` only exists on orders from before
+// awaiting_stock, when a paid order without stock was failed. awaiting_delivery holds paid
+// orders with a manually delivered product until an admin delivers it.
+const TRANSITIONS = {
+    pending: ['paid', 'expired', 'cancelled'],
+    paid: ['completed', 'awaiting_stock', 'awaiting_delivery', 'refunded'],
+    awaiting_stock: ['completed', 'awaiting_delivery', 'refunded'],
+    awaiting_delivery: ['completed', 'refunded'],
+    completed: ['refunded'],
+    // A payment that arrives after the order expired or was cancelled is still honoured
+    expired: ['paid'],
+    cancelled: ['paid'],
+    failed: ['paid', 'refunded'],
+    refunded: []
+};
+
+// How provider payment statuses map onto order states
+const PROVIDER_STATUSES = {
+    completed: 'paid',
+    success: 'paid',
+    expired: 'expired',
+    cancelled: 'cancelled',
+    canceled: 'cancelled',
+    failed: 'cancelled'
+};
+
+class OrderStateService {
+    constructor() {
+        this.transitions = TRANSITIONS;
+    }
+
+    canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    // The order state a provider status leads to, or null when it does not change the order
+    fromProviderStatus(status) {
+        return PROVIDER_STATUSES[String(status || '').toLowerCase()] || null;
+    }
+
+    invalidTransition(orderId, from, to) {
+        const error = new Error(`Order ${orderId} cannot go from ${from} to ${to}`);
+        error.code = 'INVALID_TRANSITION';
+        error.from = from;
+        error.to = to;
+        return error;
+    }
+
+    // Move an order to `to`, writing `fields` along with the status, and record the change in
+    // order_events. The update only applies if the status is still the one that was read, so
+    // two concurrent deliveries cannot both move an order. Pass conn to run inside a transaction.
+    // Throws with code ORDER_NOT_FOUND or INVALID_TRANSITION.
+    async transition(orderId, to, { actor = 'system', source = null, payload = {}, fields = {}, conn = db } = {}) {
+        const order = await conn.get('SELECT status FROM orders WHERE orderId = ?', [orderId]);
+        if (!order) {
+            const error = new Error('Order not found');
+            error.code = 'ORDER_NOT_FOUND';
+            throw error;
+        }
+
+        const from = order.status;
+        if (!this.canTransition(from, to)) {
+            throw this.invalidTransition(orderId, from, to);
+        }
+
+        const updates = { ...fields, status: to, updatedAt: new Date().toISOString() };
+        const columns = Object.keys(updates);
+        const result = await conn.run(
+            `UPDATE orders SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE orderId = ? AND status = ?`,
+            [...columns.map(column => updates[column]), orderId, from]
+        );
+
+        if (result.changes === 0) {
+            throw this.invalidTransition(orderId, from, to);
+        }
+
+        await OrderEvent.record({
+            orderId,
+            event: to,
+            fromStatus: from,
+            toStatus: to,
+            actor,
+            source,
+            payload
+        }, conn);
+
+        return { orderId, from, to };
+    }
+}
+
+module.exports = new OrderStateService();
@@ -0,0 +1,111 @@
+// server/services/payment.service.js
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+
+// Every payment provider implements the same interface:
+//   createPayment({ orderId, amount, method, redirect }) -> { type, url, ... }
+//   getStatus(orderId, amount)     -> { status, amount, paymentMethod, completedAt, raw } | null
+//   cancelPayment(orderId, amount)
+//   verifyWebhook(req)             -> Promise<{ valid, reason }>
+// and optionally, for QRIS/VA shown on our own pages:
+//   createTransaction({ orderId, amount, method }) -> { method, paymentNumber, amount, fee, totalPayment, expiredAt, raw }
+const PROVIDERS = {
+    pakasir: require('./providers/pakasir.provider'),
+    mock: require('./providers/mock.provider')
+};
+
+class PaymentService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ PaymentService: Error loading config', error.message);
+        }
+
+        const name = config.payment?.provider || process.env.PAYMENT_PROVIDER || 'pakasir';
+        if (!PROVIDERS[name]) {
+            console.error(`❌ PaymentService: Unknown provider "${name}", using pakasir`);
+        }
+        this.providerName = PROVIDERS[name] ? name : 'pakasir';
+
+        // Anyone can pay a mock order for free, so production never takes them
+        if (this.providerName === 'mock' && process.env.NODE_ENV === 'production') {
+            console.error('❌ PaymentService: The mock provider cannot be used in production, using pakasir');
+            this.providerName = 'pakasir';
+        }
+
+        // Show QRIS/VA on our own pending page instead of sending customers to the provider
+        this.onsite = config.payment?.onsite === true || process.env.PAYMENT_ONSITE === 'true';
+
+        console.log('✅ PaymentService: Using provider =', this.providerName);
+    }
+
+    // The provider new orders are created with
+    get provider() {
+        return PROVIDERS[this.providerName];
+    }
+
+    // The provider an existing order was created with; orders from before providers existed are Pakasir's
+    getProvider(name) {
+        return PROVIDERS[name || 'pakasir'] || null;
+    }
+
+    // Methods that can be paid on-site: QRIS and the virtual accounts
+    supportsOnsite(provider, method) {
+        return typeof provider.createTransaction === 'function' && (method === 'qris' || /_va$/.test(method || ''));
+    }
+
+    // The `payment` object the storefront gets for an on-site transaction. QRIS strings come
+    // with a ready-to-show QR image; virtual accounts just carry their number.
+    async describeOnsite(transaction, fallbackUrl = null) {
+        const payment = {
+            type: 'onsite',
+            method: transaction.method,
+            amount: transaction.amount,
+            fee: transaction.fee,
+            totalPayment: transaction.totalPayment,
+            expiredAt: transaction.expiredAt,
+            url: fallbackUrl
+        };
+
+        if (transaction.method === 'qris') {
+            payment.qrString = transaction.paymentNumber;
+            payment.qrImage = await QRCode.toDataURL(transaction.paymentNumber, { margin: 1, width: 280 });
+        } else {
+            payment.vaNumber = transaction.paymentNumber;
+        }
+
+        return payment;
+    }
+
+    // Rebuild the on-site transaction stored in an order's pakasirData, or null if it was paid off-site
+    storedTransaction(pakasirData) {
+        const payment = pakasirData?.payment;
+        if (!payment || !payment.payment_number) return null;
+
+        return {
+            method: payment.payment_method,
+            paymentNumber: payment.payment_number,
+            amount: Number(payment.amount),
+            fee: Number(payment.fee) || 0,
+            totalPayment: Number(payment.total_payment) || Number(payment.amount),
+            expiredAt: payment.expired_at || null,
+            raw: pakasirData
+        };
+    }
+
+    isActive(name) {
+        return this.providerName === name;
+    }
+}
+
+module.exports = new PaymentService();
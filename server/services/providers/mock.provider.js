@@ -0,0 +1,151 @@
+// server/services/providers/mock.provider.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookSecurity = require('../webhookSecurity.service');
+
+// Payment provider that never leaves this server. Customers are sent to a local pay page
+// (/mock-pay/:orderId) whose button sends a signed webhook to /api/webhook/mock, so checkout
+// can be tested end to end without network access. Transactions only live in memory.
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.transactions = new Map();
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ MockProvider: Error loading config', error.message);
+        }
+
+        // Without a configured secret a fresh one per process is fine: this server both signs and verifies
+        this.secret = config.payment?.mock_secret ||
+                      process.env.MOCK_PAYMENT_SECRET ||
+                      crypto.randomBytes(32).toString('hex');
+
+        // The webhook goes to this same server on the port it listens on, never to a host a request named
+        this.webhookBaseUrl = `http://127.0.0.1:${process.env.PORT || 3000}`;
+    }
+
+    async createPayment({ orderId, amount, method, redirect }) {
+        if (!this.transactions.has(orderId)) {
+            this.transactions.set(orderId, {
+                order_id: orderId,
+                amount: Number(amount),
+                status: 'pending',
+                payment_method: method || 'qris',
+                completed_at: null
+            });
+        }
+
+        let url = `/mock-pay/${encodeURIComponent(orderId)}`;
+        if (redirect) {
+            url += `?redirect=${encodeURIComponent(redirect)}`;
+        }
+
+        return { type: 'redirect', url };
+    }
+
+    // On-site details shaped like Pakasir's, so the QRIS/VA display can be tried without network
+    async createTransaction({ orderId, amount, method }) {
+        await this.createPayment({ orderId, amount, method });
+
+        const paymentNumber = method === 'qris'
+            ? `00020101021226MOCKQRIS${orderId}5204000053033605802ID5904MOCK6007JAKARTA`
+            : `8808${String(Date.now()).slice(-8)}`;
+        const payment = {
+            project: 'mock',
+            order_id: orderId,
+            amount: Number(amount),
+            fee: 0,
+            total_payment: Number(amount),
+            payment_method: method,
+            payment_number: paymentNumber,
+            expired_at: new Date(Date.now() + 3600000).toISOString()
+        };
+
+        return {
+            method,
+            paymentNumber,
+            amount: payment.amount,
+            fee: 0,
+            totalPayment: payment.total_payment,
+            expiredAt: payment.expired_at,
+            raw: { payment }
+        };
+    }
+
+    getTransaction(orderId) {
+        return this.transactions.get(orderId) || null;
+    }
+
+    async getStatus(orderId, amount) {
+        const transaction = this.getTransaction(orderId);
+        if (!transaction || Number(amount) !== transaction.amount) return null;
+
+        return {
+            status: transaction.status,
+            amount: transaction.amount,
+            paymentMethod: transaction.payment_method,
+            completedAt: transaction.completed_at,
+            raw: transaction
+        };
+    }
+
+    async cancelPayment(orderId) {
+        const transaction = this.getTransaction(orderId);
+        if (transaction && transaction.status === 'pending') {
+            transaction.status = 'canceled';
+        }
+        return { success: true, transaction };
+    }
+
+    async verifyWebhook(req) {
+        return WebhookSecurity.verify(req, {
+            provider: this.name,
+            headers: ['x-mock-signature'],
+            timestampHeader: 'x-mock-timestamp',
+            secret: this.secret
+        });
+    }
+
+    // Mark the transaction paid and deliver the signed webhook, as the pay page button does
+    async completePayment(orderId) {
+        const transaction = this.getTransaction(orderId);
+        if (!transaction) {
+            throw new Error('Transaction not found');
+        }
+
+        transaction.status = 'completed';
+        transaction.completed_at = new Date().toISOString();
+
+        const payload = {
+            amount: transaction.amount,
+            order_id: transaction.order_id,
+            project: 'mock',
+            status: transaction.status,
+            payment_method: transaction.payment_method,
+            completed_at: transaction.completed_at
+        };
+
+        const rawBody = JSON.stringify(payload);
+        const response = await axios.post(`${this.webhookBaseUrl}/api/webhook/mock`, rawBody, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...WebhookSecurity.signHeaders('x-mock-signature', this.secret, rawBody, 'x-mock-timestamp')
+            },
+            timeout: 15000
+        });
+        return response.data;
+    }
+}
+
+module.exports = new MockProvider();
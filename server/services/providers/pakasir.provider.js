@@ -0,0 +1,91 @@
+// server/services/providers/pakasir.provider.js
+const PakasirService = require('../pakasir.service');
+const WebhookSecurity = require('../webhookSecurity.service');
+
+// Payment provider adapter for Pakasir. The HTTP calls live in PakasirService.
+class PakasirProvider {
+    constructor() {
+        this.name = 'pakasir';
+    }
+
+    // Payment details to hand the customer: where to pay and how
+    async createPayment({ orderId, amount, method, redirect }) {
+        if (method === 'paypal') {
+            return {
+                type: 'paypal',
+                url: PakasirService.getPaypalUrl(orderId, amount),
+                amountInUSD: (amount / 15000).toFixed(2),
+                fee: {
+                    pakasir: 3000,
+                    paypal: '4.4% + $0.30'
+                }
+            };
+        }
+
+        return {
+            type: 'redirect',
+            url: PakasirService.getPaymentUrl(orderId, amount, {
+                redirect,
+                qrisOnly: method === 'qris'
+            })
+        };
+    }
+
+    // Create the transaction through the API so QRIS/VA details can be shown on our own pages.
+    // Resolves { method, paymentNumber, amount, fee, totalPayment, expiredAt, raw }
+    async createTransaction({ orderId, amount, method }) {
+        const response = await PakasirService.createTransaction(method, orderId, amount);
+        const payment = response?.payment;
+        if (!payment || !payment.payment_number) {
+            throw new Error('Pakasir returned no payment number');
+        }
+
+        return {
+            method: payment.payment_method || method,
+            paymentNumber: payment.payment_number,
+            amount: Number(payment.amount),
+            fee: Number(payment.fee) || 0,
+            totalPayment: Number(payment.total_payment) || Number(payment.amount),
+            expiredAt: payment.expired_at || null,
+            raw: response
+        };
+    }
+
+    // Resolves { status, amount, paymentMethod, completedAt, raw }, or null when Pakasir has no such transaction
+    async getStatus(orderId, amount) {
+        let response;
+        try {
+            response = await PakasirService.getTransactionDetail(orderId, amount);
+        } catch (error) {
+            // The customer never opened the payment page, so Pakasir has nothing yet
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+
+        const transaction = response?.transaction;
+        if (!transaction) return null;
+
+        return {
+            status: transaction.status || null,
+            amount: transaction.amount != null ? Number(transaction.amount) : null,
+            paymentMethod: transaction.payment_method || null,
+            completedAt: transaction.completed_at || null,
+            raw: transaction
+        };
+    }
+
+    async cancelPayment(orderId, amount) {
+        return PakasirService.cancelTransaction(orderId, amount);
+    }
+
+    // Signed over the raw body with pakasir.webhook_secret and dated by its completed_at, see WebhookSecurityService
+    async verifyWebhook(req) {
+        return WebhookSecurity.verify(req, {
+            provider: this.name,
+            headers: ['x-pakasir-signature', 'x-signature'],
+            secret: PakasirService.webhookSecret
+        });
+    }
+}
+
+module.exports = new PakasirProvider();
@@ -0,0 +1,222 @@
+// server/services/reconciliation.service.js
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const PaymentService = require('./payment.service');
+const ReservationService = require('./reservation.service');
+const FulfillmentService = require('./fulfillment.service');
+const PaymentLog = require('../models/PaymentLog');
+const OrderState = require('./orderState.service');
+
+class ReconciliationService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ ReconciliationService: Error loading config', error.message);
+        }
+
+        const settings = config.reconciliation || {};
+
+        // Only orders created inside this window are polled
+        this.lookbackHours = parseInt(settings.lookback_hours) ||
+                             parseInt(process.env.RECONCILE_LOOKBACK_HOURS) ||
+                             24;
+
+        // Give the webhook a chance to arrive before asking the provider
+        this.minAgeMinutes = parseInt(settings.min_age_minutes) ||
+                             parseInt(process.env.RECONCILE_MIN_AGE_MINUTES) ||
+                             2;
+
+        this.batchSize = parseInt(settings.batch_size) ||
+                         parseInt(process.env.RECONCILE_BATCH_SIZE) ||
+                         50;
+
+        this.intervalMinutes = parseInt(settings.interval_minutes) ||
+                               parseInt(process.env.RECONCILE_INTERVAL_MINUTES) ||
+                               5;
+    }
+
+    // Poll the payment provider for every recent pending order and deliver the ones it reports as paid.
+    // Orders left in paid, by a delivery that failed after recording the payment, are finished too.
+    async reconcilePending(trigger = 'schedule') {
+        const orders = await db.all(
+            `SELECT * FROM orders
+             WHERE status IN ('pending', 'paid')
+               AND createdAt >= datetime('now', ?)
+               AND createdAt <= datetime('now', ?)
+             ORDER BY createdAt ASC
+             LIMIT ?`,
+            [`-${this.lookbackHours} hours`, `-${this.minAgeMinutes} minutes`, this.batchSize]
+        );
+
+        const result = {
+            checked: orders.length,
+            fulfilled: [],
+            closed: [],
+            outOfStock: [],
+            mismatched: [],
+            errors: []
+        };
+
+        for (const order of orders) {
+            const check = await this.checkOrder(order, trigger);
+
+            if (check.outcome === 'fulfilled') result.fulfilled.push(order.orderId);
+            if (check.outcome === 'closed') result.closed.push(order.orderId);
+            if (check.outcome === 'out_of_stock') result.outOfStock.push(order.orderId);
+            if (check.outcome === 'amount_mismatch') result.mismatched.push(order.orderId);
+            if (check.outcome === 'error') result.errors.push({ orderId: order.orderId, error: check.detail });
+        }
+
+        if (result.fulfilled.length > 0) {
+            console.log(`🔁 Reconciliation delivered ${result.fulfilled.length} missed payments`);
+        }
+
+        return result;
+    }
+
+    // Check a single order by id, whatever its status
+    async reconcileOrder(orderId, trigger = 'manual') {
+        const order = await db.get('SELECT * FROM orders WHERE orderId = ?', [orderId]);
+        if (!order) return null;
+
+        return this.checkOrder(order, trigger);
+    }
+
+    // Ask the order's payment provider about it, act on the answer and record the check
+    async checkOrder(order, trigger) {
+        const check = {
+            orderId: order.orderId,
+            trigger,
+            providerStatus: null,
+            providerAmount: null,
+            outcome: 'pending',
+            detail: null
+        };
+
+        try {
+            const provider = PaymentService.getProvider(order.paymentProvider);
+            const payment = await provider.getStatus(order.orderId, order.amount);
+
+            if (!payment) {
+                check.outcome = 'not_found';
+            } else {
+                check.providerStatus = payment.status;
+                check.providerAmount = payment.amount;
+
+                const target = OrderState.fromProviderStatus(payment.status);
+                if (target === 'paid') {
+                    await this.handleCompleted(order, payment, check);
+                } else if (target) {
+                    await this.handleClosed(order, payment, check);
+                }
+            }
+        } catch (error) {
+            check.outcome = 'error';
+            check.detail = error.response?.data?.message || error.message;
+        }
+
+        await this.recordCheck(check);
+        return check;
+    }
+
+    async handleCompleted(order, payment, check) {
+        if (Number(payment.amount) !== Number(order.amount)) {
+            check.outcome = 'amount_mismatch';
+            check.detail = `Expected ${order.amount}, provider reported ${payment.amount}`;
+            console.error(`❌ Reconciliation amount mismatch for order ${order.orderId}:`, check.detail);
+            return;
+        }
+
+        const fulfillment = await FulfillmentService.fulfillPaidOrder(order, 'sqlite', {
+            amount: payment.amount,
+            completed_at: payment.completedAt,
+            payment_method: payment.paymentMethod,
+            order_id: order.orderId,
+            reconciled: true
+        }, { actor: `provider:${order.paymentProvider || 'pakasir'}`, trigger: 'reconciliation' });
+
+        if (fulfillment.status === 'completed') {
+            check.outcome = 'fulfilled';
+            check.detail = `Delivered ${fulfillment.accountCount} account(s)`;
+        } else if (fulfillment.status === 'out_of_stock') {
+            check.outcome = 'out_of_stock';
+            check.detail = `Paid but out of stock, awaiting stock: ${fulfillment.product}`;
+        } else {
+            check.outcome = 'already_processed';
+        }
+    }
+
+    async handleClosed(order, payment, check) {
+        try {
+            await OrderState.transition(order.orderId, OrderState.fromProviderStatus(payment.status), {
+                source: `reconciliation:${check.trigger}`,
+                payload: { providerStatus: payment.status },
+                fields: { paymentStatus: payment.status }
+            });
+        } catch (error) {
+            // Paid or closed in the meantime
+            if (error.code === 'INVALID_TRANSITION') return;
+            throw error;
+        }
+
+        await ReservationService.release(order.orderId);
+        check.outcome = 'closed';
+    }
+
+    async recordCheck(check) {
+        await db.run(
+            `INSERT INTO reconciliation_checks (
+                order_id, trigger, provider_status, provider_amount, outcome, detail
+            ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [check.orderId, check.trigger, check.providerStatus, check.providerAmount, check.outcome, check.detail]
+        );
+        await PaymentLog.record(`reconciliation.${check.outcome}`, check.orderId, {
+            trigger: check.trigger,
+            providerStatus: check.providerStatus,
+            providerAmount: check.providerAmount,
+            detail: check.detail
+        });
+    }
+
+    async getChecks(filters = {}) {
+        let sql = 'SELECT * FROM reconciliation_checks WHERE 1=1';
+        const params = [];
+
+        if (filters.orderId) {
+            sql += ' AND order_id = ?';
+            params.push(filters.orderId);
+        }
+
+        if (filters.outcome) {
+            sql += ' AND outcome = ?';
+            params.push(filters.outcome);
+        }
+
+        sql += ' ORDER BY id DESC LIMIT ?';
+        params.push(Math.min(parseInt(filters.limit) || 50, 500));
+
+        const rows = await db.all(sql, params);
+        return rows.map(row => ({
+            id: row.id,
+            orderId: row.order_id,
+            trigger: row.trigger,
+            providerStatus: row.provider_status,
+            providerAmount: row.provider_amount,
+            outcome: row.outcome,
+            detail: row.detail,
+            checkedAt: row.checked_at
+        }));
+    }
+}
+
+module.exports = new ReconciliationService();
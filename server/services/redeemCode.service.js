@@ -0,0 +1,208 @@
+// server/services/redeemCode.service.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const RedeemCode = require('../models/RedeemCode');
+const Product = require('../models/Product');
+
+// No 0/O or 1/I, which customers mistype when entering a code by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_GENERATE = 1000;
+const MAX_IMPORT = 5000;
+
+// Externally supplied codes only need to be a single token of printable characters
+const IMPORTED_CODE_PATTERN = /^[\x21-\x7e]{4,128}$/;
+
+// Redeem-code inventory: codes are generated here or imported from a supplier, and sit in
+// their product's pool until an order is delivered one.
+class RedeemCodeService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ RedeemCodeService: Error loading config', error.message);
+        }
+
+        this.prefix = config.redeem_code?.prefix ?? process.env.REDEEM_CODE_PREFIX ?? 'GrowLyy';
+        this.length = parseInt(config.redeem_code?.length || process.env.REDEEM_CODE_LENGTH) || 12;
+
+        // 0 keeps codes valid until they are sold
+        this.expiryDays = parseInt(config.redeem_code?.expiry_days ?? process.env.REDEEM_CODE_EXPIRY_DAYS ?? 30) || 0;
+    }
+
+    codeError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // A new code from the CSPRNG: the configured prefix, a dash and `length` random characters
+    generateCode() {
+        let random = '';
+        for (let i = 0; i < this.length; i++) {
+            random += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return this.prefix ? `${this.prefix}-${random}` : random;
+    }
+
+    // The stored expiry for a code added now: expiresAt when given, else expiry_days from now
+    expiryFor(expiresAt, expiryDays = this.expiryDays) {
+        if (expiresAt) {
+            const date = new Date(expiresAt);
+            if (isNaN(date.getTime())) {
+                throw this.codeError('INVALID_REDEEM_CODES', 'Expiry must be a valid date');
+            }
+            if (date <= new Date()) {
+                throw this.codeError('INVALID_REDEEM_CODES', 'Expiry must be in the future');
+            }
+            return RedeemCode.toSqlDate(date);
+        }
+
+        return expiryDays > 0 ? RedeemCode.toSqlDate(Date.now() + expiryDays * 86400000) : null;
+    }
+
+    // Throws with code PRODUCT_NOT_FOUND when the product or variant does not exist
+    async resolvePool(productId, variantId) {
+        const product = productId ? await Product.findById(productId, { includeArchived: true }) : null;
+        if (!product) {
+            throw this.codeError('PRODUCT_NOT_FOUND', 'Product not found');
+        }
+        if (variantId && !product.variants.some(v => v.id === variantId)) {
+            throw this.codeError('PRODUCT_NOT_FOUND', 'Variant not found');
+        }
+        return product;
+    }
+
+    // Generate quantity new codes for a product. expiryDays overrides config redeem_code.expiry_days.
+    // Resolves { codes, expiresAt }. Throws with code INVALID_REDEEM_CODES or PRODUCT_NOT_FOUND.
+    async generate(productId, { variantId = null, quantity = 1, expiryDays, createdBy = null } = {}) {
+        const count = Number(quantity);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATE) {
+            throw this.codeError('INVALID_REDEEM_CODES', `Quantity must be between 1 and ${MAX_GENERATE}`);
+        }
+
+        let days = this.expiryDays;
+        if (expiryDays !== undefined && expiryDays !== null && expiryDays !== '') {
+            days = Number(expiryDays);
+            if (!Number.isInteger(days) || days < 0) {
+                throw this.codeError('INVALID_REDEEM_CODES', 'Expiry days must be a whole number of at least 0');
+            }
+        }
+
+        await this.resolvePool(productId, variantId);
+        const expiresAt = this.expiryFor(null, days);
+
+        // A collision is astronomically unlikely, but a duplicate is simply generated again
+        const codes = [];
+        for (let attempt = 0; codes.length < count && attempt < 5; attempt++) {
+            const batch = Array.from({ length: count - codes.length }, () => ({
+                code: this.generateCode(),
+                productId,
+                variantId,
+                source: 'generated',
+                expiresAt,
+                createdBy
+            }));
+
+            const { added } = await RedeemCode.addMany(batch);
+            codes.push(...added);
+        }
+
+        console.log(`🎫 Generated ${codes.length} redeem codes for ${productId}${variantId ? ` (${variantId})` : ''}`);
+        return { codes, expiresAt };
+    }
+
+    // Split an import into entries: an array of codes or { code, expiresAt }, or text with one
+    // code per line (commas and semicolons also separate codes)
+    parseImport(codes) {
+        if (typeof codes === 'string') {
+            return codes.split(/[\r\n,;]+/).map(code => ({ code: code.trim() })).filter(entry => entry.code);
+        }
+        if (!Array.isArray(codes)) return [];
+
+        return codes
+            .map(entry => typeof entry === 'string' ? { code: entry } : { code: entry?.code, expiresAt: entry?.expiresAt })
+            .map(entry => ({ ...entry, code: String(entry.code || '').trim() }))
+            .filter(entry => entry.code);
+    }
+
+    // Add supplier codes to a product's pool. Each code may carry its own expiresAt; otherwise
+    // the batch expiresAt, else config redeem_code.expiry_days applies. Resolves
+    // { added, duplicates, invalid }. Throws with code INVALID_REDEEM_CODES or PRODUCT_NOT_FOUND.
+    async importCodes(productId, { variantId = null, codes, expiresAt = null, createdBy = null } = {}) {
+        const entries = this.parseImport(codes);
+        if (entries.length === 0) {
+            throw this.codeError('INVALID_REDEEM_CODES', 'No codes to import');
+        }
+        if (entries.length > MAX_IMPORT) {
+            throw this.codeError('INVALID_REDEEM_CODES', `At most ${MAX_IMPORT} codes can be imported at once`);
+        }
+
+        await this.resolvePool(productId, variantId);
+        const batchExpiry = this.expiryFor(expiresAt);
+
+        const seen = new Set();
+        const invalid = [];
+        const duplicates = [];
+        const valid = [];
+
+        for (const entry of entries) {
+            if (!IMPORTED_CODE_PATTERN.test(entry.code)) {
+                invalid.push({ code: entry.code, error: 'Codes must be 4-128 characters without spaces' });
+                continue;
+            }
+            if (seen.has(entry.code)) {
+                duplicates.push(entry.code);
+                continue;
+            }
+            seen.add(entry.code);
+
+            let codeExpiry = batchExpiry;
+            if (entry.expiresAt) {
+                try {
+                    codeExpiry = this.expiryFor(entry.expiresAt);
+                } catch (error) {
+                    invalid.push({ code: entry.code, error: error.message });
+                    continue;
+                }
+            }
+
+            valid.push({
+                code: entry.code,
+                productId,
+                variantId,
+                source: 'imported',
+                expiresAt: codeExpiry,
+                createdBy
+            });
+        }
+
+        const result = valid.length > 0 ? await RedeemCode.addMany(valid) : { added: [], duplicates: [] };
+
+        console.log(`🎫 Imported ${result.added.length} redeem codes for ${productId}${variantId ? ` (${variantId})` : ''}`);
+        return {
+            added: result.added.length,
+            duplicates: [...duplicates, ...result.duplicates],
+            invalid
+        };
+    }
+
+    // Retire unsold codes past their expiry; run by the expire-redeem-codes job
+    async expireCodes() {
+        const expired = await RedeemCode.expire();
+        if (expired > 0) {
+            console.log(`⌛ Expired ${expired} unsold redeem codes`);
+        }
+        return { expired };
+    }
+}
+
+module.exports = new RedeemCodeService();
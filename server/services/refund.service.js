@@ -0,0 +1,281 @@
+// server/services/refund.service.js
+const { all, transaction } = require('../config/database');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const PaymentLog = require('../models/PaymentLog');
+const whatsappBot = require('../models/WhatsAppBot');
+const OrderEvent = require('../models/OrderEvent');
+const FulfillmentService = require('./fulfillment.service');
+const OrderState = require('./orderState.service');
+const DeliveryService = require('./delivery.service');
+
+const REFUND_METHODS = ['bank_transfer', 'ewallet', 'qris', 'paypal', 'store_credit', 'other'];
+
+// What happens to the accounts (and redeem codes) a refunded order received
+const ACCOUNT_ACTIONS = ['none', 'restock', 'revoke'];
+
+class RefundService {
+    constructor() {
+        this.methods = REFUND_METHODS;
+        this.accountActions = ACCOUNT_ACTIONS;
+    }
+
+    // Refund all or part of a paid order. Refunds add up to at most the order amount; the order
+    // becomes `refunded` once they reach it, and a partial refund is noted in its history. accountAction 'restock' puts the sold accounts back
+    // in the pool, 'revoke' retires them. A full refund takes back everything the order received;
+    // a partial one only the units chosen as [{ line, unit }] positions in Order.deliveries,
+    // which the customer then no longer sees. Throws with code INVALID_REFUND or ORDER_NOT_REFUNDABLE.
+    async refundOrder(orderId, { amount, reason, method, accountAction = 'none', units = null, actor }) {
+        const invalid = (message) => {
+            const error = new Error(message);
+            error.code = 'INVALID_REFUND';
+            return error;
+        };
+
+        if (!reason || !String(reason).trim()) throw invalid('A refund reason is required');
+        if (!REFUND_METHODS.includes(method)) {
+            throw invalid(`Refund method must be one of: ${REFUND_METHODS.join(', ')}`);
+        }
+        if (!ACCOUNT_ACTIONS.includes(accountAction)) {
+            throw invalid(`Account action must be one of: ${ACCOUNT_ACTIONS.join(', ')}`);
+        }
+
+        const result = await transaction(async (tx) => {
+            const order = await tx.get('SELECT * FROM orders WHERE orderId = ?', [orderId]);
+            if (!order) {
+                const error = new Error('Order not found');
+                error.code = 'ORDER_NOT_FOUND';
+                throw error;
+            }
+
+            // Only paid orders can be refunded, the same orders the state machine lets become refunded
+            if (!OrderState.canTransition(order.status, 'refunded')) {
+                const error = new Error(`Order cannot be refunded (current status: ${order.status})`);
+                error.code = 'ORDER_NOT_REFUNDABLE';
+                throw error;
+            }
+
+            const alreadyRefunded = order.refundedAmount || 0;
+            const refundable = order.amount - alreadyRefunded;
+            const refundAmount = amount === undefined || amount === null || amount === ''
+                ? refundable
+                : Number(amount);
+
+            if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+                throw invalid('Refund amount must be a positive whole number');
+            }
+            if (refundAmount > refundable) {
+                throw invalid(`Refund amount exceeds the refundable balance of ${refundable}`);
+            }
+
+            const refundedAmount = alreadyRefunded + refundAmount;
+            const fullyRefunded = refundedAmount >= order.amount;
+            const now = new Date().toISOString();
+
+            // The order keeps showing what it received, so a partial refund must not put all of it
+            // up for sale again
+            let taken = null;
+            if (accountAction !== 'none' && !fullyRefunded) {
+                taken = await this.unitsAt(tx, order, units, invalid);
+            }
+
+            let accounts = [];
+            let codes = [];
+            if (accountAction !== 'none') {
+                const reversed = await DeliveryService.reverseSale(tx, orderId, accountAction, taken);
+                accounts = reversed.credentials || [];
+                codes = reversed.redeem_code || [];
+
+                if (taken) {
+                    await Order.removeUnits(tx, order, taken);
+                }
+
+                if (accountAction === 'restock') {
+                    for (const productId of new Set([...accounts, ...codes].map(row => row.product_id))) {
+                        await Product.refreshStock(productId, tx);
+                    }
+                }
+            }
+
+            const refund = await tx.get(
+                `INSERT INTO refunds (order_id, amount, reason, method, account_action, account_ids, refunded_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 RETURNING *`,
+                [
+                    orderId,
+                    refundAmount,
+                    String(reason).trim(),
+                    method,
+                    accountAction,
+                    JSON.stringify(accounts.map(account => account.id)),
+                    actor || null
+                ]
+            );
+
+            const event = {
+                actor: actor || 'system',
+                source: 'admin',
+                payload: { refundId: refund.id, amount: refundAmount, method, accountAction }
+            };
+
+            if (fullyRefunded) {
+                await OrderState.transition(orderId, 'refunded', {
+                    ...event,
+                    fields: { refundedAmount, refundedAt: now },
+                    conn: tx
+                });
+            } else {
+                await tx.run(
+                    `UPDATE orders SET refundedAmount = ?, refundedAt = ?, updatedAt = ? WHERE orderId = ?`,
+                    [refundedAmount, now, now, orderId]
+                );
+                await OrderEvent.record({
+                    ...event,
+                    orderId,
+                    event: 'partially_refunded',
+                    fromStatus: order.status,
+                    toStatus: order.status
+                }, tx);
+            }
+
+            return {
+                order,
+                refund: this.format(refund),
+                refundedAmount,
+                fullyRefunded,
+                accounts,
+                codes
+            };
+        });
+
+        console.log(`💸 Refunded ${result.refund.amount} on order ${orderId} (${method}, accounts: ${accountAction})`);
+
+        await PaymentLog.record('payment.refunded', orderId, {
+            amount: result.refund.amount,
+            method,
+            reason: result.refund.reason,
+            accountAction,
+            accounts: result.accounts.map(account => account.id),
+            codes: result.codes.map(code => code.id),
+            by: actor || null,
+            fullyRefunded: result.fullyRefunded
+        });
+
+        const emailSent = await this.notifyCustomer(result.order, result.refund, result.refundedAmount);
+
+        // Restocked accounts and codes are first offered to paid orders waiting for stock
+        if (accountAction === 'restock' && result.accounts.length + result.codes.length > 0) {
+            try {
+                await FulfillmentService.fulfillAwaitingStock(`refund:${orderId}`);
+            } catch (error) {
+                console.error('❌ Error fulfilling awaiting-stock orders after refund:', error.message);
+            }
+        }
+
+        return {
+            refund: result.refund,
+            status: result.fullyRefunded ? 'refunded' : result.order.status,
+            refundedAmount: result.refundedAmount,
+            accounts: result.accounts.length,
+            codes: result.codes.length,
+            emailSent
+        };
+    }
+
+    // The delivered units at `positions` ([{ line, unit }] in Order.deliveries) that can go back
+    // to their pool. Throws through invalid() when none are chosen or one cannot be taken back.
+    async unitsAt(conn, order, positions, invalid) {
+        if (!Array.isArray(positions) || positions.length === 0) {
+            throw invalid('A partial refund only takes back the delivered units you choose; choose them or leave them as sold');
+        }
+
+        const items = (await conn.all('SELECT * FROM order_items WHERE order_id = ? ORDER BY id ASC', [order.orderId]))
+            .map(row => OrderItem.format(row));
+        const lines = Order.deliveredUnits(order, items);
+
+        const units = new Map();
+        for (const position of positions) {
+            const unit = lines[parseInt(position?.line)]?.accounts[parseInt(position?.unit)];
+            if (!DeliveryService.reversible(unit)) {
+                throw invalid('Only delivered accounts and redeem codes of this order can be taken back');
+            }
+            units.set(`${unit.type || 'credentials'}:${unit.id}`, unit);
+        }
+        return [...units.values()];
+    }
+
+    // What a partial refund can take back: the order's delivered accounts and codes as
+    // { line, unit } positions, with the product and an email or code id to tell them apart
+    async returnableUnits(orderId) {
+        const order = await Order.findByOrderId(orderId);
+        if (!order) return null;
+
+        const lines = Order.deliveredUnits(order, await OrderItem.findByOrder(orderId));
+        return lines.flatMap((line, lineIndex) => line.accounts
+            .map((unit, index) => ({ unit, index }))
+            .filter(({ unit }) => DeliveryService.reversible(unit))
+            .map(({ unit, index }) => ({
+                line: lineIndex,
+                unit: index,
+                productName: line.productName,
+                type: unit.type || 'credentials',
+                label: unit.email || `#${unit.id}`
+            })));
+    }
+
+    async notifyCustomer(order, refund, refundedAmount) {
+        const customerEmail = order.username;
+        if (!customerEmail) return false;
+
+        try {
+            const sendResult = await whatsappBot.sendRefundEmail(customerEmail, {
+                orderId: order.orderId,
+                productName: order.role,
+                orderAmount: order.amount,
+                amount: refund.amount,
+                refundedAmount,
+                reason: refund.reason,
+                method: refund.method,
+                accountAction: refund.accountAction
+            });
+
+            if (!sendResult?.success) {
+                console.error(`❌ Failed to send refund email to ${customerEmail}:`, sendResult?.error);
+                return false;
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Error sending refund email:', error.message);
+            return false;
+        }
+    }
+
+    format(row) {
+        let accountIds = [];
+        try {
+            accountIds = JSON.parse(row.account_ids || '[]');
+        } catch (e) {
+            accountIds = [];
+        }
+
+        return {
+            id: row.id,
+            orderId: row.order_id,
+            amount: row.amount,
+            reason: row.reason,
+            method: row.method,
+            accountAction: row.account_action,
+            accountIds,
+            refundedBy: row.refunded_by,
+            createdAt: row.created_at
+        };
+    }
+
+    async getRefunds(orderId) {
+        const rows = await all('SELECT * FROM refunds WHERE order_id = ? ORDER BY id ASC', [orderId]);
+        return rows.map(row => this.format(row));
+    }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,93 @@
+// server/services/reservation.service.js
+const fs = require('fs');
+const path = require('path');
+const { transaction } = require('../config/database');
+const Product = require('../models/Product');
+const DeliveryService = require('./delivery.service');
+
+class ReservationService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ ReservationService: Error loading config', error.message);
+        }
+
+        this.ttlMinutes = parseInt(config.orders?.reservation_minutes) ||
+                          parseInt(process.env.RESERVATION_TTL_MINUTES) ||
+                          60;
+    }
+
+    // Reserve stock for every line of a new order, all lines or none. Lines of products
+    // without a pool (generated or manual delivery) always succeed.
+    // Throws an OUT_OF_STOCK error naming the line that could not be covered.
+    async reserve(orderId, lines) {
+        await this.releaseExpired();
+
+        return transaction(async (tx) => {
+            for (const line of lines) {
+                const reserved = await DeliveryService.reserve(tx, line, orderId, this.ttlMinutes);
+
+                if (reserved < line.quantity) {
+                    const error = new Error(reserved > 0
+                        ? `Only ${reserved} ${line.productName} left in stock`
+                        : `${line.productName} is out of stock`);
+                    error.code = 'OUT_OF_STOCK';
+                    error.productId = line.productId;
+                    error.variantId = line.variantId || null;
+                    error.stock = reserved;
+                    throw error;
+                }
+            }
+
+            for (const productId of new Set(lines.map(line => line.productId))) {
+                await Product.refreshStock(productId, tx);
+            }
+
+            console.log(`🔒 Reserved stock for order ${orderId} (${this.ttlMinutes} min)`);
+            return { reservedUntil: new Date(Date.now() + this.ttlMinutes * 60000).toISOString() };
+        });
+    }
+
+    // Give back whatever an order still holds, e.g. when it is cancelled
+    async release(orderId) {
+        return transaction(async (tx) => {
+            const productIds = await DeliveryService.releaseReservations(tx, orderId);
+
+            for (const productId of productIds) {
+                await Product.refreshStock(productId, tx);
+            }
+
+            if (productIds.length > 0) {
+                console.log(`🔓 Released reserved stock for order ${orderId}`);
+            }
+            return productIds;
+        });
+    }
+
+    // Give back every hold that has run past its reserved_until
+    async releaseExpired() {
+        return transaction(async (tx) => {
+            const productIds = await DeliveryService.releaseReservations(tx);
+
+            for (const productId of productIds) {
+                await Product.refreshStock(productId, tx);
+            }
+
+            if (productIds.length > 0) {
+                console.log(`🔓 Released expired reservations for ${productIds.join(', ')}`);
+            }
+            return productIds;
+        });
+    }
+}
+
+module.exports = new ReservationService();
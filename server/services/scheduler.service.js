@@ -0,0 +1,154 @@
+// server/services/scheduler.service.js
+const db = require('../config/database');
+
+class SchedulerService {
+    constructor() {
+        this.jobs = new Map();
+        this.started = false;
+    }
+
+    // Register a periodic job. The handler gets the trigger and its return value is stored as the run result.
+    register(name, intervalMs, handler, description = '') {
+        this.jobs.set(name, {
+            name,
+            description,
+            intervalMs,
+            handler,
+            timer: null,
+            running: false
+        });
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        this.jobs.forEach(job => {
+            job.timer = setInterval(() => {
+                this.run(job.name, 'schedule').catch(error => {
+                    console.error(`❌ Job ${job.name} could not be recorded:`, error.message);
+                });
+            }, job.intervalMs);
+            job.timer.unref();
+
+            console.log(`⏰ Job ${job.name} scheduled every ${Math.round(job.intervalMs / 1000)}s`);
+        });
+    }
+
+    stop() {
+        this.jobs.forEach(job => {
+            if (job.timer) clearInterval(job.timer);
+            job.timer = null;
+        });
+        this.started = false;
+    }
+
+    // Run a job now and record the run. A job that is still running is not started twice.
+    async run(name, trigger = 'manual') {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        if (job.running) {
+            return { job: name, status: 'skipped', message: 'Job is already running' };
+        }
+
+        job.running = true;
+        const startedAt = Date.now();
+        const { id } = await db.run(
+            `INSERT INTO job_runs (job_name, trigger, status, started_at) VALUES (?, ?, 'running', ?)`,
+            [name, trigger, new Date(startedAt).toISOString()]
+        );
+
+        try {
+            const result = await job.handler(trigger);
+            await this.finishRun(id, startedAt, 'success', result);
+            return { id, job: name, status: 'success', result };
+        } catch (error) {
+            console.error(`❌ Job ${name} failed:`, error.message);
+            await this.finishRun(id, startedAt, 'failed', {}, error.message);
+            return { id, job: name, status: 'failed', error: error.message };
+        } finally {
+            job.running = false;
+        }
+    }
+
+    async finishRun(id, startedAt, status, result, error = null) {
+        await db.run(
+            `UPDATE job_runs
+             SET status = ?, result = ?, error = ?, finished_at = ?, duration_ms = ?
+             WHERE id = ?`,
+            [status, JSON.stringify(result || {}), error, new Date().toISOString(), Date.now() - startedAt, id]
+        );
+    }
+
+    // Registered jobs with their latest run
+    async list() {
+        const jobs = [];
+
+        for (const job of this.jobs.values()) {
+            const lastRun = await db.get(
+                'SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT 1',
+                [job.name]
+            );
+
+            jobs.push({
+                name: job.name,
+                description: job.description,
+                intervalSeconds: Math.round(job.intervalMs / 1000),
+                scheduled: !!job.timer,
+                running: job.running,
+                lastRun: this.formatRun(lastRun)
+            });
+        }
+
+        return jobs;
+    }
+
+    async getRuns(filters = {}) {
+        let sql = 'SELECT * FROM job_runs WHERE 1=1';
+        const params = [];
+
+        if (filters.job) {
+            sql += ' AND job_name = ?';
+            params.push(filters.job);
+        }
+
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+
+        sql += ' ORDER BY id DESC LIMIT ?';
+        params.push(Math.min(parseInt(filters.limit) || 50, 500));
+
+        const rows = await db.all(sql, params);
+        return rows.map(row => this.formatRun(row));
+    }
+
+    formatRun(row) {
+        if (!row) return null;
+
+        let result = {};
+        try {
+            result = JSON.parse(row.result || '{}');
+        } catch (e) {
+            result = {};
+        }
+
+        return {
+            id: row.id,
+            job: row.job_name,
+            trigger: row.trigger,
+            status: row.status,
+            result,
+            error: row.error || null,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            durationMs: row.duration_ms
+        };
+    }
+}
+
+module.exports = new SchedulerService();
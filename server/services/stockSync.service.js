@@ -1,12 +1,13 @@
 // server/services/stockSync.service.js
 const fs = require('fs');
 const path = require('path');
+const db = require('../config/database');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const ReservationService = require('./reservation.service');
 
 class StockSyncService {
     constructor() {
-        this.dbPath = path.join(__dirname, '../../data/GrowLyy.db');
-        this.productPath = path.join(__dirname, '../../data/product.json');
-        this.accountsPath = path.join(__dirname, '../../data/accounts.json');
         this.logFile = path.join(__dirname, '../../logs/stock-sync.log');
     }
 
@@ -28,27 +29,28 @@ class StockSyncService {
 
     async getAccountsCountByProduct() {
         try {
-            if (!fs.existsSync(this.accountsPath)) {
-                return {};
-            }
+            const rows = await db.all(`
+                SELECT 
+                    product_id,
+                    COUNT(*) as total,
+                    SUM(CASE WHEN status = 'available' THEN 1 ELSE 0 END) as available,
+                    SUM(CASE WHEN status = 'sold' THEN 1 ELSE 0 END) as sold,
+                    SUM(CASE WHEN status = 'reserved' THEN 1 ELSE 0 END) as reserved
+                FROM accounts
+                GROUP BY product_id
+            `);
 
-            const accountsData = JSON.parse(fs.readFileSync(this.accountsPath, 'utf8'));
             const stats = {};
-
-            accountsData.forEach(account => {
-                const productId = account.product_id;
-                if (!stats[productId]) {
-                    stats[productId] = { total: 0, available: 0, sold: 0 };
-                }
-                stats[productId].total++;
-                if (account.status === 'available') {
-                    stats[productId].available++;
-                } else if (account.status === 'sold') {
-                    stats[productId].sold++;
-                }
+            rows.forEach(row => {
+                stats[row.product_id] = {
+                    total: row.total || 0,
+                    available: row.available || 0,
+                    sold: row.sold || 0,
+                    reserved: row.reserved || 0
+                };
             });
 
-            this.log(`Retrieved stats for ${Object.keys(stats).length} products from accounts.json`);
+            this.log(`Retrieved stats for ${Object.keys(stats).length} products from accounts table`);
             return stats;
         } catch (error) {
             this.log(`Error reading accounts: ${error.message}`, 'ERROR');
@@ -56,51 +58,43 @@ class StockSyncService {
         }
     }
 
-    async updateProductJson(dbStats) {
+    async updateProducts(dbStats) {
         try {
-            if (!fs.existsSync(this.productPath)) {
-                this.log(`Product file not found at ${this.productPath}`, 'ERROR');
-                return false;
-            }
-
-            const productData = JSON.parse(fs.readFileSync(this.productPath, 'utf8'));
+            const products = await Product.findAll({ includeArchived: true });
             let updated = false;
 
-            if (!productData.roles || !Array.isArray(productData.roles)) {
-                this.log('Invalid product.json format: missing roles array', 'ERROR');
-                return false;
-            }
+            for (const product of products) {
+                // Other delivery types keep their stock in their own pool (or have none to count)
+                if (product.deliveryType !== 'credentials') {
+                    await Product.refreshStock(product.id);
+                    continue;
+                }
+
+                await ProductVariant.refreshStock(product.id);
 
-            productData.roles.forEach(product => {
                 const stats = dbStats[product.id];
-                if (stats) {
-                    const oldStock = parseInt(product.stock) || 0;
-                    const newStock = stats.available;
-                    
-                    if (oldStock !== newStock) {
+                const oldStock = parseInt(product.stock) || 0;
+                const newStock = stats ? stats.available : 0;
+
+                if (oldStock !== newStock) {
+                    if (stats) {
                         this.log(`Updating stock for ${product.id}: ${oldStock} -> ${newStock} (Available accounts: ${stats.available}, Total: ${stats.total})`);
-                        product.stock = newStock.toString();
-                        updated = true;
-                    }
-                } else {
-                    if (parseInt(product.stock) !== 0) {
+                    } else {
                         this.log(`Setting stock to 0 for ${product.id} (no accounts found)`);
-                        product.stock = '0';
-                        updated = true;
                     }
+                    await Product.refreshStock(product.id);
+                    updated = true;
                 }
-            });
+            }
 
             if (updated) {
-                fs.writeFileSync(this.productPath, JSON.stringify(productData, null, 2));
-                this.log('Product.json updated successfully');
-                return true;
+                this.log('Products table updated successfully');
             } else {
                 this.log('No stock updates needed');
-                return false;
             }
+            return updated;
         } catch (error) {
-            this.log(`Error updating product.json: ${error.message}`, 'ERROR');
+            this.log(`Error updating products: ${error.message}`, 'ERROR');
             return false;
         }
     }
@@ -108,8 +102,13 @@ class StockSyncService {
     async syncStock() {
         this.log('Starting stock synchronization...');
         try {
+            const released = await ReservationService.releaseExpired();
+            if (released.length > 0) {
+                this.log(`Released expired reservations for ${released.join(', ')}`);
+            }
+
             const dbStats = await this.getAccountsCountByProduct();
-            const updated = await this.updateProductJson(dbStats);
+            const updated = await this.updateProducts(dbStats);
             
             if (updated) {
                 this.log('Stock synchronization completed with updates');
@@ -134,29 +133,27 @@ class StockSyncService {
     async getDetailedStockReport() {
         try {
             const dbStats = await this.getAccountsCountByProduct();
-            
-            if (!fs.existsSync(this.productPath)) {
-                return { products: [] };
-            }
-
-            const productData = JSON.parse(fs.readFileSync(this.productPath, 'utf8'));
+            const products = await Product.findAll({ includeArchived: true });
             
             const report = {
                 timestamp: new Date().toISOString(),
                 products: []
             };
 
-            productData.roles.forEach(product => {
-                const stats = dbStats[product.id] || { total: 0, available: 0, sold: 0 };
+            products.forEach(product => {
+                const stats = dbStats[product.id] || { total: 0, available: 0, sold: 0, reserved: 0 };
                 report.products.push({
                     id: product.id,
                     name: product.name,
                     price: product.price,
-                    stockInJson: parseInt(product.stock) || 0,
+                    status: product.status,
+                    deliveryType: product.deliveryType,
+                    stockInCatalog: parseInt(product.stock) || 0,
                     actualAvailable: stats.available,
                     totalAccounts: stats.total,
                     soldAccounts: stats.sold,
-                    needsUpdate: (parseInt(product.stock) || 0) !== stats.available
+                    reservedAccounts: stats.reserved,
+                    needsUpdate: product.deliveryType === 'credentials' && (parseInt(product.stock) || 0) !== stats.available
                 });
             });
 
@@ -0,0 +1,115 @@
+// server/services/totp.service.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+// Shortest secret taken for a TOTP seed: 80 bits, as authenticator apps issue at the least.
+// Shorter values are more likely backup codes or words.
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 128;
+
+// Many accounts ship with a 2FA code that is really a TOTP seed (base32, e.g. "JBSW Y3DP EHPK 3PXP",
+// or an otpauth:// URI). Customers get a link to a page showing the current code instead of
+// having to add the seed to an authenticator app. Codes follow RFC 6238 with the defaults every
+// app uses: HMAC-SHA1, 6 digits, 30 second steps.
+class TotpService {
+    constructor() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ TotpService: Error loading config', error.message);
+        }
+
+        // Emails need an absolute link; without a public URL they leave the code page out
+        this.publicUrl = config.server?.public_url || process.env.PUBLIC_URL || null;
+        this.period = PERIOD_SECONDS;
+    }
+
+    totpError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // The normalized base32 secret of a 2FA code, or null when it is not a TOTP seed
+    secretOf(value) {
+        if (typeof value !== 'string') return null;
+
+        let secret = value.trim();
+        if (/^otpauth:\/\/totp\//i.test(secret)) {
+            try {
+                secret = new URL(secret).searchParams.get('secret') || '';
+            } catch (e) {
+                return null;
+            }
+        }
+
+        secret = secret.replace(/[\s-]/g, '').toUpperCase().replace(/=+$/, '');
+        if (secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) return null;
+        if (![...secret].every(char => BASE32_ALPHABET.includes(char))) return null;
+
+        return secret;
+    }
+
+    isSecret(value) {
+        return this.secretOf(value) !== null;
+    }
+
+    decode(secret) {
+        let bits = '';
+        for (const char of secret) {
+            bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+        }
+
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        }
+        return Buffer.from(bytes);
+    }
+
+    // The code of a 2FA secret at `now` (ms). Resolves { code, remaining, period } where remaining
+    // is the seconds the code stays valid. Throws with code TOTP_UNAVAILABLE for anything but a seed.
+    generate(value, now = Date.now()) {
+        const secret = this.secretOf(value);
+        if (!secret) {
+            throw this.totpError('TOTP_UNAVAILABLE', 'This 2FA code is not a TOTP secret');
+        }
+
+        const seconds = Math.floor(now / 1000);
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(Math.floor(seconds / this.period)));
+
+        const hmac = crypto.createHmac('sha1', this.decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return {
+            code: String(binary % 10 ** DIGITS).padStart(DIGITS, '0'),
+            remaining: this.period - (seconds % this.period),
+            period: this.period
+        };
+    }
+
+    // A delivered unit with a link to its code page when its 2FA code is a TOTP seed. line and
+    // index locate the unit in Order.deliveries; options.absolute prefixes the public URL, and
+    // leaves the unit as it is when none is configured.
+    withLink(unit, order, line, index, { absolute = false } = {}) {
+        if (!this.isSecret(unit?.twofa_code)) return unit;
+        if (absolute && !this.publicUrl) return unit;
+
+        const { orderPageUrl } = require('../middleware/orderAccess');
+        const url = orderPageUrl('totp', order, { line, unit: index });
+        return { ...unit, totpUrl: absolute ? `${this.publicUrl.replace(/\/$/, '')}${url}` : url };
+    }
+}
+
+module.exports = new TotpService();
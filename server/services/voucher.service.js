@@ -0,0 +1,199 @@
+// server/services/voucher.service.js
+const { transaction } = require('../config/database');
+const Voucher = require('../models/Voucher');
+const Product = require('../models/Product');
+
+const VOUCHER_TYPES = ['percent', 'fixed'];
+const VOUCHER_STATUSES = ['active', 'inactive'];
+
+// Admin-managed discount codes. A checkout quotes the voucher against its lines, then redeems
+// it for the new order before the payment is created; the redemption is checked against the
+// limits again inside a transaction, so two checkouts cannot both take a voucher's last use.
+class VoucherService {
+    constructor() {
+        this.types = VOUCHER_TYPES;
+        this.statuses = VOUCHER_STATUSES;
+    }
+
+    voucherError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Check admin input and map it onto model fields. With partial set only the given fields
+    // are checked, against the existing voucher. Throws with code INVALID_VOUCHER.
+    async validateInput(input, { partial = false, existing = null } = {}) {
+        const invalid = message => this.voucherError('INVALID_VOUCHER', message);
+        const given = key => !partial || input[key] !== undefined;
+        const data = {};
+
+        const wholeNumber = (key, label, { min = 0, nullable = false } = {}) => {
+            const value = input[key];
+            if (nullable && (value === null || value === '' || value === undefined)) return null;
+            const number = Number(value === undefined || value === '' ? 0 : value);
+            if (!Number.isInteger(number) || number < min) {
+                throw invalid(`${label} must be a whole number of at least ${min}`);
+            }
+            return number;
+        };
+
+        const date = (key, label) => {
+            const value = input[key];
+            if (value === null || value === '' || value === undefined) return null;
+            const parsed = new Date(value);
+            if (isNaN(parsed.getTime())) throw invalid(`${label} must be a valid date`);
+            return parsed.toISOString();
+        };
+
+        if (given('code')) {
+            const code = Voucher.normalizeCode(input.code);
+            if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+                throw invalid('Code must be 3-32 letters, digits, dashes or underscores');
+            }
+            const other = await Voucher.findByCode(code);
+            if (other && (!existing || other.id !== existing.id)) {
+                throw invalid(`Voucher code ${code} already exists`);
+            }
+            data.code = code;
+        }
+
+        if (given('type')) {
+            if (!VOUCHER_TYPES.includes(input.type)) {
+                throw invalid(`Type must be one of: ${VOUCHER_TYPES.join(', ')}`);
+            }
+            data.type = input.type;
+        }
+
+        if (given('value')) data.value = wholeNumber('value', 'Value', { min: 1 });
+        if (given('maxDiscount')) data.maxDiscount = wholeNumber('maxDiscount', 'Max discount', { min: 1, nullable: true });
+        if (given('minSpend')) data.minSpend = wholeNumber('minSpend', 'Minimum spend');
+        if (given('usageLimit')) data.usageLimit = wholeNumber('usageLimit', 'Usage limit');
+        if (given('perCustomerLimit')) data.perCustomerLimit = wholeNumber('perCustomerLimit', 'Per-customer limit');
+        if (given('startsAt')) data.startsAt = date('startsAt', 'Start date');
+        if (given('endsAt')) data.endsAt = date('endsAt', 'End date');
+
+        if (given('productId')) {
+            data.productId = input.productId || null;
+            if (data.productId && !(await Product.findById(data.productId))) {
+                throw invalid('Product not found');
+            }
+        }
+
+        if (given('status')) {
+            const status = input.status || 'active';
+            if (!VOUCHER_STATUSES.includes(status)) {
+                throw invalid(`Status must be one of: ${VOUCHER_STATUSES.join(', ')}`);
+            }
+            data.status = status;
+        }
+
+        if (input.description !== undefined) {
+            data.description = input.description ? String(input.description).trim() : null;
+        }
+
+        // Checks that span fields use the existing voucher for anything not being changed
+        const merged = { ...(existing ? Voucher.format(existing) : {}), ...data };
+        if (merged.type === 'percent' && merged.value > 100) {
+            throw invalid('A percent voucher can take at most 100% off');
+        }
+        if (merged.startsAt && merged.endsAt && new Date(merged.startsAt) >= new Date(merged.endsAt)) {
+            throw invalid('End date must be after the start date');
+        }
+
+        return data;
+    }
+
+    // Work out what a voucher takes off an order. lines are { productId, unitPrice, quantity };
+    // email identifies the customer for the per-customer limit. Resolves { voucher, discount,
+    // subtotal, eligibleSubtotal, total }. Throws with code VOUCHER_NOT_APPLICABLE.
+    async quote(code, { lines, email }) {
+        const notApplicable = message => this.voucherError('VOUCHER_NOT_APPLICABLE', message);
+
+        const voucher = await Voucher.findByCode(code);
+        if (!voucher || voucher.status !== 'active') {
+            throw notApplicable('Voucher code is not valid');
+        }
+
+        const now = new Date();
+        if (voucher.starts_at && new Date(voucher.starts_at) > now) {
+            throw notApplicable('This voucher is not active yet');
+        }
+        if (voucher.ends_at && new Date(voucher.ends_at) <= now) {
+            throw notApplicable('This voucher has expired');
+        }
+
+        const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+        const eligibleSubtotal = lines
+            .filter(line => !voucher.product_id || line.productId === voucher.product_id)
+            .reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+        if (eligibleSubtotal === 0) {
+            throw notApplicable('This voucher does not apply to the products in your order');
+        }
+        if (eligibleSubtotal < (voucher.min_spend || 0)) {
+            throw notApplicable(`This voucher needs a minimum spend of ${voucher.min_spend}`);
+        }
+
+        this.checkLimits(voucher, await Voucher.usage(voucher.id, this.customerKey(email)));
+
+        let discount = voucher.type === 'percent'
+            ? Math.floor(eligibleSubtotal * voucher.value / 100)
+            : Math.min(voucher.value, eligibleSubtotal);
+
+        if (voucher.max_discount) discount = Math.min(discount, voucher.max_discount);
+
+        // Every order still goes through the payment provider, so something is always left to pay
+        discount = Math.max(0, Math.min(discount, subtotal - 1));
+
+        return { voucher, discount, subtotal, eligibleSubtotal, total: subtotal - discount };
+    }
+
+    customerKey(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    checkLimits(voucher, usage) {
+        if (voucher.usage_limit && usage.total >= voucher.usage_limit) {
+            throw this.voucherError('VOUCHER_NOT_APPLICABLE', 'This voucher has been fully redeemed');
+        }
+        if (voucher.per_customer_limit && usage.customer >= voucher.per_customer_limit) {
+            throw this.voucherError('VOUCHER_NOT_APPLICABLE', 'You have already used this voucher');
+        }
+    }
+
+    // Record a quoted voucher against an order, re-checking its limits. Throws with code
+    // VOUCHER_NOT_APPLICABLE when another checkout took the last use in the meantime.
+    async redeem(quote, orderId, email) {
+        const customerKey = this.customerKey(email);
+
+        await transaction(async (tx) => {
+            const voucher = await tx.get('SELECT * FROM vouchers WHERE id = ?', [quote.voucher.id]);
+            if (!voucher || voucher.status !== 'active') {
+                throw this.voucherError('VOUCHER_NOT_APPLICABLE', 'Voucher code is not valid');
+            }
+
+            this.checkLimits(voucher, await Voucher.usage(voucher.id, customerKey, tx));
+
+            await Voucher.recordRedemption({
+                voucherId: voucher.id,
+                orderId,
+                customerKey,
+                discount: quote.discount
+            }, tx);
+        });
+
+        console.log(`🎟️ Voucher ${quote.voucher.code} redeemed for ${orderId} (-${quote.discount})`);
+    }
+
+    // Give back a redemption whose order was never created
+    async release(orderId) {
+        try {
+            await Voucher.deleteRedemption(orderId);
+        } catch (error) {
+            console.error(`❌ Failed to release voucher for ${orderId}:`, error.message);
+        }
+    }
+}
+
+module.exports = new VoucherService();
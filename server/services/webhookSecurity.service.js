@@ -0,0 +1,140 @@
+// server/services/webhookSecurity.service.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../config/database');
+const OrderState = require('./orderState.service');
+
+// Signed webhooks carry a hex HMAC-SHA256 of the raw request body, made with the shared secret,
+// in the provider's signature header (Pakasir sends x-pakasir-signature or x-signature).
+// Deliveries must be fresh: a provider that sends a timestamp header (unix seconds) signs
+// `${timestamp}.${rawBody}` instead, and that timestamp must be within the tolerance window.
+// Pakasir sends none, so the payload's completed_at, covered by the signature, is used; a
+// payment delivery without either is rejected, other statuses without one are let through.
+// A paid order whose webhook arrives too late is still completed by reconciliation.
+// Each event (order and status) is handled once: webhook_events remembers what was handled,
+// so a captured delivery sent again is answered without touching the order.
+class WebhookSecurityService {
+    constructor() {
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        let config = {};
+        try {
+            const configPath = path.join(__dirname, '../../data/config.json');
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('❌ WebhookSecurityService: Error loading config', error.message);
+        }
+
+        this.toleranceSeconds = parseInt(config.webhooks?.tolerance_seconds) ||
+                                parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) ||
+                                300;
+
+        // How long seen events are kept; longer than any provider retries a delivery
+        this.retentionDays = parseInt(config.webhooks?.retention_days) ||
+                             parseInt(process.env.WEBHOOK_RETENTION_DAYS) ||
+                             30;
+
+        this.production = process.env.NODE_ENV === 'production';
+    }
+
+    sign(secret, rawBody, timestamp = null) {
+        const content = timestamp === null ? rawBody : `${timestamp}.${rawBody}`;
+        return crypto.createHmac('sha256', secret).update(content).digest('hex');
+    }
+
+    // Headers for an outgoing signed delivery of `rawBody`, stamped with the time in
+    // `timestampHeader` when one is given
+    signHeaders(header, secret, rawBody, timestampHeader = null) {
+        if (!timestampHeader) {
+            return { [header]: this.sign(secret, rawBody) };
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        return {
+            [timestampHeader]: String(timestamp),
+            [header]: this.sign(secret, rawBody, timestamp)
+        };
+    }
+
+    // Check a delivery's signature, taken from the first of `headers` that is present, and
+    // its freshness, from `timestampHeader` or else the payload's completed_at.
+    // Resolves { valid, reason }. Without a secret, unsigned deliveries are let through
+    // outside production only.
+    async verify(req, { provider, headers, timestampHeader = null, secret }) {
+        if (!secret) {
+            if (this.production) {
+                return { valid: false, reason: `No ${provider} webhook secret configured` };
+            }
+            console.warn(`⚠️ No ${provider} webhook secret configured, accepting unsigned webhook (not allowed in production)`);
+            return { valid: true, reason: 'unsigned' };
+        }
+
+        const header = headers.find(name => req.headers[name]);
+        const signature = header ? String(req.headers[header]) : '';
+        if (!signature) {
+            return { valid: false, reason: 'Missing signature header' };
+        }
+
+        if (req.rawBody === undefined) {
+            return { valid: false, reason: 'Raw request body not available' };
+        }
+
+        const stamped = timestampHeader && req.headers[timestampHeader] !== undefined;
+        const timestamp = stamped ? String(req.headers[timestampHeader]) : null;
+
+        const expected = Buffer.from(this.sign(secret, req.rawBody, timestamp), 'hex');
+        const received = Buffer.from(signature, 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return { valid: false, reason: 'Invalid signature' };
+        }
+
+        return this.checkFreshness(stamped ? parseInt(timestamp) * 1000 : Date.parse(req.body?.completed_at), req.body?.status);
+    }
+
+    // `sentAt` (ms) must be within the tolerance window either way, allowing for clock skew.
+    // Resolves { valid, reason } like verify.
+    checkFreshness(sentAt, status) {
+        if (!Number.isFinite(sentAt)) {
+            if (OrderState.fromProviderStatus(status) === 'paid') {
+                return { valid: false, reason: 'Missing webhook timestamp' };
+            }
+            return { valid: true, reason: 'signed' };
+        }
+
+        if (Math.abs(Date.now() - sentAt) > this.toleranceSeconds * 1000) {
+            return { valid: false, reason: 'Timestamp outside the tolerance window' };
+        }
+
+        return { valid: true, reason: 'signed' };
+    }
+
+    // Claim the handling of an order's status event; false when it was handled before.
+    // Called once a delivery has been checked against its order, right before acting on it.
+    async markHandled(provider, orderId, status) {
+        await db.run(
+            `DELETE FROM webhook_events WHERE received_at < datetime('now', ?)`,
+            [`-${this.retentionDays} days`]
+        );
+
+        const result = await db.run(
+            `INSERT OR IGNORE INTO webhook_events (provider, event_key, order_id) VALUES (?, ?, ?)`,
+            [provider, `${orderId}:${status}`, orderId]
+        );
+        return result.changes > 0;
+    }
+
+    // Give back a claim made by markHandled when handling the event failed
+    async release(provider, orderId, status) {
+        await db.run(
+            'DELETE FROM webhook_events WHERE provider = ? AND event_key = ?',
+            [provider, `${orderId}:${status}`]
+        );
+    }
+}
+
+module.exports = new WebhookSecurityService();